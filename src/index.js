@@ -8,4 +8,21 @@ export { AuditLogger } from './logger/AuditLogger/auditLogger.js'
 export { CustomConsoleLogger } from './logger/customConsoleLogger/customConsoleLogger.js'
 export { ElementExplorer } from './dom-utils/ElementExplorer/elementExplorer.js'
 export { ElementBuilder } from './dom-utils/ElementBuilder/elementBuilder.js';
-export { StorageManager } from "./storage-Manager/storageManager,.js"
\ No newline at end of file
+export { StorageManager } from "./storage-Manager/storageManager,.js"
+export { TextFormatter, JsonLinesFormatter, LogfmtFormatter, TemplateFormatter, createFormatter } from './logger/formatter/formatter.js'
+export { TransportBase, ConsoleTransport, MemoryTransport, FileDownloadTransport, EventTransport, StorageTransport, HttpTransport } from './logger/transport/transport.js'
+export { LoggerRegistry } from './logger/registry/loggerRegistry.js'
+export { LogRotation } from './logger/rotation/logRotation.js'
+export { verifyAuditTrail } from './logger/auditLogger/auditChain.js'
+export { AUDIT_OUTCOMES, queryAuditTrail } from './logger/auditLogger/auditEvent.js'
+export { Redactor, REDACTION_PATTERNS } from './logger/redaction/redactor.js'
+export { sealAuditExport, openAuditExport, verifyAuditExport } from './logger/auditLogger/auditExport.js'
+export { AlertEngine } from './logger/alerting/alertEngine.js'
+export { FrameMonitor } from './logger/performanceLogger/frameMonitor.js'
+export { MemorySampler } from './logger/performanceLogger/memorySampler.js'
+export { PagePerformanceObserver, PAGE_ENTRY_TYPES } from './logger/performanceLogger/pagePerformance.js'
+export { WebVitalsCollector, WEB_VITALS_THRESHOLDS, rateWebVital } from './logger/performanceLogger/webVitals.js'
+export { Tracer } from './logger/performanceLogger/tracer.js'
+export { Instrumenter } from './logger/performanceLogger/instrumentation.js'
+export { BudgetChecker, parseBudget } from './logger/performanceLogger/budgets.js'
+export { MetricsRegistry, Counter, Gauge, Histogram } from './logger/metrics/metricsRegistry.js'
@@ -0,0 +1,280 @@
+import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js";
+
+
+/**
+ * Validator instance for validating alert rules.
+ * @type {VALIDATE_LOGGER}
+ */
+const validator = new VALIDATE_LOGGER();
+
+
+/**
+ * A declarative alert rule.
+ *
+ * @typedef {Object} AlertRule
+ * @property {string} name - The unique name of the rule.
+ * @property {Object|Function} match - The records counted by the rule: a predicate receiving the record, or an object of expected values.
+ * Keys are looked up in the record context, or in the record itself for 'level', 'message' and 'name'. Dotted keys such as
+ * 'metadata.severity' reach nested fields, and an array of values matches any of them.
+ * @property {string|Function} [groupBy] - Count separately per value of this context key, e.g. 'actor', or per key returned by the function.
+ * @property {number} [threshold=0] - The rule fires when more than `threshold` matching records fall in the window.
+ * @property {number} [window=60000] - The length of the sliding window, in milliseconds.
+ * @property {number} [cooldown=0] - The delay before the rule can fire again for the same group, in milliseconds.
+ * @property {string} [severity='medium'] - A label copied to the alerts.
+ * @property {Function} [action] - Called with each alert of the rule.
+ * @property {string} [event='alert'] - The event emitted on the EventLogger of the engine.
+ */
+
+
+/**
+ * An alert fired by a rule.
+ *
+ * @typedef {Object} Alert
+ * @property {string} rule - The name of the rule.
+ * @property {string} severity - The severity of the rule.
+ * @property {?string} group - The group that reached the threshold, or `null` when the rule has no `groupBy`.
+ * @property {number} count - The number of matching records in the window.
+ * @property {Array<Object>} records - The matching records in the window, oldest first.
+ * @property {string} timestamp - The ISO 8601 date of the record that fired the alert.
+ */
+
+
+/**
+ * Read a field of a record.
+ *
+ * @param {Object} record - The log record.
+ * @param {string} key - The key, possibly dotted.
+ *
+ * @returns {*} The value, or `undefined`.
+ * @private
+ */
+function getField(record, key) {
+    const source = ['level', 'message', 'name'].includes(key) ? record : record.context;
+
+    return key.split('.').reduce((value, segment) => (value === null || value === undefined ? undefined : value[segment]), source);
+}
+
+
+/**
+ * Engine evaluating alert rules on log records, with sliding-window counters and cooldowns.
+ *
+ * The engine is a transport: add it to any logger with `addTransport`, or let `AuditLogger.addAlertRule` create one.
+ * Each alert is passed to the `action` of its rule, to `onAlert`, and emitted on the EventLogger of the engine.
+ *
+ * @class AlertEngine
+ */
+class AlertEngine {
+
+    /**
+     * Create an AlertEngine instance.
+     *
+     * @param {Object} [options={}] - Engine options.
+     * @param {Array<AlertRule>} [options.rules=[]] - The rules.
+     * @param {Function} [options.onAlert] - Called with every alert.
+     * @param {import('../eventLogger/eventLogger.js').EventLogger} [options.eventLogger] - Emits every alert under the `event` name of its rule.
+     *
+     * @throws {Error} If a rule is invalid.
+     *
+     * @example
+     * const engine = new AlertEngine({
+     *     rules: [
+     *         { name: 'brute-force', match: { category: 'AUTHORIZATION', outcome: 'DENIED' }, groupBy: 'actor', threshold: 5, window: 60 * 1000, cooldown: 5 * 60 * 1000 },
+     *         { name: 'high-severity-incident', match: { category: 'SECURITY INCIDENT', 'metadata.severity': 'high' }, severity: 'high' },
+     *     ],
+     *     onAlert: (alert) => console.warn(`Alert ${alert.rule} for ${alert.group}`),
+     * });
+     * auditLogger.addTransport(engine);
+     */
+    constructor({ rules = [], onAlert = null, eventLogger = null } = {}) {
+        this.onAlert = onAlert;
+        this.eventLogger = eventLogger;
+
+        /**
+         * The rules and their counters, by rule name.
+         * @type {Map<string, {rule: AlertRule, groups: Map<string, {records: Array<Object>, cooldownUntil: number}>}>}
+         * @private
+         */
+        this.rules = new Map();
+
+        rules.forEach((rule) => this.addRule(rule));
+    }
+
+
+    /**
+     * Add a rule, replacing the rule of the same name.
+     *
+     * @param {AlertRule} rule - The rule.
+     *
+     * @throws {Error} If the rule is invalid.
+     *
+     * @returns {void}
+     */
+    addRule(rule) {
+        validator._validateAlertRule({ rule });
+
+        this.rules.set(rule.name, {
+            rule: { threshold: 0, window: 60 * 1000, cooldown: 0, severity: 'medium', event: 'alert', ...rule },
+            groups: new Map(),
+        });
+    }
+
+
+    /**
+     * Remove a rule.
+     *
+     * @param {string} name - The name of the rule.
+     *
+     * @returns {boolean} `true` if the rule was removed.
+     */
+    removeRule(name) {
+        return this.rules.delete(name);
+    }
+
+
+    /**
+     * Reset the counters and cooldowns of every rule.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.rules.forEach((entry) => entry.groups.clear());
+    }
+
+
+    /**
+     * Evaluate the rules on a record. Called by the logger as a transport.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     *
+     * @returns {Array<Alert>} The alerts fired by the record.
+     *
+     * @description
+     * The groups whose window is empty and whose cooldown is over are dropped on each record, so grouping by
+     * an unbounded key such as a user or an IP address does not keep a counter per value forever.
+     */
+    write(record) {
+        const alerts = [];
+        const time = new Date(record.timestamp).getTime();
+
+        this.rules.forEach((entry) => {
+            this._prune(entry, time);
+
+            const alert = this._evaluate(entry, record);
+
+            if (alert) {
+                alerts.push(alert);
+                this._fire(entry.rule, alert);
+            }
+        });
+
+        return alerts;
+    }
+
+
+    /**
+     * Count a record for a rule, and build an alert if the rule fires. The counters must be pruned first, see `_prune`.
+     *
+     * @param {Object} entry - The rule and its counters.
+     * @param {Object} record - The log record.
+     *
+     * @returns {?Alert} The alert, or `null`.
+     * @private
+     */
+    _evaluate({ rule, groups }, record) {
+        if (!this._matches(rule.match, record)) {
+            return null;
+        }
+
+        const time = new Date(record.timestamp).getTime();
+        const groupValue = typeof rule.groupBy === 'function' ? rule.groupBy(record) : rule.groupBy ? getField(record, rule.groupBy) : null;
+        const group = groupValue === null || groupValue === undefined ? null : String(groupValue);
+        // The records out of the window were dropped by `_prune`
+        const counter = groups.get(group) || { records: [], cooldownUntil: -Infinity };
+
+        counter.records.push(record);
+        groups.set(group, counter);
+
+        if (counter.records.length <= rule.threshold || time < counter.cooldownUntil) {
+            return null;
+        }
+
+        counter.cooldownUntil = time + rule.cooldown;
+
+        return {
+            rule: rule.name,
+            severity: rule.severity,
+            group,
+            count: counter.records.length,
+            records: [...counter.records],
+            timestamp: record.timestamp,
+        };
+    }
+
+
+    /**
+     * Drop the records out of the window of a rule, then the groups left without records and out of their cooldown.
+     *
+     * @param {Object} entry - The rule and its counters.
+     * @param {number} time - The current time, in milliseconds.
+     *
+     * @returns {void}
+     * @private
+     */
+    _prune({ rule, groups }, time) {
+        groups.forEach((counter, group) => {
+            counter.records = counter.records.filter((item) => new Date(item.timestamp).getTime() > time - rule.window);
+
+            if (counter.records.length === 0 && time >= counter.cooldownUntil) {
+                groups.delete(group);
+            }
+        });
+    }
+
+
+    /**
+     * Check if a record matches the `match` of a rule.
+     *
+     * @param {Object|Function} match - The predicate or the expected values.
+     * @param {Object} record - The log record.
+     *
+     * @returns {boolean} `true` if the record matches.
+     * @private
+     */
+    _matches(match, record) {
+        if (typeof match === 'function') {
+            return Boolean(match(record));
+        }
+
+        return Object.entries(match).every(([key, expected]) => {
+            const value = getField(record, key);
+            return Array.isArray(expected) ? expected.includes(value) : value === expected;
+        });
+    }
+
+
+    /**
+     * Pass an alert to the rule action, the `onAlert` callback and the EventLogger.
+     *
+     * @param {AlertRule} rule - The rule.
+     * @param {Alert} alert - The alert.
+     *
+     * @returns {void}
+     * @private
+     */
+    _fire(rule, alert) {
+        if (rule.action) {
+            rule.action(alert);
+        }
+
+        if (this.onAlert) {
+            this.onAlert(alert);
+        }
+
+        if (this.eventLogger) {
+            this.eventLogger.emit(rule.event, alert);
+        }
+    }
+}
+
+
+export { AlertEngine };
@@ -0,0 +1,66 @@
+import { AlertEngine } from './alertEngine.js';
+import { createLogRecord } from '../base/logRecord.js';
+
+
+const at = (seconds, context = {}) => createLogRecord({
+    level: 'WARN',
+    message: 'Access denied',
+    context: { category: 'AUTHORIZATION', outcome: 'DENIED', ...context },
+    timestamp: new Date(Date.UTC(2026, 9, 19, 12, 0, seconds)).toISOString(),
+});
+
+
+describe('AlertEngine', () => {
+    const rule = { name: 'brute-force', match: { category: 'AUTHORIZATION', outcome: 'DENIED' }, groupBy: 'actor', threshold: 2, window: 10 * 1000 };
+
+    test('fires when more than threshold matching records fall in the window', () => {
+        const engine = new AlertEngine({ rules: [rule] });
+
+        expect(engine.write(at(0, { actor: 'eve' }))).toEqual([]);
+        expect(engine.write(at(1, { actor: 'eve' }))).toEqual([]);
+        expect(engine.write(at(2, { actor: 'bob' }))).toEqual([]);
+
+        const [alert] = engine.write(at(3, { actor: 'eve' }));
+
+        expect(alert).toMatchObject({ rule: 'brute-force', group: 'eve', count: 3 });
+        expect(engine.write(at(4, { actor: 'eve', outcome: 'SUCCESS' }))).toEqual([]);
+    });
+
+    test('forgets the records out of the window', () => {
+        const engine = new AlertEngine({ rules: [rule] });
+
+        engine.write(at(0, { actor: 'eve' }));
+        engine.write(at(1, { actor: 'eve' }));
+
+        expect(engine.write(at(11, { actor: 'eve' }))).toEqual([]);
+    });
+
+    test('does not fire again for the same group during the cooldown', () => {
+        const onAlert = jest.fn();
+        const engine = new AlertEngine({ rules: [{ ...rule, threshold: 0, cooldown: 5 * 1000 }], onAlert });
+
+        engine.write(at(0, { actor: 'eve' }));
+        engine.write(at(1, { actor: 'eve' }));
+        engine.write(at(1, { actor: 'bob' }));
+        engine.write(at(5, { actor: 'eve' }));
+
+        expect(onAlert.mock.calls.map(([alert]) => [alert.group, alert.timestamp.slice(17, 19)])).toEqual([['eve', '00'], ['bob', '01'], ['eve', '05']]);
+    });
+
+    test('drops the groups with an empty window and no cooldown left', () => {
+        const engine = new AlertEngine({ rules: [{ ...rule, cooldown: 30 * 1000, threshold: 0 }] });
+        const { groups } = engine.rules.get('brute-force');
+
+        for (let index = 0; index < 50; index++) {
+            engine.write(at(0, { actor: `user-${index}` }));
+        }
+
+        expect(groups.size).toBe(50);
+
+        engine.write(at(20, { actor: 'latest' }));
+        expect(groups.size).toBe(51);
+
+        engine.write(at(40, { actor: 'latest' }));
+        expect([...groups.keys()]).toEqual(['latest']);
+    });
+});
@@ -0,0 +1,105 @@
+import CryptoJS from 'crypto-js';
+import { serializeLogRecord } from '../base/logRecord.js';
+import { parseAuditTrail } from './auditEvent.js';
+
+
+/**
+ * The previous hash of the first record of an audit trail.
+ * @type {string}
+ */
+const GENESIS_HASH = '0'.repeat(64);
+
+
+/**
+ * Serialize a value to JSON with the object keys sorted, so the same content always gives the same string.
+ *
+ * @param {*} value - The value to serialize.
+ *
+ * @returns {string} The JSON string.
+ * @private
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        const entries = Object.keys(value)
+            .filter((key) => value[key] !== undefined)
+            .sort()
+            .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+        return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+
+/**
+ * Compute the SHA-256 hash of an audit record, chained to the hash of the previous record.
+ *
+ * The record is hashed as it reads once exported to JSON, e.g. dates as ISO strings,
+ * so a live record and its exported copy have the same hash.
+ *
+ * @param {Object} record - The audit record, live or serialized. Its own `hash` is ignored.
+ * @param {string} previousHash - The hash of the previous record, or `GENESIS_HASH` for the first one.
+ *
+ * @returns {string} The hexadecimal hash.
+ *
+ * @example
+ * const hash = computeAuditHash(record, GENESIS_HASH);
+ */
+function computeAuditHash(record, previousHash) {
+    const { hash, previousHash: ignored, ...content } = serializeLogRecord(record);
+
+    return CryptoJS.SHA256(`${previousHash}${stableStringify(JSON.parse(JSON.stringify(content)))}`).toString(CryptoJS.enc.Hex);
+}
+
+
+/**
+ * Walk an audit trail and check the hash chain of its records.
+ *
+ * @param {string|Array<Object>} trail - The trail: JSON Lines as exported by `AuditLogger.exportAuditTrail`, or an array of records.
+ *
+ * @returns {{valid: boolean, count: number, complete: boolean, brokenAt: ?number, record: ?Object, reason: ?string}} The result:
+ * `brokenAt` is the index of the first broken record, and `reason` explains why it is broken.
+ * `complete` is true when the first record is the start of the chain, i.e. no older record was removed by rotation.
+ *
+ * @example
+ * verifyAuditTrail(exportedTrail);
+ * // { valid: false, count: 120, complete: true, brokenAt: 42, record: {...}, reason: 'The content of the record does not match its hash.' }
+ */
+function verifyAuditTrail(trail) {
+    let records;
+
+    try {
+        records = parseAuditTrail(trail);
+    } catch (error) {
+        return { valid: false, count: 0, complete: false, brokenAt: 0, record: null, reason: `The trail is not valid JSON Lines: ${error.message}` };
+    }
+
+    const result = { valid: true, count: records.length, complete: records.length === 0 || records[0].previousHash === GENESIS_HASH, brokenAt: null, record: null, reason: null };
+
+    for (let index = 0; index < records.length; index++) {
+        const record = records[index];
+        let reason = null;
+
+        if (typeof record.hash !== 'string' || typeof record.previousHash !== 'string') {
+            reason = 'The record has no hash.';
+        } else if (index > 0 && record.previousHash !== records[index - 1].hash) {
+            reason = 'The previous hash of the record does not match the hash of the record before it.';
+        } else if (computeAuditHash(record, record.previousHash) !== record.hash) {
+            reason = 'The content of the record does not match its hash.';
+        }
+
+        if (reason) {
+            return { ...result, valid: false, brokenAt: index, record, reason };
+        }
+    }
+
+    return result;
+}
+
+
+export { GENESIS_HASH, computeAuditHash, verifyAuditTrail };
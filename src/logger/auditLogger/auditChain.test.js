@@ -0,0 +1,43 @@
+import { AuditLogger } from './auditLogger.js';
+import { GENESIS_HASH, computeAuditHash, verifyAuditTrail } from './auditChain.js';
+
+
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+
+describe('audit hash chain', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('verifies the exported trail of records holding dates', () => {
+        const auditLogger = new AuditLogger('audit.log', false, 10, false);
+
+        auditLogger.logAuditAction('login', { at: new Date() });
+        auditLogger.logAuditAction('logout', { at: new Date(), sessions: [new Date()] });
+
+        expect(auditLogger.verifyAuditTrail().valid).toBe(true);
+        expect(verifyAuditTrail(auditLogger.exportAuditTrail()).valid).toBe(true);
+    });
+
+    test('gives a live record and its JSON copy the same hash', () => {
+        const record = { timestamp: new Date().toISOString(), message: 'login', context: { at: new Date(), skipped: undefined } };
+
+        expect(computeAuditHash(JSON.parse(JSON.stringify(record)), GENESIS_HASH)).toBe(computeAuditHash(record, GENESIS_HASH));
+    });
+
+    test('detects a changed record in the exported trail', () => {
+        const auditLogger = new AuditLogger('audit.log', false, 10, false);
+
+        auditLogger.logAuditAction('login', { actor: 'alice' });
+        auditLogger.logAuditAction('logout', { actor: 'alice' });
+
+        const result = verifyAuditTrail(auditLogger.exportAuditTrail().replace(/alice/, 'mallory'));
+
+        expect(result).toMatchObject({ valid: false, brokenAt: 0 });
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Outcomes of an audit event.
+ * @readonly
+ * @enum {string}
+ */
+const AUDIT_OUTCOMES = {
+    SUCCESS: 'SUCCESS',
+    FAILURE: 'FAILURE',
+    DENIED: 'DENIED',
+    UNKNOWN: 'UNKNOWN',
+};
+
+
+/**
+ * The fields of an audit event, as stored in the context of its audit record.
+ * The timestamp of the event is the timestamp of the record.
+ *
+ * @typedef {Object} AuditEvent
+ * @property {string} category - The kind of event, e.g. 'USER ACTIVITY' or 'AUTHORIZATION'.
+ * @property {?string} actor - Who performed the action: a user, a service or 'system'.
+ * @property {string} action - What was done.
+ * @property {?string} resource - What the action was performed on.
+ * @property {('SUCCESS'|'FAILURE'|'DENIED'|'UNKNOWN')} outcome - How the action ended.
+ * @property {?string} correlationId - Links the events of a same request or session.
+ * @property {Object} metadata - Additional details.
+ */
+
+
+/**
+ * Convert the loosely typed arguments of the audit methods to audit event fields, as the methods accepted before events had a schema:
+ * numbers and booleans, such as user ids, become strings, and metadata that is not an object is kept as the `value` of the metadata.
+ *
+ * @param {Object} fields - The fields.
+ * @param {*} fields.actor - The actor.
+ * @param {*} fields.action - The action.
+ * @param {*} fields.resource - The resource.
+ * @param {*} fields.metadata - The metadata.
+ *
+ * @returns {{actor: ?string, action: string, resource: ?string, metadata: Object}} The fields.
+ *
+ * @example
+ * normalizeAuditFields({ actor: 42, action: 'read', resource: 7, metadata: 'plain' });
+ * // { actor: '42', action: 'read', resource: '7', metadata: { value: 'plain' } }
+ */
+function normalizeAuditFields({ actor, action, resource, metadata }) {
+    const toText = (value) => (typeof value === 'number' || typeof value === 'boolean' ? String(value) : value);
+    let fields = metadata;
+
+    if (metadata === null || metadata === undefined) {
+        fields = {};
+    } else if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        fields = { value: metadata };
+    }
+
+    return { actor: toText(actor), action: toText(action), resource: toText(resource), metadata: fields };
+}
+
+
+/**
+ * Read an audit trail into an array of records.
+ *
+ * @param {string|Array<Object>} trail - JSON Lines as exported by `AuditLogger.exportAuditTrail`, or an array of records.
+ *
+ * @returns {Array<Object>} The records.
+ *
+ * @throws {SyntaxError} If a line is not valid JSON.
+ */
+function parseAuditTrail(trail) {
+    if (typeof trail !== 'string') {
+        return trail;
+    }
+
+    return trail.split('\n').filter((line) => line.trim().length > 0).map((line) => JSON.parse(line));
+}
+
+
+/**
+ * Check if a value matches a filter value: equal to it, or to one of its items when it is an array.
+ *
+ * @param {*} value - The value of the record.
+ * @param {*} expected - The filter value.
+ *
+ * @returns {boolean} `true` if the value matches.
+ * @private
+ */
+function matchesValue(value, expected) {
+    return Array.isArray(expected) ? expected.includes(value) : value === expected;
+}
+
+
+/**
+ * Select the audit records of a trail matching a filter.
+ *
+ * @param {string|Array<Object>} trail - JSON Lines as exported by `AuditLogger.exportAuditTrail`, or an array of records.
+ * @param {Object} [filter={}] - The criteria, every given criterion must match.
+ * @param {string|Array<string>} [filter.actor] - The actor, or a list of actors.
+ * @param {string|Array<string>} [filter.action] - The action, or a list of actions.
+ * @param {string|Array<string>} [filter.resource] - The resource, or a list of resources.
+ * @param {string|Array<string>} [filter.outcome] - The outcome, or a list of outcomes.
+ * @param {string|Array<string>} [filter.category] - The category, or a list of categories.
+ * @param {string} [filter.correlationId] - The correlation id.
+ * @param {Date|string|number} [filter.from] - The earliest timestamp, included.
+ * @param {Date|string|number} [filter.to] - The latest timestamp, included.
+ *
+ * @returns {Array<Object>} The matching records, in trail order.
+ *
+ * @example
+ * queryAuditTrail(exportedTrail, { actor: 'john_doe', outcome: 'DENIED', from: '2026-10-01' });
+ */
+function queryAuditTrail(trail, filter = {}) {
+    const { from, to, ...fields } = filter;
+    const fromTime = from === undefined ? -Infinity : new Date(from).getTime();
+    const toTime = to === undefined ? Infinity : new Date(to).getTime();
+
+    return parseAuditTrail(trail).filter((record) => {
+        const time = new Date(record.timestamp).getTime();
+
+        if (time < fromTime || time > toTime) {
+            return false;
+        }
+
+        return Object.entries(fields).every(([key, expected]) => matchesValue(record.context[key], expected));
+    });
+}
+
+
+export { AUDIT_OUTCOMES, normalizeAuditFields, parseAuditTrail, queryAuditTrail };
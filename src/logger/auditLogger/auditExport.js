@@ -0,0 +1,206 @@
+import CryptoJS from 'crypto-js';
+import { LoggerValidation as VALIDATE_LOGGER } from '../validator/validation.js';
+
+
+/**
+ * Validator instance for validating export keys.
+ * @type {VALIDATE_LOGGER}
+ */
+const validator = new VALIDATE_LOGGER();
+
+
+/**
+ * The format name written in every sealed export.
+ * @type {string}
+ */
+const SEALED_EXPORT_FORMAT = 'sealed-audit-export';
+
+
+/**
+ * A sealed audit export, serialized as JSON.
+ *
+ * @typedef {Object} SealedAuditExport
+ * @property {string} format - Always 'sealed-audit-export'.
+ * @property {number} version - The version of the format.
+ * @property {string} createdAt - The ISO 8601 date of the export.
+ * @property {?string} encryption - 'AES' when the payload is encrypted, `null` otherwise.
+ * @property {?string} signature - The HMAC-SHA256 signature of the export, in hexadecimal, or `null`.
+ * @property {string} payload - The audit content, or its AES ciphertext in base64.
+ */
+
+
+/**
+ * Build the string covered by the signature, so the header cannot be changed without breaking it.
+ *
+ * @param {SealedAuditExport} sealed - The sealed export.
+ *
+ * @returns {string} The signed content.
+ * @private
+ */
+function getSignedContent({ format, version, createdAt, encryption, payload }) {
+    return [format, version, createdAt, encryption || '', payload].join('\n');
+}
+
+
+/**
+ * Compare two strings in a time that does not depend on where they differ.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ *
+ * @returns {boolean} `true` if the strings are equal.
+ * @private
+ */
+function safeEqual(a, b) {
+    let difference = a.length ^ b.length;
+
+    for (let index = 0; index < Math.max(a.length, b.length); index++) {
+        difference |= (a.charCodeAt(index) || 0) ^ (b.charCodeAt(index) || 0);
+    }
+
+    return difference === 0;
+}
+
+
+/**
+ * Encrypt and/or sign audit content.
+ *
+ * @param {string} content - The audit content, e.g. the trail returned by `AuditLogger.exportAuditTrail`.
+ * @param {Object} keys - The keys, at least one is required.
+ * @param {string} [keys.encryptionKey] - Encrypts the content with AES.
+ * @param {string} [keys.signingKey] - Signs the export with HMAC-SHA256.
+ *
+ * @throws {Error} If no key is given.
+ *
+ * @returns {string} The sealed export, as JSON.
+ *
+ * @example
+ * const sealed = sealAuditExport(auditLogger.exportAuditTrail(), { encryptionKey: 'secret', signingKey: 'another-secret' });
+ */
+function sealAuditExport(content, { encryptionKey, signingKey } = {}) {
+    validator._validateExportKeys({ encryptionKey, signingKey, required: true });
+
+    const sealed = {
+        format: SEALED_EXPORT_FORMAT,
+        version: 1,
+        createdAt: new Date().toISOString(),
+        encryption: encryptionKey ? 'AES' : null,
+        signature: null,
+        payload: encryptionKey ? CryptoJS.AES.encrypt(content, encryptionKey).toString() : content,
+    };
+
+    if (signingKey) {
+        sealed.signature = CryptoJS.HmacSHA256(getSignedContent(sealed), signingKey).toString(CryptoJS.enc.Hex);
+    }
+
+    return JSON.stringify(sealed);
+}
+
+
+/**
+ * Read a sealed export.
+ *
+ * @param {string|SealedAuditExport} exported - The sealed export, as JSON or parsed.
+ *
+ * @throws {Error} If it is not a sealed audit export.
+ *
+ * @returns {SealedAuditExport} The parsed export.
+ * @private
+ */
+function parseSealedExport(exported) {
+    const sealed = typeof exported === 'string' ? JSON.parse(exported) : exported;
+
+    if (!sealed || sealed.format !== SEALED_EXPORT_FORMAT || typeof sealed.payload !== 'string') {
+        throw new Error('Invalid parameters: the content is not a sealed audit export.');
+    }
+
+    return sealed;
+}
+
+
+/**
+ * Check the signature of a sealed export.
+ *
+ * @param {string|SealedAuditExport} exported - The sealed export.
+ * @param {string} signingKey - The key the export was signed with.
+ *
+ * @returns {boolean} `true` if the export is signed and was not modified since.
+ *
+ * @example
+ * verifyAuditExport(sealed, 'another-secret'); // Returns true
+ */
+function verifyAuditExport(exported, signingKey) {
+    validator._validateExportKeys({ signingKey, required: true });
+
+    const sealed = parseSealedExport(exported);
+
+    if (typeof sealed.signature !== 'string') {
+        return false;
+    }
+
+    return safeEqual(CryptoJS.HmacSHA256(getSignedContent(sealed), signingKey).toString(CryptoJS.enc.Hex), sealed.signature);
+}
+
+
+/**
+ * Verify and decrypt a sealed export.
+ *
+ * @param {string|SealedAuditExport} exported - The sealed export.
+ * @param {Object} [keys={}] - The keys.
+ * @param {string} [keys.encryptionKey] - Required when the export is encrypted.
+ * @param {string} [keys.signingKey] - Required when the export is signed. When given, the export must be signed with it.
+ *
+ * @throws {Error} If a key is missing, the signature is missing or invalid, or the content cannot be decrypted.
+ *
+ * @returns {{content: string, encrypted: boolean, signed: boolean, createdAt: string}} The audit content and how it was sealed.
+ *
+ * @example
+ * const { content } = openAuditExport(sealed, { encryptionKey: 'secret', signingKey: 'another-secret' });
+ * verifyAuditTrail(content);
+ */
+function openAuditExport(exported, { encryptionKey, signingKey } = {}) {
+    validator._validateExportKeys({ encryptionKey, signingKey, required: false });
+
+    const sealed = parseSealedExport(exported);
+    const signed = typeof sealed.signature === 'string';
+    const encrypted = sealed.encryption === 'AES';
+
+    if (signingKey && !signed) {
+        throw new Error('Invalid signature: the export is not signed, its signature may have been removed.');
+    }
+
+    if (signed) {
+        if (!signingKey) {
+            throw new Error('Invalid parameters: the export is signed, "signingKey" is required.');
+        }
+
+        if (!verifyAuditExport(sealed, signingKey)) {
+            throw new Error('Invalid signature: the export was modified or signed with another key.');
+        }
+    }
+
+    if (!encrypted) {
+        return { content: sealed.payload, encrypted, signed, createdAt: sealed.createdAt };
+    }
+
+    if (!encryptionKey) {
+        throw new Error('Invalid parameters: the export is encrypted, "encryptionKey" is required.');
+    }
+
+    let content = '';
+
+    try {
+        content = CryptoJS.AES.decrypt(sealed.payload, encryptionKey).toString(CryptoJS.enc.Utf8);
+    } catch (error) {
+        content = '';
+    }
+
+    if (!content && sealed.payload) {
+        throw new Error('Failed to decrypt the export: the encryption key is wrong.');
+    }
+
+    return { content, encrypted, signed, createdAt: sealed.createdAt };
+}
+
+
+export { sealAuditExport, openAuditExport, verifyAuditExport };
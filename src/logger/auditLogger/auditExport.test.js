@@ -0,0 +1,35 @@
+import { sealAuditExport, openAuditExport, verifyAuditExport } from './auditExport.js';
+
+
+const trail = '{"message":"login"}\n{"message":"logout"}';
+
+
+describe('sealed audit exports', () => {
+    test('open an encrypted and signed export with its keys', () => {
+        const sealed = sealAuditExport(trail, { encryptionKey: 'secret', signingKey: 'another-secret' });
+
+        expect(openAuditExport(sealed, { encryptionKey: 'secret', signingKey: 'another-secret' }))
+            .toMatchObject({ content: trail, encrypted: true, signed: true });
+    });
+
+    test('reject a modified payload', () => {
+        const sealed = JSON.parse(sealAuditExport(trail, { signingKey: 'k' }));
+        const forged = JSON.stringify({ ...sealed, payload: '{"message":"nothing happened"}' });
+
+        expect(verifyAuditExport(forged, 'k')).toBe(false);
+        expect(() => openAuditExport(forged, { signingKey: 'k' })).toThrow('Invalid signature');
+    });
+
+    test('reject an export whose signature was removed when a signing key is given', () => {
+        const sealed = JSON.parse(sealAuditExport(trail, { signingKey: 'k' }));
+        const forged = JSON.stringify({ ...sealed, signature: null, payload: '{"message":"nothing happened"}' });
+
+        expect(() => openAuditExport(forged, { signingKey: 'k' })).toThrow('Invalid signature');
+    });
+
+    test('open an unsigned export without a signing key', () => {
+        const sealed = sealAuditExport(trail, { encryptionKey: 'secret' });
+
+        expect(openAuditExport(sealed, { encryptionKey: 'secret' })).toMatchObject({ content: trail, signed: false });
+    });
+});
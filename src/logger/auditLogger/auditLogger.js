@@ -1,6 +1,36 @@
-import { LoggerBase } from '../base/loggerBase.js';
+import { LoggerBase, LOG_LEVELS } from '../base/loggerBase.js';
 import { saveAs } from 'file-saver';
 import { ConsoleLogger } from '../consoleLogger/consoleLogger.js';
+import { LogRotation } from '../rotation/logRotation.js';
+import { LoggerValidation as VALIDATE_LOGGER } from '../validator/validation.js';
+import { serializeLogRecord } from '../base/logRecord.js';
+import { GENESIS_HASH, computeAuditHash, verifyAuditTrail } from './auditChain.js';
+import { AUDIT_OUTCOMES, normalizeAuditFields, queryAuditTrail } from './auditEvent.js';
+import { sealAuditExport, openAuditExport, verifyAuditExport } from './auditExport.js';
+import { AlertEngine } from '../alerting/alertEngine.js';
+
+/**
+ * Validator instance for validating rotation and batch options, audit events and queries.
+ * @type {VALIDATE_LOGGER}
+ */
+const validator = new VALIDATE_LOGGER();
+
+/**
+ * Read the actor of an audit event from its metadata.
+ *
+ * @param {Object} metadata - The metadata of the event.
+ *
+ * @returns {?string} The `actor`, `username` or `user` property of the metadata, or `null`.
+ * @private
+ */
+function getActor(metadata) {
+    if (!metadata || typeof metadata !== 'object') {
+        return null;
+    }
+
+    const actor = metadata.actor || metadata.username || metadata.user;
+    return actor === undefined ? null : String(actor);
+}
 
 /**
  * Audit logger class for capturing and logging actions for auditing purposes.
@@ -17,23 +47,309 @@ class AuditLogger extends LoggerBase {
      * @param {string} auditLogPath - The path or destination for storing audit logs.
      * @param {boolean} [logRotation=false] - Whether log rotation is enabled.
      * @param {number} [maxLogs=10] - Maximum number of logs to keep when log rotation is enabled.
+     * @param {boolean} [saveIntoFile=true] - Whether audit logs are saved to the file system or logged to the console.
+     * @param {Object} [options={}] - Logger options, see `LoggerBase`.
+     * @param {string|Function|Object} [options.formatter='{timestamp} - {message}'] - The formatter used for the audit lines.
+     * @param {Object} [options.rotation] - The rotation policy of the audit records, see `LogRotation`.
+     * Defaults to segments of `maxLogs` records when `logRotation` is true.
+     * @param {Object} [options.batch] - When audit logs are saved to the file system, how the buffered audit lines are flushed to a file.
+     * @param {number} [options.batch.maxSize=100] - Flush as soon as this number of lines is buffered, 1 downloads a file per event.
+     * @param {number} [options.batch.flushInterval] - Flush every `flushInterval` milliseconds.
+     * @param {boolean} [options.batch.flushOnUnload=true] - Flush when the page is unloaded.
+     * @param {Object} [options.alerts] - Alerting on audit records, see `AlertEngine` and `addAlertRule`.
+     * @param {Array<Object>} [options.alerts.rules] - The alert rules.
+     * @param {Function} [options.alerts.onAlert] - Called with every alert.
+     * @param {EventLogger} [options.alerts.eventLogger] - Emits every alert.
      *
      * @returns {AuditLogger} A new instance of the AuditLogger class.
      *
      * @example
      * const auditLogger = new AuditLogger('/path/to/audit/logs', true, 10);
      *
+     * const batchedAuditLogger = new AuditLogger('audit.log', false, 10, true, { batch: { maxSize: 500, flushInterval: 60 * 1000 } });
+     *
      * @description
      * The constructor initializes a new instance of the `AuditLogger` class, which extends the `LoggerBase` class.
      * It requires an `auditLogPath` parameter, which specifies the path or destination for storing audit logs.
      * The optional parameters `logRotation` and `maxLogs` can be used to enable log rotation and set the maximum number of logs to keep.
+     * Audit records are written to the file system or to the console by a default transport, before any transport passed in `options.transports`.
+     * Audit lines saved to the file system are buffered and downloaded together as one file, see `flush`.
+     * Every audit record carries a SHA-256 `hash` of its content and of the `previousHash` of the record before it, see `verifyAuditTrail`.
+     * Every audit method stores the same audit event fields in the context of its record, see `logEvent` and `queryAuditTrail`.
      */
-    constructor(auditLogPath, logRotation = false, maxLogs = 10, saveIntoFile = true) {
-        super();
+    constructor(auditLogPath, logRotation = false, maxLogs = 10, saveIntoFile = true, options = {}) {
+        const { level, formatter = '{timestamp} - {message}', rotation = null, batch = {}, alerts = null, ...loggerOptions } = options;
+        super(level, { ...loggerOptions, formatter });
+        validator._validateRotationOptions({ rotation });
+        validator._validateBatchOptions({ batch });
+        this.transports.unshift({ write: (record, log) => this._writeAuditLine(record, log) });
         this.auditLogPath = auditLogPath;
         this.logRotation = logRotation;
         this.maxLogs = maxLogs;
         this.saveIntoFile = saveIntoFile;
+        this.auditChain = { lastHash: GENESIS_HASH };
+
+        const rotationPolicy = rotation || (logRotation ? { maxEntries: maxLogs } : null);
+        this.rotation = rotationPolicy
+            ? new LogRotation({ ...rotationPolicy, fileName: auditLogPath, onDrop: (records) => this._removeRecords(records) })
+            : null;
+
+        const { maxSize = 100, flushInterval = null, flushOnUnload = true } = batch;
+        this.batch = { maxSize, flushInterval, flushOnUnload };
+        this.auditBuffer = [];
+        this.flushTimer = flushInterval ? setInterval(() => this.flush(), flushInterval) : null;
+
+        // Under Node.js, the timer does not keep the process alive
+        if (this.flushTimer && typeof this.flushTimer.unref === 'function') {
+            this.flushTimer.unref();
+        }
+
+        this.flushOnUnload = () => this.flush();
+
+        if (flushOnUnload && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', this.flushOnUnload);
+        }
+
+        this.alertEngine = alerts ? new AlertEngine(alerts) : null;
+
+        if (this.alertEngine) {
+            this.transports.push(this.alertEngine);
+        }
+    }
+
+
+    /**
+     * Add an alert rule evaluated on every new audit record.
+     *
+     * @param {Object} rule - The rule, see `AlertEngine`.
+     * @param {string} rule.name - The unique name of the rule.
+     * @param {Object|Function} rule.match - The records counted by the rule: expected values of the audit fields, or a predicate.
+     * @param {string|Function} [rule.groupBy] - Count separately per value of this field, e.g. 'actor'.
+     * @param {number} [rule.threshold=0] - The rule fires when more than `threshold` matching records fall in the window.
+     * @param {number} [rule.window=60000] - The length of the sliding window, in milliseconds.
+     * @param {number} [rule.cooldown=0] - The delay before the rule can fire again for the same group, in milliseconds.
+     * @param {string} [rule.severity='medium'] - A label copied to the alerts.
+     * @param {Function} [rule.action] - Called with each alert of the rule.
+     * @param {string} [rule.event='alert'] - The event emitted on the EventLogger given in `options.alerts.eventLogger`.
+     *
+     * @throws {Error} If the rule is invalid.
+     *
+     * @returns {void}
+     *
+     * @example
+     * auditLogger.addAlertRule({
+     *     name: 'brute-force',
+     *     match: { category: 'AUTHORIZATION', outcome: 'DENIED' },
+     *     groupBy: 'actor',
+     *     threshold: 5,
+     *     window: 60 * 1000,
+     *     cooldown: 5 * 60 * 1000,
+     *     action: (alert) => lockAccount(alert.group),
+     * });
+     *
+     * auditLogger.addAlertRule({
+     *     name: 'high-severity-incident',
+     *     match: { category: 'SECURITY INCIDENT', 'metadata.severity': 'high' },
+     *     severity: 'high',
+     *     action: (alert) => showWarning(alert.records[0].message),
+     * });
+     *
+     * @description
+     * The `addAlertRule` function adds a rule to the alert engine of the logger, creating the engine on first use.
+     * Matching records are counted in a sliding window, per group when `groupBy` is set.
+     * When the count goes above the threshold, an alert holding the rule name, severity, group, count and records is passed to the rule `action`,
+     * to `options.alerts.onAlert`, and emitted on `options.alerts.eventLogger`. The rule is then silent for that group until the cooldown is over.
+     */
+    addAlertRule(rule) {
+        if (!this.alertEngine) {
+            this.alertEngine = new AlertEngine();
+            this.transports.push(this.alertEngine);
+        }
+
+        this.alertEngine.addRule(rule);
+    }
+
+
+    /**
+     * Remove an alert rule.
+     *
+     * @param {string} name - The name of the rule.
+     *
+     * @returns {boolean} `true` if the rule was removed.
+     *
+     * @example
+     * auditLogger.removeAlertRule('brute-force');
+     */
+    removeAlertRule(name) {
+        return this.alertEngine ? this.alertEngine.removeRule(name) : false;
+    }
+
+
+    /**
+     * Add an audit log record, and append it to the current rotation segment when rotation is enabled.
+     *
+     * @param {string} message - The audit message.
+     * @param {string} [level='INFO'] - The log level of the record.
+     * @param {Object} [fields={}] - The structured fields of the record.
+     *
+     * @returns {import('../base/logRecord.js').LogRecord|undefined} The new log record, or `undefined` if the level is not enabled.
+     */
+    addLog(message, level, fields) {
+        const record = super.addLog(message, level, fields);
+
+        if (record && this.rotation) {
+            this.rotation.append(record, this.formatLog(record));
+        }
+
+        return record;
+    }
+
+
+    /**
+     * Chain a new audit record to the previous one.
+     *
+     * The context is replaced by a deep copy in its JSON form, the form that is hashed, so later changes
+     * to the objects passed by the caller, such as the metadata, do not break the hash of the record.
+     *
+     * @param {Object} record - The new audit record.
+     *
+     * @returns {void}
+     * @protected
+     */
+    _prepareRecord(record) {
+        record.context = JSON.parse(JSON.stringify(record.context));
+        record.previousHash = this.auditChain.lastHash;
+        record.hash = computeAuditHash(record, record.previousHash);
+        this.auditChain.lastHash = record.hash;
+    }
+
+
+    /**
+     * Export the audit records with their hashes, one JSON object per line.
+     *
+     * @returns {string} The audit trail, in JSON Lines.
+     *
+     * @example
+     * const trail = auditLogger.exportAuditTrail();
+     * saveAs(new Blob([trail], { type: 'application/x-ndjson' }), 'audit-trail.jsonl');
+     *
+     * @description
+     * The `exportAuditTrail` function serializes every audit record, including its `hash` and `previousHash`,
+     * so the trail can be checked later with `verifyAuditTrail`.
+     */
+    exportAuditTrail() {
+        return this.logs.map((record) => JSON.stringify(serializeLogRecord(record))).join('\n');
+    }
+
+
+    /**
+     * Check that an audit trail was not edited after the fact.
+     *
+     * @param {string|Array<Object>} [trail=this.logs] - JSON Lines as returned by `exportAuditTrail`, or an array of audit records.
+     *
+     * @returns {{valid: boolean, count: number, complete: boolean, brokenAt: ?number, record: ?Object, reason: ?string}} The result of the check.
+     *
+     * @example
+     * const result = auditLogger.verifyAuditTrail(exportedTrail);
+     * if (!result.valid) {
+     *     console.error(`Audit trail broken at record ${result.brokenAt}: ${result.reason}`);
+     * }
+     *
+     * @output
+     * // Audit trail broken at record 42: The content of the record does not match its hash.
+     *
+     * @description
+     * The `verifyAuditTrail` function walks the trail in order. A record is broken when its content no longer matches its hash,
+     * or when its `previousHash` is not the hash of the record before it, which reveals edited, removed, inserted or reordered records.
+     * The first record is the anchor of the check: `complete` is false when it is not the start of the chain,
+     * for instance when older records were dropped by rotation.
+     */
+    verifyAuditTrail(trail = this.logs) {
+        return verifyAuditTrail(trail);
+    }
+
+
+    /**
+     * Log an audit event following the common audit schema.
+     *
+     * @param {Object} event - The audit event.
+     * @param {?(string|number)} [event.actor=null] - Who performed the action: a user, a service or 'system'. A number, such as a user id, is stored as a string.
+     * @param {string|number} event.action - What was done.
+     * @param {?(string|number)} [event.resource=null] - What the action was performed on.
+     * @param {('SUCCESS'|'FAILURE'|'DENIED'|'UNKNOWN')} [event.outcome='SUCCESS'] - How the action ended.
+     * @param {?string} [event.correlationId] - Links the events of a same request, defaults to the `correlationId` of the logger context.
+     * @param {Object|*} [event.metadata={}] - Additional details. A value that is not an object is stored as `{ value }`.
+     * @param {string} [event.category='AUDIT EVENT'] - The kind of event.
+     * @param {string} [event.level] - The log level, 'INFO' by default and 'WARN' for denied or failed actions.
+     * @param {string} [event.message] - The audit line, built from the other fields by default.
+     *
+     * @throws {Error} If the event is invalid.
+     *
+     * @returns {import('../base/logRecord.js').LogRecord|undefined} The audit record, or `undefined` if the level is not enabled.
+     *
+     * @example
+     * const requestLogger = auditLogger.child({ correlationId: 'req-42' });
+     * requestLogger.logEvent({ actor: 'john_doe', action: 'export', resource: 'invoices', outcome: 'SUCCESS', metadata: { rows: 120 } });
+     *
+     * @output
+     * // 2026-10-19T12:00:00.000Z - AUDIT EVENT - john_doe - export on invoices - SUCCESS
+     *
+     * @description
+     * The `logEvent` function stores the category, actor, action, resource, outcome, correlation id and metadata in the context of the audit record,
+     * next to the timestamp of the record. The other audit methods are shortcuts building such events.
+     */
+    logEvent({ actor = null, action, resource = null, outcome = AUDIT_OUTCOMES.SUCCESS, correlationId, metadata = {}, category = 'AUDIT EVENT', level, message }) {
+        const fields = normalizeAuditFields({ actor, action, resource, metadata });
+        validator._validateAuditEvent({ ...fields, outcome, correlationId, category, level, message });
+
+        const failed = outcome === AUDIT_OUTCOMES.DENIED || outcome === AUDIT_OUTCOMES.FAILURE;
+
+        return this.addLog(
+            message || `${category} - ${fields.actor} - ${fields.action}${fields.resource ? ` on ${fields.resource}` : ''} - ${outcome}`,
+            level || (failed ? LOG_LEVELS.WARN : LOG_LEVELS.INFO),
+            {
+                category,
+                actor: fields.actor,
+                action: fields.action,
+                resource: fields.resource,
+                outcome,
+                correlationId: correlationId || this.context.correlationId || null,
+                metadata: fields.metadata,
+            },
+        );
+    }
+
+
+    /**
+     * Find the audit records matching a filter, in memory or in an exported audit trail.
+     *
+     * @param {Object} [filter={}] - The criteria, every given criterion must match.
+     * @param {string|Array<string>} [filter.actor] - The actor, or a list of actors.
+     * @param {string|Array<string>} [filter.action] - The action, or a list of actions.
+     * @param {string|Array<string>} [filter.resource] - The resource, or a list of resources.
+     * @param {string|Array<string>} [filter.outcome] - The outcome, or a list of outcomes.
+     * @param {string|Array<string>} [filter.category] - The category, or a list of categories.
+     * @param {string} [filter.correlationId] - The correlation id.
+     * @param {Date|string|number} [filter.from] - The earliest timestamp, included.
+     * @param {Date|string|number} [filter.to] - The latest timestamp, included.
+     * @param {string|Array<Object>} [trail=this.logs] - JSON Lines as returned by `exportAuditTrail`, or an array of audit records.
+     *
+     * @throws {Error} If the filter is invalid.
+     *
+     * @returns {Array<Object>} The matching audit records, oldest first.
+     *
+     * @example
+     * auditLogger.queryAuditTrail({ actor: 'john_doe', outcome: 'DENIED' });
+     * auditLogger.queryAuditTrail({ resource: ['invoices', 'customers'], from: '2026-10-01', to: new Date() });
+     * auditLogger.queryAuditTrail({ correlationId: 'req-42' }, exportedTrail);
+     *
+     * @description
+     * The `queryAuditTrail` function compares the audit event fields stored by `logEvent` and the other audit methods.
+     * A criterion given as an array matches any of its values. `from` and `to` bound the timestamp of the records.
+     */
+    queryAuditTrail(filter = {}, trail = this.logs) {
+        validator._validateAuditQuery({ filter });
+        return queryAuditTrail(trail, filter);
     }
 
 
@@ -60,13 +376,37 @@ class AuditLogger extends LoggerBase {
      * @description
      * The `logAuditAction` function logs an auditable action along with additional metadata.
      * It captures actions for compliance and accountability.
+     * Like every audit method, it also stores a structured audit record in the logs array, see `logEvent`.
+     * The actor is read from the `actor`, `username` or `user` property of the metadata.
+     * The metadata is redacted with the redaction rules of the logger before it is written in the message.
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logAuditAction(action, metadata) {
-        const timestamp = new Date().toISOString();
-        const log = `${timestamp} - ${action} - ${JSON.stringify(metadata)}`;
+        this.logEvent({
+            category: 'AUDIT ACTION',
+            actor: getActor(metadata),
+            action,
+            metadata,
+            message: `${action} - ${JSON.stringify(this.redact(metadata))}`,
+        });
+    }
+
+
+    /**
+     * Default transport of the audit logger: writes a formatted audit record to the file system or to the console.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The audit log record.
+     * @param {string} log - The formatted audit record.
+     *
+     * @returns {void}
+     *
+     * @private
+     */
+    _writeAuditLine(record, log) {
         if (this.saveIntoFile) {
             this.logToFileSystem(log);
+        } else if (record.level === LOG_LEVELS.ERROR) {
+            console.error(log);
         } else {
             ConsoleLogger.log(log);
         }
@@ -87,13 +427,16 @@ class AuditLogger extends LoggerBase {
      * auditLogger.logToFileSystem('2022-01-09T12:00:00.000Z - User login - {"username":"john_doe","ipAddress":"192.168.1.100"}');
      *
      * @description
-     * The `logToFileSystem` function saves a log entry to the file system using the 'file-saver' library.
-     * It creates a Blob from the log entry and triggers the download using the `saveAs` function.
+     * The `logToFileSystem` function adds a log entry to the audit buffer.
+     * The buffer is saved as a single file once it holds `batch.maxSize` entries, see `flush`.
      * If log rotation is enabled, it checks and rotates logs if needed based on the configured maximum logs.
      */
     logToFileSystem(log) {
-        const blob = new Blob([`${log}\n`], { type: 'text/plain;charset=utf-8' });
-        saveAs(blob, this.auditLogPath, { autoBom: true });
+        this.auditBuffer.push(log);
+
+        if (this.auditBuffer.length >= this.batch.maxSize) {
+            this.flush();
+        }
 
         if (this.logRotation) {
             this.rotateLogsIfNeeded();
@@ -102,25 +445,199 @@ class AuditLogger extends LoggerBase {
 
 
     /**
-     * Rotate logs if the number of logs exceeds the maximum allowed.
+     * Save the buffered audit entries to the file system as a single file.
+     *
+     * @returns {boolean} `true` if a file was saved, `false` if the buffer was empty.
+     *
+     * @example
+     * const auditLogger = new AuditLogger('audit.log');
+     * auditLogger.logUserActivity('john_doe', 'Viewed profile page');
+     * auditLogger.logUserActivity('john_doe', 'Updated profile');
+     * auditLogger.flush(); // Downloads 'audit.log' holding both entries
+     *
+     * @description
+     * The `flush` function creates a Blob from the buffered entries and triggers the download using the `saveAs` function of the 'file-saver' library.
+     * It is called on demand, when the buffer reaches `batch.maxSize` entries, every `batch.flushInterval` milliseconds,
+     * and when the page is unloaded unless `batch.flushOnUnload` is false.
+     */
+    flush() {
+        if (this.auditBuffer.length === 0) {
+            return false;
+        }
+
+        const blob = new Blob([`${this.auditBuffer.join('\n')}\n`], { type: 'text/plain;charset=utf-8' });
+        this.auditBuffer = [];
+        saveAs(blob, this.auditLogPath, { autoBom: true });
+
+        return true;
+    }
+
+
+    /**
+     * Flush the buffered audit entries and stop flushing automatically.
      *
      * @returns {void}
      *
      * @example
-     * Automatically called when log rotation is enabled and the maximum logs are exceeded.
+     * auditLogger.close();
+     *
+     * @description
+     * The `close` function stops the flush interval and removes the page unload listener.
+     * Entries logged afterward are still buffered, and flushed when the buffer is full or when `flush` is called.
+     */
+    close() {
+        this.flush();
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
+        if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('pagehide', this.flushOnUnload);
+        }
+    }
+
+
+    /**
+     * Rotate logs if needed.
+     *
+     * @returns {void}
+     *
+     * @example
+     * Automatically called when log rotation is enabled.
      * auditLogger.rotateLogsIfNeeded();
      *
+     * // Roll over daily segments at midnight even when nothing is logged
+     * setInterval(() => auditLogger.rotateLogsIfNeeded(), 60 * 1000);
+     *
      * @description
-     * The `rotateLogsIfNeeded` function checks if the number of logs exceeds the maximum allowed.
-     * If the condition is met, it removes old logs beyond the maximum allowed to control log storage size.
+     * With a rotation policy, the `rotateLogsIfNeeded` function starts a new segment when the hourly or daily interval of the current segment is over.
+     * Size and entry limits are applied each time a record is added, and records of the segments dropped beyond `maxSegments` are removed from the logs.
+     * Without a rotation policy, it removes old logs beyond the maximum allowed (`maxLogs`) to control log storage size.
      */
     rotateLogsIfNeeded() {
+        if (this.rotation) {
+            this.rotation.rotateIfNeeded();
+            return;
+        }
+
         if (this.logs.length > this.maxLogs) {
             this.logs.splice(0, this.logs.length - this.maxLogs);
         }
     }
 
 
+    /**
+     * Download the audit logs.
+     *
+     * @param {string|number|null} [segment=null] - With rotation enabled, the file name or index (0 being the current segment) of the segment to download.
+     * When `null`, every segment is downloaded in a zip archive.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const auditLogger = new AuditLogger('audit.log', true, 100);
+     * auditLogger.downloadLogs();            // Downloads 'audit.zip' with 'audit.log', 'audit.1.log'...
+     * auditLogger.downloadLogs('audit.1.log'); // Downloads a single segment
+     *
+     * @description
+     * The `downloadLogs` function exports the stored audit records using the formatter of the logger.
+     * Without rotation, every record is downloaded as a single file named after `auditLogPath`.
+     */
+    downloadLogs(segment = null) {
+        if (this.logs.length === 0) {
+            console.warn('No logs to download.');
+            return;
+        }
+
+        if (this.rotation) {
+            this.rotation.download(segment, (record) => this.formatLog(record));
+            return;
+        }
+
+        const blob = new Blob([this.logs.map((record) => this.formatLog(record)).join('\n')], { type: 'text/plain;charset=utf-8' });
+        saveAs(blob, this.auditLogPath, { autoBom: true });
+    }
+
+
+    /**
+     * Export the audit trail encrypted and/or signed, so it can be handed over for review.
+     *
+     * @param {Object} keys - The keys, at least one is required.
+     * @param {string} [keys.encryptionKey] - Encrypts the trail with AES.
+     * @param {string} [keys.signingKey] - Signs the export with HMAC-SHA256.
+     * @param {boolean} [download=true] - Whether to download the export as '<auditLogPath>.sealed.json'.
+     *
+     * @throws {Error} If no key is given.
+     *
+     * @returns {string|undefined} The sealed export as JSON, or `undefined` if there are no logs.
+     *
+     * @example
+     * auditLogger.exportSealedAuditTrail({ encryptionKey: 'secret', signingKey: 'another-secret' });
+     *
+     * // Reviewer side
+     * const { content } = AuditLogger.openSealedExport(sealed, { encryptionKey: 'secret', signingKey: 'another-secret' });
+     * auditLogger.verifyAuditTrail(content);
+     *
+     * @description
+     * The `exportSealedAuditTrail` function seals the trail returned by `exportAuditTrail`, hashes included.
+     * The trail is encrypted with the 'crypto-js' AES implementation when `encryptionKey` is given,
+     * and the result is signed with an HMAC-SHA256 signature when `signingKey` is given. Keep the keys out of the export.
+     */
+    exportSealedAuditTrail(keys, download = true) {
+        if (this.logs.length === 0) {
+            console.warn('No logs to download.');
+            return;
+        }
+
+        const sealed = sealAuditExport(this.exportAuditTrail(), keys);
+
+        if (download) {
+            saveAs(new Blob([sealed], { type: 'application/json' }), `${this.auditLogPath}.sealed.json`);
+        }
+
+        return sealed;
+    }
+
+
+    /**
+     * Verify and decrypt an export created by `exportSealedAuditTrail`.
+     *
+     * @param {string|Object} exported - The sealed export, as JSON or parsed.
+     * @param {Object} [keys={}] - The keys.
+     * @param {string} [keys.encryptionKey] - Required when the export is encrypted.
+     * @param {string} [keys.signingKey] - Required when the export is signed. When given, the export must be signed with it.
+     *
+     * @throws {Error} If a key is missing, the signature is missing or invalid, or the content cannot be decrypted.
+     *
+     * @returns {{content: string, encrypted: boolean, signed: boolean, createdAt: string}} The audit trail in JSON Lines, and how it was sealed.
+     *
+     * @example
+     * const { content, signed } = AuditLogger.openSealedExport(fileContent, { encryptionKey: 'secret', signingKey: 'another-secret' });
+     *
+     * @description
+     * The `openSealedExport` function checks the signature first, then decrypts the trail.
+     * The trail can then be checked record by record with `verifyAuditTrail` and searched with `queryAuditTrail`.
+     */
+    static openSealedExport(exported, keys = {}) {
+        return openAuditExport(exported, keys);
+    }
+
+
+    /**
+     * Check the signature of an export created by `exportSealedAuditTrail`, without decrypting it.
+     *
+     * @param {string|Object} exported - The sealed export, as JSON or parsed.
+     * @param {string} signingKey - The key the export was signed with.
+     *
+     * @returns {boolean} `true` if the export is signed and was not modified since.
+     *
+     * @example
+     * AuditLogger.verifySealedExport(fileContent, 'another-secret'); // Returns true
+     */
+    static verifySealedExport(exported, signingKey) {
+        return verifyAuditExport(exported, signingKey);
+    }
+
+
     /**
      * Log a security incident.
      *
@@ -143,13 +660,15 @@ class AuditLogger extends LoggerBase {
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logSecurityIncident(action, metadata) {
-        const timestamp = new Date().toISOString();
-        const log = `${timestamp} - SECURITY INCIDENT - ${action} - ${JSON.stringify(metadata)}`;
-        if (this.saveIntoFile) {
-            this.logToFileSystem(log);
-        } else {
-            ConsoleLogger.log(log);
-        }
+        this.logEvent({
+            category: 'SECURITY INCIDENT',
+            actor: getActor(metadata),
+            action,
+            outcome: AUDIT_OUTCOMES.UNKNOWN,
+            metadata,
+            level: LOG_LEVELS.WARN,
+            message: `SECURITY INCIDENT - ${action} - ${JSON.stringify(this.redact(metadata))}`,
+        });
     }
 
 
@@ -175,13 +694,12 @@ class AuditLogger extends LoggerBase {
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logUserActivity(username, activity) {
-        const timestamp = new Date().toISOString();
-        const log = `${timestamp} - USER ACTIVITY - ${username} - ${activity}`;
-        if (this.saveIntoFile) {
-            this.logToFileSystem(log);
-        } else {
-            ConsoleLogger.log(log);
-        }
+        this.logEvent({
+            category: 'USER ACTIVITY',
+            actor: username,
+            action: activity,
+            message: `USER ACTIVITY - ${username} - ${activity}`,
+        });
     }
 
 
@@ -207,13 +725,15 @@ class AuditLogger extends LoggerBase {
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logSystemError(errorMessage, stackTrace) {
-        const timestamp = new Date().toISOString();
-        const log = `${timestamp} - SYSTEM ERROR - ${errorMessage}\n${stackTrace}`;
-        if (this.saveIntoFile) {
-            this.logToFileSystem(log);
-        } else {
-            console.error(log);
-        }
+        this.logEvent({
+            category: 'SYSTEM ERROR',
+            actor: 'system',
+            action: errorMessage,
+            outcome: AUDIT_OUTCOMES.FAILURE,
+            metadata: { stackTrace },
+            level: LOG_LEVELS.ERROR,
+            message: `SYSTEM ERROR - ${errorMessage}\n${stackTrace}`,
+        });
     }
 
 
@@ -240,13 +760,13 @@ class AuditLogger extends LoggerBase {
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logDataAccessEvent(entity, action, user) {
-        const timestamp = new Date().toISOString();
-        const log = `${timestamp} - DATA ACCESS - ${action} on ${entity} by ${user}`;
-        if (this.saveIntoFile) {
-            this.logToFileSystem(log);
-        } else {
-            ConsoleLogger.log(log);
-        }
+        this.logEvent({
+            category: 'DATA ACCESS',
+            actor: user,
+            action,
+            resource: entity,
+            message: `DATA ACCESS - ${action} on ${entity} by ${user}`,
+        });
     }
 
 
@@ -273,14 +793,16 @@ class AuditLogger extends LoggerBase {
      * The log can be saved to the file system or logged to the console based on the configuration.
      */
     logAuthorizationEvent(user, resource, success) {
-        const timestamp = new Date().toISOString();
         const status = success ? 'GRANTED' : 'DENIED';
-        const log = `${timestamp} - AUTHORIZATION - ${status} access to ${resource} for user: ${user}`;
-        if (this.saveIntoFile) {
-            this.logToFileSystem(log);
-        } else {
-            ConsoleLogger.log(log);
-        }
+
+        this.logEvent({
+            category: 'AUTHORIZATION',
+            actor: user,
+            action: 'access',
+            resource,
+            outcome: success ? AUDIT_OUTCOMES.SUCCESS : AUDIT_OUTCOMES.DENIED,
+            message: `AUTHORIZATION - ${status} access to ${resource} for user: ${user}`,
+        });
     }
 
 
@@ -0,0 +1,67 @@
+import { AuditLogger } from './auditLogger.js';
+
+
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+
+describe('AuditLogger batching', () => {
+    test('does not keep the process alive with its flush timer', () => {
+        const auditLogger = new AuditLogger('audit.log', false, 10, true, { batch: { maxSize: 500, flushInterval: 60 * 1000 } });
+
+        expect(auditLogger.flushTimer.hasRef()).toBe(false);
+        auditLogger.close();
+    });
+});
+
+
+describe('AuditLogger audit methods', () => {
+    let auditLogger;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => { });
+        auditLogger = new AuditLogger('audit.log', false, 10, false);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('accept metadata that is not an object', () => {
+        expect(() => auditLogger.logAuditAction('export', null)).not.toThrow();
+        expect(() => auditLogger.logAuditAction('export', 'plain')).not.toThrow();
+        expect(() => auditLogger.logSecurityIncident('scan', ['10.0.0.1'])).not.toThrow();
+
+        expect(auditLogger.logs.map((record) => record.context.metadata)).toEqual([{}, { value: 'plain' }, { value: ['10.0.0.1'] }]);
+        expect(auditLogger.logs[1].message).toBe('export - "plain"');
+    });
+
+    test('store numeric actors and resources as strings', () => {
+        auditLogger.logUserActivity(42, 'Viewed profile page');
+        auditLogger.logDataAccessEvent('orders', 'read', 7);
+        auditLogger.logAuthorizationEvent(7, '/admin', false);
+        auditLogger.logEvent({ actor: 'alice', action: 'delete', resource: 1001 });
+
+        expect(auditLogger.logs.map(({ context }) => [context.actor, context.resource])).toEqual([
+            ['42', null],
+            ['7', 'orders'],
+            ['7', '/admin'],
+            ['alice', '1001'],
+        ]);
+        expect(auditLogger.queryAuditTrail({ actor: '7' })).toHaveLength(2);
+    });
+
+    test('keep their hash when the caller changes the metadata afterwards', () => {
+        const metadata = { ip: '1', tags: ['web'] };
+
+        auditLogger.logAuditAction('login', metadata);
+        metadata.ip = '2';
+        metadata.tags.push('mobile');
+
+        expect(auditLogger.logs[0].context.metadata).toEqual({ ip: '1', tags: ['web'] });
+        expect(auditLogger.verifyAuditTrail()).toMatchObject({ valid: true, count: 1 });
+    });
+
+    test('still reject events without an action', () => {
+        expect(() => auditLogger.logEvent({ actor: 'alice' })).toThrow('Invalid parameters');
+    });
+});
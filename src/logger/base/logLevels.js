@@ -0,0 +1,97 @@
+/**
+* Enum representing the available log levels.
+* Custom levels registered with `registerLogLevel` are added to this object.
+* @readonly
+* @enum {string}
+*/
+const LOG_LEVELS = {
+    TRACE: 'TRACE',
+    DEBUG: 'DEBUG',
+    INFO: 'INFO',
+    WARN: 'WARN',
+    ERROR: 'ERROR',
+    FATAL: 'FATAL',
+    SILENT: 'SILENT',
+};
+
+
+/**
+* Numeric priority of every log level. A log entry is kept when the priority of
+* its level is equal to or higher than the priority of the logger's level.
+* `SILENT` is only meant to be used as a logger level, it silences everything.
+* @readonly
+* @enum {number}
+*/
+const LOG_LEVEL_PRIORITIES = {
+    TRACE: 10,
+    DEBUG: 20,
+    INFO: 30,
+    WARN: 40,
+    ERROR: 50,
+    FATAL: 60,
+    SILENT: Infinity,
+};
+
+
+/**
+ * Names of the levels shipped with the package.
+ * @type {Array<string>}
+ * @private
+ */
+const BUILT_IN_LEVELS = Object.keys(LOG_LEVELS);
+
+
+/**
+ * Register a custom log level with its own priority.
+ *
+ * @param {string} name - The name of the new log level (e.g. 'AUDIT').
+ * @param {number} priority - The numeric priority of the new log level.
+ *
+ * @throws {Error} If the name is not an upper case string, or if the priority is not a finite number.
+ * @throws {Error} If a built-in log level is being redefined.
+ *
+ * @returns {void}
+ *
+ * @example
+ * registerLogLevel('AUDIT', 35); // Between INFO (30) and WARN (40)
+ *
+ * @description
+ * The `registerLogLevel` function adds a new entry to both `LOG_LEVELS` and `LOG_LEVEL_PRIORITIES`,
+ * so the new level is accepted by the validator and compared like any built-in level.
+ * Registering an existing custom level again updates its priority.
+ */
+function registerLogLevel(name, priority) {
+
+    if (typeof name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(name)) {
+        throw new Error('Invalid parameters: "name" must be an upper case string.');
+    }
+
+    if (typeof priority !== 'number' || !Number.isFinite(priority)) {
+        throw new Error('Invalid parameters: "priority" must be a finite number.');
+    }
+
+    if (BUILT_IN_LEVELS.includes(name)) {
+        throw new Error(`Invalid parameters: "${name}" is a built-in log level and cannot be redefined.`);
+    }
+
+    LOG_LEVELS[name] = name;
+    LOG_LEVEL_PRIORITIES[name] = priority;
+}
+
+
+/**
+ * Get the numeric priority of a log level.
+ *
+ * @param {string} level - The log level.
+ *
+ * @returns {number|undefined} The priority of the level, or `undefined` if the level is unknown.
+ *
+ * @example
+ * getLogLevelPriority('WARN'); // Returns 40
+ */
+function getLogLevelPriority(level) {
+    return LOG_LEVEL_PRIORITIES[level];
+}
+
+
+export { LOG_LEVELS, LOG_LEVEL_PRIORITIES, registerLogLevel, getLogLevelPriority };
@@ -0,0 +1,66 @@
+/**
+ * A single log entry, as stored in `LoggerBase.logs`.
+ *
+ * @typedef {Object} LogRecord
+ * @property {string} level - The log level of the entry.
+ * @property {string} timestamp - The ISO 8601 date at which the entry was created.
+ * @property {string} message - The log message.
+ * @property {?string} name - The name of the logger that created the entry, or `null`.
+ * @property {Object} context - Additional fields attached to the entry.
+ * @property {?Error} error - The error attached to the entry, or `null`.
+ */
+
+
+/**
+ * Create a new log record.
+ *
+ * @param {Object} params - The content of the record.
+ * @param {string} params.level - The log level of the entry.
+ * @param {string} params.message - The log message.
+ * @param {?string} [params.name=null] - The name of the logger that created the entry.
+ * @param {Object} [params.context={}] - Additional fields attached to the entry.
+ * @param {?Error} [params.error=null] - The error attached to the entry.
+ * @param {string} [params.timestamp] - The ISO 8601 date of the entry, defaults to now.
+ *
+ * @returns {LogRecord} A new log record.
+ *
+ * @example
+ * const record = createLogRecord({ level: 'INFO', message: 'User signed in', context: { userId: 42 } });
+ * // { level: 'INFO', timestamp: '2024-01-09T12:00:00.000Z', message: 'User signed in', name: null, context: { userId: 42 }, error: null }
+ */
+function createLogRecord({ level, message, name = null, context = {}, error = null, timestamp = new Date().toISOString() }) {
+    return {
+        level,
+        timestamp,
+        message,
+        name,
+        context: { ...context },
+        error,
+    };
+}
+
+
+/**
+ * Convert a log record into a plain, JSON-serializable object.
+ *
+ * @param {LogRecord} record - The record to serialize.
+ *
+ * @returns {Object} A copy of the record where the error is replaced by its name, message and stack.
+ *
+ * @example
+ * const record = createLogRecord({ level: 'ERROR', message: 'Request failed', error: new Error('Timeout') });
+ * JSON.stringify(serializeLogRecord(record));
+ * // {"level":"ERROR","timestamp":"...","message":"Request failed","name":null,"context":{},"error":{"name":"Error","message":"Timeout","stack":"..."}}
+ */
+function serializeLogRecord(record) {
+    const { error } = record;
+
+    return {
+        ...record,
+        context: { ...record.context },
+        error: error ? { name: error.name, message: error.message, stack: error.stack } : null,
+    };
+}
+
+
+export { createLogRecord, serializeLogRecord };
@@ -6,17 +6,40 @@
  */
 import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js"
 
+/**
+ * Import the log level ladder and its numeric priorities from "./logLevels.js".
+ */
+import { LOG_LEVELS, LOG_LEVEL_PRIORITIES, registerLogLevel } from "./logLevels.js"
+
+/**
+ * Import the log record helpers from "./logRecord.js".
+ * Every entry stored in `LoggerBase.logs` is a record created by `createLogRecord`.
+ */
+import { createLogRecord, serializeLogRecord } from "./logRecord.js"
+
+/**
+ * Import the formatter factory from "../formatter/formatter.js".
+ * It turns log records into text for printing, downloads and any other output.
+ */
+import { createFormatter } from "../formatter/formatter.js"
 
 /**
-* Enum representing the available log levels.
-* @readonly
-* @enum {string}
-*/
-const LOG_LEVELS = {
-    DEBUG: 'DEBUG',
-    INFO: 'INFO',
-    WARN: 'WARN',
-};
+ * Import the LoggerRegistry module from "../registry/loggerRegistry.js".
+ * It decides which logger namespaces are enabled.
+ */
+import { LoggerRegistry } from "../registry/loggerRegistry.js"
+
+/**
+ * Import the redactor factory from "../redaction/redactor.js".
+ * It removes sensitive values from records before they are stored or written anywhere.
+ */
+import { createRedactor } from "../redaction/redactor.js"
+
+/**
+ * Import the MetricsRegistry module from "../metrics/metricsRegistry.js".
+ * It holds the counters, gauges and histograms of the logger.
+ */
+import { MetricsRegistry } from "../metrics/metricsRegistry.js"
 
 
 /**
@@ -36,20 +59,42 @@ class LoggerBase {
     /**
      * Create a LoggerBase instance.
      *
-     * @param {('DEBUG'|'INFO'|'WARN')} [level=LOG_LEVELS.INFO] - Initial log level.
+     * @param {('TRACE'|'DEBUG'|'INFO'|'WARN'|'ERROR'|'FATAL'|'SILENT')} [level=LOG_LEVELS.INFO] - Initial log level.
      * The log level determines the severity of the log messages that will be
-     * logged. The available log levels are 'DEBUG', 'INFO', and 'WARN'.
+     * logged. The available log levels are 'TRACE', 'DEBUG', 'INFO', 'WARN', 'ERROR' and 'FATAL',
+     * plus any custom level registered with `LoggerBase.registerLogLevel`.
+     * 'SILENT' disables the logger entirely.
      * If no level is provided, the default log level is 'INFO'.
+     * @param {Object} [options={}] - Additional logger options.
+     * @param {string} [options.name] - The name of the logger, stamped on every record. Names are namespaces such as 'app:checkout',
+     * which can be enabled or silenced with `LoggerRegistry.enable`.
+     * @param {Object} [options.context={}] - Fields stamped on every record created by the logger.
+     * @param {string|Function|Object} [options.formatter='text'] - The formatter used to turn records into text:
+     * 'text', 'json' (JSON Lines), 'logfmt', a template string such as '{timestamp} {level} {name} {message}',
+     * a function or an object with a `format(record)` method.
+     * @param {Array<Object>} [options.transports=[]] - The destinations every kept record is written to, see `TransportBase`.
+     * @param {Redactor|Object} [options.redaction] - The redaction rules applied to every record, see `Redactor` and `setRedaction`.
+     * @param {MetricsRegistry} [options.metrics] - The registry of the counters, gauges and histograms of the logger, a new one by default.
+     * Pass the same registry to several loggers to export their metrics together.
      */
-    constructor(level = LOG_LEVELS.INFO) {
+    constructor(level = LOG_LEVELS.INFO, options = {}) {
 
-        // Validate the log level.
+        // Validate the log level and the options.
         validator._validateLogLevel({ level });
+        validator._validateLoggerOptions(options);
         this.level = level;
 
+        const { name = null, context = {}, formatter = 'text', transports = [], redaction = null, metrics = null } = options;
+        this.name = name;
+        this.context = { ...context };
+        this.formatter = createFormatter(formatter);
+        this.transports = [...transports];
+        this.redactor = redaction ? createRedactor(redaction) : null;
+        this.metrics = metrics || new MetricsRegistry();
+
         // Initialize the logs array.
         /**
-         * @type {Array<Object>}
+         * @type {Array<import('./logRecord.js').LogRecord>}
          * @private
          */
         this.logs = [];
@@ -59,14 +104,14 @@ class LoggerBase {
     /**
      * Set the log level for the logger.
      *
-     * @param {('INFO'|'DEBUG'|'WARN')} level - The desired log level.
+     * @param {('TRACE'|'DEBUG'|'INFO'|'WARN'|'ERROR'|'FATAL'|'SILENT')} level - The desired log level.
      *
      * @returns {void}
      *
      * @example
-     * LoggerBase.setLogLevel('DEBUG'); // Sets the log level to 'DEBUG'
-     * LoggerBase.setLogLevel('INFO');  // Sets the log level to 'INFO'
-     * LoggerBase.setLogLevel('WARN');  // Sets the log level to 'WARN'
+     * LoggerBase.setLogLevel('DEBUG');  // Sets the log level to 'DEBUG'
+     * LoggerBase.setLogLevel('ERROR');  // Only 'ERROR' and 'FATAL' entries are kept
+     * LoggerBase.setLogLevel('SILENT'); // Silences the logger
      *
      * @output
      * // No output in the console. Updates the log level for subsequent log entries.
@@ -83,32 +128,35 @@ class LoggerBase {
 
 
     /**
-     * Get the log level from a log message.
+     * Get the log level of a log record.
      *
-     * @param {string} logMessage - The log message from which to extract the log level.
+     * @param {import('./logRecord.js').LogRecord|string} log - The log record, or a legacy log message string.
      *
-     * @returns {('INFO'|'DEBUG'|'WARN')} The log level extracted from the log message.
+     * @returns {string|undefined} The log level of the record, or `undefined` if it is not a known level.
      *
      * @example
+     * const [record] = logger.getLogs();
+     * const level = LoggerBase.getLogLevel(record); // Returns 'INFO'
+     *
      * const logMessage = 'INFO - This is an informational log message.';
-     * const level = LoggerBase.getLogLevel(logMessage); // Returns 'INFO'
+     * const legacyLevel = LoggerBase.getLogLevel(logMessage); // Returns 'INFO'
      *
      * @output
-     * // No output in the console. Returns the log level extracted from the log message.
+     * // No output in the console. Returns the log level of the record.
      *
      * @description
-     * The `getLogLevel` function extracts the log level from a given log message.
-     * It takes a `logMessage` parameter, typically in the format 'LOG_LEVEL - Log message content'.
-     * The function splits the log message using the separator ' - ' and extracts the first part, which represents the log level.
-     * The extracted log level is then returned, mapping it to the predefined log levels using the `LOG_LEVELS` object.
+     * The `getLogLevel` function returns the `level` field of a log record.
+     * Strings in the legacy 'LOG_LEVEL - Log message content' format are still accepted:
+     * the text before the first ' - ' separator is read as the log level.
+     * The log level is then returned, mapping it to the predefined log levels using the `LOG_LEVELS` object.
      */
-    getLogLevel(logMessage) {
+    getLogLevel(log) {
 
-        const parts = logMessage.split(' - ');
-
-        const logLevel = parts[0];
+        if (typeof log === 'string') {
+            return LOG_LEVELS[log.split(' - ')[0]];
+        }
 
-        return LOG_LEVELS[logLevel];
+        return LOG_LEVELS[log.level];
 
     }
 
@@ -117,7 +165,7 @@ class LoggerBase {
      * Format a log message with its log level.
      *
      * @param {string} msg - The log message content.
-     * @param {('INFO'|'DEBUG'|'WARN')} level - The log level associated with the log message.
+     * @param {string} level - The log level associated with the log message.
      *
      * @returns {string} The formatted log message with its log level.
      *
@@ -164,72 +212,396 @@ class LoggerBase {
     }
 
 
+    /**
+     * Check if a log entry with the given level would be kept by the logger.
+     *
+     * @param {string} level - The log level to check.
+     *
+     * @returns {boolean} `true` if the priority of `level` is equal to or higher than the priority of the logger's level.
+     *
+     * @example
+     * const logger = new LoggerBase('WARN');
+     * logger.isLevelEnabled('ERROR'); // Returns true
+     * logger.isLevelEnabled('INFO');  // Returns false
+     *
+     * @output
+     * // No output in the console. Returns a boolean indicating whether the level is enabled.
+     *
+     * @description
+     * The `isLevelEnabled` function compares the numeric priorities of `level` and of the logger's current level
+     * using `LOG_LEVEL_PRIORITIES`. It is useful to skip building expensive log messages that would be discarded anyway.
+     * The level set for the logger namespace in `LoggerRegistry` takes precedence over the logger's own level, see `getEffectiveLogLevel`.
+     * A logger set to 'SILENT', or whose namespace is silenced by `LoggerRegistry`, never enables any level.
+     */
+    isLevelEnabled(level) {
+        const threshold = this.getEffectiveLogLevel();
+
+        if (threshold === LOG_LEVELS.SILENT || level === LOG_LEVELS.SILENT) {
+            return false;
+        }
+
+        if (!LoggerRegistry.isEnabled(this.name)) {
+            return false;
+        }
+
+        return LOG_LEVEL_PRIORITIES[level] >= LOG_LEVEL_PRIORITIES[threshold];
+    }
+
+
+    /**
+     * Get the log level actually applied to the logger.
+     *
+     * @returns {string} The level set for the logger namespace in `LoggerRegistry`, or the logger's own level.
+     *
+     * @example
+     * const logger = new LoggerBase('WARN', { name: 'storage:session' });
+     * logger.getEffectiveLogLevel(); // Returns 'WARN'
+     *
+     * LoggerRegistry.configure('storage:*=DEBUG');
+     * logger.getEffectiveLogLevel(); // Returns 'DEBUG'
+     *
+     * @output
+     * // No output in the console. Returns the effective log level.
+     *
+     * @description
+     * The `getEffectiveLogLevel` function lets the verbosity of one subsystem be changed globally, by namespace pattern,
+     * without touching the level of the other loggers.
+     */
+    getEffectiveLogLevel() {
+        return LoggerRegistry.getLevel(this.name) || this.level;
+    }
+
+
     /**
      * Add a log entry with the specified message and log level.
      *
      * @param {string} message - The log message to be added.
      * @param {string} [level=LOG_LEVELS.INFO] - The log level associated with the message.
+     * @param {Object} [fields={}] - Context fields attached to the entry. An `error` field holding an `Error` is stored separately.
      *
-     * @returns {void}
+     * @returns {import('./logRecord.js').LogRecord|undefined} The new log record, or `undefined` if the level is not enabled.
      *
      * @example
      * const logMessage = 'This is an info message.';
      * const logLevel = 'INFO';
      * LoggerBase.addLog(logMessage, logLevel);
      *
+     * LoggerBase.addLog('Payment failed', 'ERROR', { orderId: 42, error: new Error('Card declined') });
+     *
      * @output
-     * // No output in the console. Adds the log entry to the logs array.
+     * // No output in the console. Adds the log record to the logs array.
      *
      * @description
      * The `addLog` function adds a log entry to the logger instance.
-     * It takes two parameters: `message`, which is the log message, and `level`, which is the log level associated with the message.
+     * It takes three parameters: `message`, which is the log message, `level`, which is the log level associated with the message,
+     * and `fields`, which holds additional context for the entry.
      * If no log level is provided, it defaults to 'INFO'.
-     * The function validates the log level and log message using the `validator` instance.
-     * It constructs the final log message by combining the log level, timestamp, and message.
-     * The log entry is then added to the `logs` array, but only if its log level is equal to or higher than the logger's current log level.
+     * The function validates the log level, log message and fields using the `validator` instance.
+     * 'SILENT' is not accepted here because it is only meant to be used as a logger level.
+     * It creates a structured log record holding the level, timestamp, message, logger name, context fields and error.
+     * The context of the logger is merged with `fields`, the latter taking precedence.
+     * When redaction rules are set, the record is redacted before it is stored, so transports and downloads never see the sensitive values.
+     * The log record is then added to the `logs` array, but only if the priority of its log level is equal to or higher than the priority of the logger's current log level.
+     * Finally, the record is written to every transport of the logger whose minimum level it reaches.
      */
-    addLog(message, level = LOG_LEVELS.INFO) {
+    addLog(message, level = LOG_LEVELS.INFO, fields = {}) {
 
         validator._validateLogLevel({ level });
         validator._validateLogMessage({ message });
+        validator._validateLogFields({ fields });
 
-        const timestamp = new Date().toISOString();
-
-        const levelIndex = Object.keys(LOG_LEVELS).indexOf(level.toString());
-        const levelConstructorIndex = Object.keys(LOG_LEVELS).indexOf(this.level.toString());
+        if (level === LOG_LEVELS.SILENT) {
+            throw new Error('Invalid parameters: "SILENT" can only be used as a logger level.');
+        }
 
-        if (levelIndex < levelConstructorIndex) {
+        if (!this.isLevelEnabled(level)) {
             return;
         }
 
-        let finalMessage = `${level} - ${timestamp} - ${message}`;
+        const { error = null, ...context } = fields;
+
+        const newRecord = createLogRecord({
+            level,
+            message,
+            name: this.name,
+            context: { ...this.context, ...context },
+            error,
+        });
+        const record = this.redactor ? this.redactor.redactRecord(newRecord) : newRecord;
 
-        this.logs.push(finalMessage);
+        this._prepareRecord(record);
+        this.logs.push(record);
+        this._writeToTransports(record);
 
+        return record;
+    }
+
+
+    /**
+     * Add a transport to the logger.
+     *
+     * @param {Object} transport - The transport, any object with a `write(record, line)` method and optional `level` and `formatter` properties.
+     *
+     * @throws {Error} If the transport has no `write` method.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const logger = new LoggerBase('DEBUG');
+     * logger.addTransport(new ConsoleTransport({ level: 'WARN' }));
+     * logger.addTransport(new HttpTransport({ url: '/api/logs', level: 'ERROR', formatter: 'json', batchSize: 10 }));
+     * logger.addLog('Payment failed', 'ERROR'); // Printed to the console and queued for the HTTP endpoint
+     *
+     * @output
+     * // No output in the console. Subsequent log records are written to the transport.
+     *
+     * @description
+     * The `addTransport` function adds a destination to the logger. Every record kept by the logger is written to all of its transports,
+     * provided the record level reaches the `level` of the transport. Each transport uses its own formatter, or the logger formatter if it has none.
+     * On a child logger, the transport is added to the child only, see `child`.
+     */
+    addTransport(transport) {
+        validator._validateTransport({ transport });
+        this._getOwnTransports().push(transport);
+    }
+
+
+    /**
+     * Remove a transport from the logger.
+     *
+     * @param {Object} transport - The transport to remove.
+     *
+     * @returns {boolean} `true` if the transport was removed, `false` if the logger did not use it.
+     *
+     * @example
+     * logger.removeTransport(consoleTransport);
+     *
+     * @output
+     * // No output in the console. Subsequent log records are not written to the transport anymore.
+     *
+     * @description
+     * On a child logger, the transport is removed from the child only, see `child`.
+     */
+    removeTransport(transport) {
+        const index = this.transports.indexOf(transport);
+
+        if (index === -1) {
+            return false;
+        }
+
+        this._getOwnTransports().splice(index, 1);
+        return true;
+    }
+
+
+    /**
+     * Get the transports array of this logger, copying the array of its parent first for a child logger
+     * that still shares it, so changing the transports of a child never changes those of its parent and siblings.
+     *
+     * @returns {Array<Object>} The transports array owned by this logger.
+     * @private
+     */
+    _getOwnTransports() {
+        if (!Object.prototype.hasOwnProperty.call(this, 'transports')) {
+            this.transports = [...this.transports];
+        }
+
+        return this.transports;
+    }
+
+
+    /**
+     * Write a log record to every transport accepting its level.
+     * A failing transport is reported to the console and does not prevent the other transports from receiving the record.
+     *
+     * @param {import('./logRecord.js').LogRecord} record - The log record.
+     *
+     * @returns {void}
+     * @private
+     */
+    _writeToTransports(record) {
+        this.transports.forEach((transport) => {
+            if (transport.level && LOG_LEVEL_PRIORITIES[record.level] < LOG_LEVEL_PRIORITIES[transport.level]) {
+                return;
+            }
+
+            try {
+                const formatter = transport.formatter || this.formatter;
+                transport.write(record, formatter.format(record));
+            } catch (error) {
+                console.error(`Failed to write log record to ${transport.constructor.name}: ${error.message}`);
+            }
+        });
+    }
+
+
+    /**
+     * Set the redaction rules applied to every new record.
+     *
+     * @param {Redactor|Object|null} redaction - A redactor, the options of a new one, or `null` to stop redacting.
+     *
+     * @throws {Error} If the redaction rules are invalid.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerBase.setRedaction({
+     *     paths: ['password', 'token', 'headers.authorization', { path: 'user.email', strategy: 'hash' }],
+     *     patterns: ['email', 'creditCard', 'jwt'],
+     * });
+     * LoggerBase.addLog('Sign-in by john@example.com', 'INFO', { password: 'hunter2' });
+     *
+     * @output
+     * // INFO - 2026-10-19T12:00:00.000Z - Sign-in by [REDACTED] {"password":"[REDACTED]"}
+     *
+     * @description
+     * The `setRedaction` function replaces the redaction rules of the logger, see `Redactor`.
+     * Fields at the given key paths, and substrings matching the given patterns in the message, the string fields and the error, are masked,
+     * hashed with HMAC-SHA-256 or dropped. Records already stored are left as they are.
+     */
+    setRedaction(redaction) {
+        this.redactor = redaction ? createRedactor(redaction) : null;
+    }
+
+
+    /**
+     * Redact a value with the redaction rules of the logger.
+     *
+     * @param {*} value - The value, such as metadata about to be written in a message. It is left untouched.
+     *
+     * @returns {*} A redacted copy of the value, or the value itself when no redaction rules are set.
+     *
+     * @example
+     * const metadata = LoggerBase.redact({ username: 'john', password: 'hunter2' }); // { username: 'john', password: '[REDACTED]' }
+     * LoggerBase.addLog(`Sign-in - ${JSON.stringify(metadata)}`);
+     */
+    redact(value) {
+        return this.redactor ? this.redactor.redactValue(value) : value;
+    }
+
+
+    /**
+     * Export the counters, gauges and histograms of the logger.
+     *
+     * @param {('json'|'prometheus')} [format='json'] - The format: JSON, or the Prometheus text format for a /metrics endpoint.
+     *
+     * @throws {Error} If the format is invalid.
+     *
+     * @returns {string} The metrics.
+     *
+     * @example
+     * LoggerBase.metrics.counter('sign_ins_total', { help: 'Sign-ins.', labelNames: ['method'] }).inc(1, { method: 'password' });
+     * LoggerBase.exportMetrics('prometheus');
+     *
+     * @output
+     * # HELP sign_ins_total Sign-ins.
+     * # TYPE sign_ins_total counter
+     * sign_ins_total{method="password"} 1
+     *
+     * @description
+     * The `exportMetrics` function exports the metrics registry in `metrics`, shared with the child loggers.
+     * Use `metrics.snapshot()` for the values as an object, and `metrics.reset()` to reset them.
+     */
+    exportMetrics(format = 'json') {
+        validator._validateMetricsFormat({ format });
+
+        return format === 'prometheus' ? this.metrics.toPrometheus() : JSON.stringify(this.metrics);
+    }
+
+
+    /**
+     * Set the formatter used to turn log records into text.
+     *
+     * @param {string|Function|Object} formatter - 'text', 'json', 'logfmt', a template string, a function or an object with a `format(record)` method.
+     *
+     * @throws {Error} If the formatter is invalid.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerBase.setFormatter('json');   // JSON Lines, one record per line
+     * LoggerBase.setFormatter('logfmt'); // timestamp=... level=INFO msg="..."
+     * LoggerBase.setFormatter('{timestamp} [{level}] {name}: {message}');
+     * LoggerBase.setFormatter((record) => `${record.level}: ${record.message}`);
+     *
+     * @output
+     * // No output in the console. Updates the formatter used by `formatLog`.
+     *
+     * @description
+     * The `setFormatter` function replaces the formatter of the logger.
+     * The formatter is used by `formatLog`, and therefore by `printLogs`, `FileLogger.downloadLogs` and every other output of the logger.
+     */
+    setFormatter(formatter) {
+        this.formatter = createFormatter(formatter);
+    }
+
+
+    /**
+     * Format a log record as a single line of text.
+     *
+     * @param {import('./logRecord.js').LogRecord} record - The log record to format.
+     *
+     * @returns {string} The formatted log record.
+     *
+     * @example
+     * const [record] = logger.getLogs();
+     * logger.formatLog(record); // Returns 'INFO - 2024-01-09T12:00:00.000Z - This is an info message.'
+     *
+     * @output
+     * // No output in the console. Returns the formatted log record.
+     *
+     * @description
+     * The `formatLog` function turns a structured log record into text using the formatter of the logger.
+     * The default 'text' formatter uses the 'LEVEL - timestamp - message' layout.
+     * It is the formatting step used by `printLogs` and by the subclasses writing logs to other targets.
+     */
+    formatLog(record) {
+        return this.formatter.format(record);
     }
 
 
     /**
      * Get the array of log entries.
      *
-     * @returns {Array<string>} - An array containing log entries.
+     * @returns {Array<import('./logRecord.js').LogRecord>} - An array containing log records.
      *
      * @example
      * const logs = LoggerBase.getLogs();
      * console.log(logs);
      *
      * @output
-     * // Output will be an array of log entries.
+     * // Output will be an array of log records.
+     * // [{ level: 'INFO', timestamp: '2024-01-09T12:00:00.000Z', message: 'This is an info message.', name: null, context: {}, error: null }]
      *
      * @description
-     * The `getLogs` function returns the array of log entries stored in the logger instance.
-     * You can use this function to retrieve and inspect the log entries without modifying the logger state.
+     * The `getLogs` function returns the array of log records stored in the logger instance.
+     * You can use this function to retrieve and inspect the log records without modifying the logger state.
      */
     getLogs() {
         return this.logs;
     }
 
 
+    /**
+     * Get the log records as plain, JSON-serializable objects.
+     *
+     * @returns {Array<Object>} - An array containing the serialized log records.
+     *
+     * @example
+     * const json = JSON.stringify(LoggerBase.serializeLogs());
+     *
+     * @output
+     * // No output in the console. Returns the serialized log records.
+     *
+     * @description
+     * The `serializeLogs` function returns a copy of the log records where errors are replaced by their name, message and stack,
+     * so the result can be passed to `JSON.stringify` or stored without losing information.
+     */
+    serializeLogs() {
+        return this.logs.map(serializeLogRecord);
+    }
+
+
     /**
      * Clear all log entries.
      *
@@ -244,9 +616,83 @@ class LoggerBase {
      * @description
      * The `clearLogs` function empties the array of log entries in the logger instance.
      * After calling this function, the logger will have no log entries.
+     * The array is emptied in place, so the entries are also removed from the parent and the children sharing it.
      */
     clearLogs() {
-        this.logs = [];
+        this.logs.splice(0, this.logs.length);
+    }
+
+
+    /**
+     * Complete a new record before it is stored and written to the transports. Does nothing by default.
+     *
+     * @param {Object} record - The new record, modified in place.
+     *
+     * @returns {void}
+     * @protected
+     */
+    _prepareRecord(record) { }
+
+
+    /**
+     * Remove records from the logs, in place, so the parent and the children sharing the array see the change.
+     *
+     * @param {Array<Object>} records - The records to remove.
+     *
+     * @returns {void}
+     * @private
+     */
+    _removeRecords(records) {
+        const removed = new Set(records);
+        const kept = this.logs.filter((record) => !removed.has(record));
+
+        this.logs.splice(0, this.logs.length, ...kept);
+    }
+
+
+    /**
+     * Create a child logger with additional context and an optional sub-namespace.
+     *
+     * @param {Object} [context={}] - Fields stamped on every record of the child, on top of the context of this logger.
+     * @param {string} [namespace] - The namespace segment appended to the name of this logger, e.g. 'payment'.
+     *
+     * @throws {Error} If the context is not an object or the namespace is not a string.
+     *
+     * @returns {LoggerBase} The child logger, an instance of the same class as this logger.
+     *
+     * @example
+     * const logger = new LoggerBase('DEBUG', { name: 'app' });
+     * const checkout = logger.child({ module: 'checkout', requestId: 'r-42' }, 'checkout');
+     * const payment = checkout.child({ provider: 'stripe' }, 'payment');
+     *
+     * payment.addLog('Card charged');
+     * // { level: 'INFO', name: 'app:checkout:payment', context: { module: 'checkout', requestId: 'r-42', provider: 'stripe' }, ... }
+     *
+     * LoggerRegistry.enable('app:*,-app:checkout:payment'); // Silences the payment logger only
+     *
+     * @output
+     * // No output in the console. Returns the child logger.
+     *
+     * @description
+     * The `child` function returns a logger inheriting the level, formatter, transports and logs of this logger.
+     * The inheritance is live: changing the level or the formatter of the parent also affects the children that did not override it.
+     * The child writes its records to the same logs array and transports as its parent.
+     * Adding or removing a transport on the child gives it its own transports, copied from its parent at that moment:
+     * the parent and the siblings are not affected, and the transports added to the parent afterwards do not reach the child.
+     * Its name is the parent name followed by `namespace`, separated by a colon, so it can be enabled or silenced by pattern with `LoggerRegistry`.
+     */
+    child(context = {}, namespace) {
+        validator._validateChildLogger({ context, namespace });
+
+        const child = Object.create(this);
+
+        child.context = { ...this.context, ...context };
+
+        if (namespace) {
+            child.name = this.name ? `${this.name}:${namespace}` : namespace;
+        }
+
+        return child;
     }
 
 
@@ -263,15 +709,46 @@ class LoggerBase {
      *
      * @description
      * The `printLogs` function iterates through all log entries in the logger instance and prints each entry to the console.
-     * Each log entry is printed on a new line.
+     * Each log entry is formatted with `formatLog` and printed on a new line.
      */
     printLogs() {
         this.logs.forEach((log) => {
-            console.log(`${log}`);
+            console.log(this.formatLog(log));
         });
     }
 
 
+    /**
+     * Register a custom log level with its own numeric priority.
+     *
+     * @param {string} name - The name of the new log level, in upper case (e.g. 'AUDIT').
+     * @param {number} priority - The numeric priority of the new log level.
+     *
+     * @throws {Error} If the name or the priority is invalid, or if a built-in level is redefined.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerBase.registerLogLevel('AUDIT', 35);
+     * LoggerBase.registerLogLevel('METRIC', 15);
+     *
+     * const logger = new LoggerBase('AUDIT');
+     * logger.addLog('User deleted', 'AUDIT'); // Kept
+     * logger.addLog('Cache hit', 'INFO');     // Discarded, INFO (30) is lower than AUDIT (35)
+     *
+     * @output
+     * // No output in the console. The new level can be used by every logger.
+     *
+     * @description
+     * The `registerLogLevel` function adds a custom level to `LOG_LEVELS` and `LOG_LEVEL_PRIORITIES`.
+     * Built-in priorities are TRACE (10), DEBUG (20), INFO (30), WARN (40), ERROR (50) and FATAL (60),
+     * so a custom level can be placed anywhere on the ladder.
+     */
+    static registerLogLevel(name, priority) {
+        registerLogLevel(name, priority);
+    }
+
+
     /**
      * Logs all the available functions (static and non-static) in the LoggerBase class to the console.
      *
@@ -298,6 +775,6 @@ class LoggerBase {
     }
 }
 
-// Export the LoggerBase and LOG_LEVELS modules.
+// Export the LoggerBase, LOG_LEVELS and LOG_LEVEL_PRIORITIES modules.
 export { LoggerBase };
-export { LOG_LEVELS };
\ No newline at end of file
+export { LOG_LEVELS, LOG_LEVEL_PRIORITIES };
\ No newline at end of file
@@ -0,0 +1,54 @@
+import { LoggerBase } from './loggerBase.js';
+
+
+const createTransport = () => ({ messages: [], write(record) { this.messages.push(record.message); } });
+
+
+describe('LoggerBase.child', () => {
+    test('adds transports to the child only', () => {
+        const parent = new LoggerBase('INFO', { name: 'app' });
+        const shared = createTransport();
+        const own = createTransport();
+
+        parent.addTransport(shared);
+
+        const child = parent.child({}, 'checkout');
+        const sibling = parent.child({}, 'search');
+
+        child.addTransport(own);
+        parent.addLog('from parent');
+        sibling.addLog('from sibling');
+        child.addLog('from child');
+
+        expect(shared.messages).toEqual(['from parent', 'from sibling', 'from child']);
+        expect(own.messages).toEqual(['from child']);
+        expect(parent.transports).toEqual([shared]);
+    });
+
+    test('removes transports from the child only', () => {
+        const parent = new LoggerBase('INFO');
+        const shared = createTransport();
+
+        parent.addTransport(shared);
+
+        const child = parent.child();
+
+        expect(child.removeTransport(shared)).toBe(true);
+        expect(child.removeTransport(shared)).toBe(false);
+        child.addLog('from child');
+        parent.addLog('from parent');
+
+        expect(shared.messages).toEqual(['from parent']);
+    });
+
+    test('shares the transports of its parent until it changes its own', () => {
+        const parent = new LoggerBase('INFO');
+        const child = parent.child();
+        const late = createTransport();
+
+        parent.addTransport(late);
+        child.addLog('from child');
+
+        expect(late.messages).toEqual(['from child']);
+    });
+});
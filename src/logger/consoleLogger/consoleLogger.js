@@ -1,4 +1,26 @@
-import { LoggerBase } from "../base/loggerBase";
+import { LoggerBase, LOG_LEVELS } from "../base/loggerBase";
+import { createRedactor } from "../redaction/redactor.js";
+
+
+/**
+ * The redactor of the static methods, set by `ConsoleLogger.setRedaction`.
+ * @type {?import('../redaction/redactor.js').Redactor}
+ * @private
+ */
+let staticRedactor = null;
+
+
+/**
+ * Redact a value printed by a static method.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {*} A redacted copy of the value, or the value itself when no redaction rules are set.
+ * @private
+ */
+function redactStatic(value) {
+    return staticRedactor ? staticRedactor.redactValue(value) : value;
+}
 
 
 /**
@@ -13,14 +35,42 @@ import { LoggerBase } from "../base/loggerBase";
 class ConsoleLogger extends LoggerBase {
 
     /**
-     * Constructor for the ConsoleLogger class. It initializes the logger instance and a counts object
-     * to keep track of the number of times specific labels have been logged.
+     * Constructor for the ConsoleLogger class. It initializes the logger instance, whose metrics registry
+     * keeps track of the number of times specific labels have been counted.
+     *
+     * @param {string} [level='INFO'] - Initial log level.
+     * @param {Object} [options={}] - Logger options, see `LoggerBase`.
      *
      * @constructor
      */
-    constructor() {
-        super();
-        this.counts = {};
+    constructor(level, options = {}) {
+        super(level, options);
+    }
+
+
+
+    /**
+     * Set the redaction rules of the static methods, which print without a logger instance.
+     *
+     * @param {import('../redaction/redactor.js').Redactor|Object|null} redaction - A redactor, the options of a new one, or `null` to stop redacting.
+     *
+     * @throws {Error} If the redaction rules are invalid.
+     *
+     * @returns {void}
+     *
+     * @example
+     * ConsoleLogger.setRedaction({ paths: ['password'], patterns: ['email'] });
+     * ConsoleLogger.dir({ user: 'john@example.com', password: 'hunter2' });
+     *
+     * @output
+     * { user: '[REDACTED]', password: '[REDACTED]' }
+     *
+     * @description
+     * The static `setRedaction` method sets the redaction rules applied by `log`, `logTable`, `logWarning`, `logError`, `trace`,
+     * `logStyled`, `assert` and `dir` to what they print, see `Redactor`. Instances use their own rules, see `LoggerBase.setRedaction`.
+     */
+    static setRedaction(redaction) {
+        staticRedactor = redaction ? createRedactor(redaction) : null;
     }
 
 
@@ -43,7 +93,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.log` method to log the message to the console.
      */
     static log(message) {
-        console.log(message);
+        console.log(redactStatic(message));
     }
 
 
@@ -76,7 +126,7 @@ class ConsoleLogger extends LoggerBase {
      * Each object in the array should have the same keys, which will be used as the column headers in the table.
  */
     static logTable(data) {
-        console.table(data);
+        console.table(redactStatic(data));
     }
 
 
@@ -129,7 +179,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.warn` method to log the message to the console.
      */
     static logWarning(msg) {
-        console.warn(msg);
+        console.warn(redactStatic(msg));
     }
 
 
@@ -165,7 +215,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.error` method to log the message to the console.
      */
     static logError(err) {
-        console.error(err);
+        console.error(redactStatic(err));
     }
 
 
@@ -251,7 +301,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.trace` method to log the stack trace of the error object.
      */
     static trace(error) {
-        console.trace(error);
+        console.trace(redactStatic(error));
     }
 
 
@@ -350,7 +400,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.log` method to log the styled message to the console.
      */
     static logStyled(message, style) {
-        console.log(`%c${message}`, style);
+        console.log(`%c${redactStatic(message)}`, style);
     }
 
 
@@ -372,17 +422,18 @@ class ConsoleLogger extends LoggerBase {
      * @description
      * The `count` method counts the number of times a label has been called and logs the result.
      * It takes one parameter: `label`, which is the label to count.
-     * It uses an internal `counts` object to keep track of the number of times each label has been called.
-     * It then logs the label and the current count to the console.
+     * It uses the 'console_count_total' counter of the `metrics` registry, with a `label` label, to keep track of the number of times each label has been called.
+     * It then adds the label and the current count to the logs as an 'INFO' record, and logs them to the console.
      */
     count(label) {
+        const counter = this.metrics.counter('console_count_total', { help: 'Number of calls of ConsoleLogger.count, by label.', labelNames: ['label'] });
+        counter.inc(1, { label });
 
-        if (!this.counts[label]) {
-            this.counts[label] = 0;
-        }
-        this.counts[label]++;
+        const count = counter.get({ label });
+        const log = `${label}: ${count}`;
 
-        this.log(`${label}: ${this.counts[label]}`);
+        this.addLog(log, LOG_LEVELS.INFO, { label, count });
+        ConsoleLogger.log(log);
     }
 
 
@@ -438,7 +489,7 @@ class ConsoleLogger extends LoggerBase {
      * It uses the `console.dir` method to log the object in a tree format to the console.
      */
     static dir(obj) {
-        console.dir(obj);
+        console.dir(redactStatic(obj));
     }
 
 
@@ -18,8 +18,14 @@ import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js"
  */
 class EventLogger extends LoggerBase {
 
-    constructor() {
-        super(); // Calling the constructor of the parent class LoggerBase
+    /**
+     * Create an EventLogger instance.
+     *
+     * @param {string} [level='INFO'] - Initial log level.
+     * @param {Object} [options={}] - Logger options, see `LoggerBase`.
+     */
+    constructor(level, options = {}) {
+        super(level, options); // Calling the constructor of the parent class LoggerBase
         // Creating a new instance the EventEmitter class
         this.emitter = new EventEmitter();
     }
@@ -29,11 +35,13 @@ class EventLogger extends LoggerBase {
      * Log a message with a specified level
      *
      * @param {string} message - The message to log to the console.
-     * @param {('DEBUG'|'INFO'|'WARN'|'ERROR')} level - The level of the log message.
+     * @param {('TRACE'|'DEBUG'|'INFO'|'WARN'|'ERROR'|'FATAL')} level - The level of the log message.
+     * @param {Object} [fields={}] - Context fields attached to the log record.
      *
      * @returns {void}
      *
      * @example
+     * EventLogger.on('log', (record) => console.log(`${record.level}: ${record.message}`));
      * EventLogger.log('Hello, world!', 'INFO');
      *
      * @output
@@ -41,21 +49,19 @@ class EventLogger extends LoggerBase {
      *
      * @description
      * The `log` method logs a message with a specified level.
-     * It takes two parameters: `message`, which is the message to log to the console, and `level`, which is the level of the log message.
-     * It uses the `addLog` method of the parent class to add the log to the logs array.
-     * It then validates the log level using the `_validateLogLevel` method of the `validator` object.
-     * Finally, it emits a 'log' event with the log message and level.
+     * It takes three parameters: `message`, which is the message to log to the console, `level`, which is the level of the log message,
+     * and `fields`, which holds additional context for the log record.
+     * It uses the `addLog` method of the parent class to validate the parameters and add the log record to the logs array.
+     * Finally, it emits a 'log' event with the log record, which holds the level, timestamp, message, logger name, context and error.
+     * Nothing is emitted when the level is below the logger's log level.
      */
-    log(message, level) {
-
-        super.addLog(message, level);
+    log(message, level, fields = {}) {
 
-        validator._validateLogLevel({ level });
+        const record = super.addLog(message, level, fields);
 
-        this.emitter.emit('log', {
-            level: level,
-            message: message
-        });
+        if (record) {
+            this.emitter.emit('log', record);
+        }
     }
 
 
@@ -1,6 +1,10 @@
-import { LoggerBase } from "../base/loggerBase";
+import { LoggerBase, LOG_LEVEL_PRIORITIES } from "../base/loggerBase";
 import { saveAs } from 'file-saver';
 import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js"
+import { serializeLogRecord } from "../base/logRecord.js";
+import { WebStorageLogStore, IndexedDBLogStore } from "./logStore.js";
+import { LogRotation } from "../rotation/logRotation.js";
+import { NodeFileWriter, isNodeEnvironment } from "./nodeFileWriter.js";
 
 
 /**
@@ -17,6 +21,7 @@ const validator = new VALIDATE_LOGGER();
  * Logs timestamp and log level with each message.
  *
  * Provides methods to download complete logs or logs filtered by log level.
+ * Under Node.js, the logs are appended to the file on disk instead.
  *
  * @class FileLogger
  * @extends LoggerBase
@@ -29,23 +34,237 @@ class FileLogger extends LoggerBase {
      * Validates and saves fileName provided.
      *
      * @param {string} fileName - Name of file to save logs to.
-     * @throws {Error} If the provided fileName is invalid.
+     * @param {Object} [options={}] - Logger options.
+     * @param {string} [options.level='INFO'] - Initial log level.
+     * @param {string|Function|Object} [options.formatter='text'] - The formatter used for the downloaded files, see `LoggerBase`.
+     * @param {boolean|Object} [options.persist=false] - Persist the logs in browser storage so they survive page reloads.
+     * @param {('localStorage'|'sessionStorage'|'indexedDB')} [options.persist.storage='localStorage'] - The browser storage used.
+     * @param {string} [options.persist.key] - The storage key, also used in IndexedDB, defaults to 'file-logger:<fileName>'.
+     * @param {number} [options.persist.maxEntries] - The maximum number of persisted records, 1000 in web storage and 10000 in IndexedDB by default.
+     * @param {number} [options.persist.maxAge=Infinity] - The maximum age of the persisted records, in milliseconds.
+     * @param {Object} [options.rotation] - Rotate the logs into segments, see `LogRotation`.
+     * @param {number} [options.rotation.maxEntries] - The maximum number of records per segment.
+     * @param {number} [options.rotation.maxBytes] - The maximum size of a segment, in bytes.
+     * @param {('hourly'|'daily')} [options.rotation.interval] - Start a new segment every hour or every day, in local time.
+     * @param {('numbered'|'dated')} [options.rotation.naming] - 'app.log', 'app.1.log'... or 'app-2026-10-19.log'...
+     * @param {number} [options.rotation.maxSegments=5] - The number of segments kept, older records are removed from the logs.
+     * @param {('auto'|'node'|'browser')} [options.mode='auto'] - 'node' appends the logs to files on disk, 'browser' downloads them.
+     * 'auto' picks 'node' under Node.js and 'browser' otherwise. Node mode requires Node.js 20.16 or later.
+     * @param {string} [options.directory=process.cwd()] - In Node mode, the directory holding the log files.
+     * @param {number} [options.flushInterval=1000] - In Node mode, the delay before buffered lines are written to disk, in milliseconds.
+     * @throws {Error} If the provided fileName, persistence or output options are invalid.
      *
      * The fileName parameter is required and should be a non-empty string.
      * The fileName will be used as the name of the log file.
      * The fileName will be validated using the `_validateFileName` method of the `validator` instance.
      * If the fileName is invalid, an error will be thrown.
+     *
+     * When persistence is enabled, the persisted records are restored into the logs on construction,
+     * so `downloadLogs` exports the history of previous sessions too. Restoring from localStorage or sessionStorage is immediate;
+     * restoring from IndexedDB is asynchronous, wait for the `ready` Promise before reading or downloading the logs.
+     *
+     * When rotation is enabled, `downloadLogs` exports a zip of every segment, or a single segment.
+     *
+     * In Node mode, every record is appended to the file, and each rotation segment is a file of its own:
+     * with numbered naming 'app.log' is renamed to 'app.1.log' when a new segment starts, with dated naming a new file is opened.
+     * The limits of the current segment count the lines a previous run of the process left in its file.
+     * Lines still buffered when the process exits are written before it ends. Persistence is ignored, the files already persist the logs.
+     *
+     * @example
+     * const logger = new FileLogger('app.log', { persist: { storage: 'indexedDB', maxAge: 7 * 24 * 60 * 60 * 1000 } });
+     * await logger.ready;
+     *
+     * const rotatingLogger = new FileLogger('app.log', { rotation: { maxBytes: 512 * 1024, interval: 'daily', maxSegments: 7 } });
+     *
+     * const serverLogger = new FileLogger('server.log', { mode: 'node', directory: './logs', rotation: { maxBytes: 10 * 1024 * 1024 } });
      */
-    constructor(fileName) {
+    constructor(fileName, options = {}) {
 
         // Call super constructor
-        super();
+        const { level, persist = false, rotation = null, mode = 'auto', directory, flushInterval, ...loggerOptions } = options;
+        super(level, loggerOptions);
 
-        // Validate filename
+        // Validate filename, persistence, rotation and output options
         validator._validateFileName({ fileName });
+        validator._validatePersistOptions({ persist });
+        validator._validateRotationOptions({ rotation });
+        validator._validateFileOutputOptions({ mode, directory, flushInterval });
 
         // Save filename
         this.fileName = fileName;
+
+        // Open the log file under Node.js
+        this.mode = mode === 'auto' ? (isNodeEnvironment() ? 'node' : 'browser') : mode;
+        this.fileWriter = this.mode === 'node' ? new NodeFileWriter({ fileName, directory, flushInterval }) : null;
+
+        // Set up the rotation
+        this.rotation = rotation ? new LogRotation({
+            ...rotation,
+            fileName,
+            onDrop: (records) => this._removeRecords(records),
+            onRotate: () => this.fileWriter && this.fileWriter.rotate(this.rotation),
+        }) : null;
+
+        // Count the lines a previous run left in the current segment file
+        if (this.rotation && this.fileWriter) {
+            this.rotation.resume((segmentName) => this.fileWriter.measureFile(segmentName));
+        }
+
+        // Restore the persisted logs
+        this.logStore = persist && !this.fileWriter ? this._createLogStore(persist === true ? {} : persist) : null;
+        this.ready = this._restoreLogs();
+    }
+
+
+    /**
+     * Add a log entry, and persist it when persistence is enabled.
+     *
+     * @param {string} message - The log message to be added.
+     * @param {string} [level='INFO'] - The log level associated with the message.
+     * @param {Object} [fields={}] - Context fields attached to the entry.
+     *
+     * @returns {import('../base/logRecord.js').LogRecord|undefined} The new log record, or `undefined` if the level is not enabled.
+     *
+     * @example
+     * const logger = new FileLogger('app.log', { persist: true });
+     * logger.addLog('Saved across reloads');
+     *
+     * @description
+     * The `addLog` method adds the record like `LoggerBase.addLog`, then writes its serialized form to the log store.
+     * Storage failures, such as a full quota, are reported to the console and never thrown.
+     * In Node mode, the formatted record is appended to the log file, or to the file of the current rotation segment.
+     */
+    addLog(message, level, fields) {
+        const record = super.addLog(message, level, fields);
+
+        if (!record) {
+            return record;
+        }
+
+        if (this.logStore) {
+            this._runStoreAction(() => this.logStore.append(serializeLogRecord(record)));
+        }
+
+        const line = this.rotation || this.fileWriter ? this.formatLog(record) : null;
+
+        if (this.rotation) {
+            this.rotation.append(record, line);
+        }
+
+        if (this.fileWriter) {
+            this.fileWriter.write(line, this.rotation ? this.rotation.getSegment(0).name : this.fileName);
+        }
+
+        return record;
+    }
+
+
+    /**
+     * Clear all log entries, including the persisted ones.
+     *
+     * @returns {void}
+     *
+     * @example
+     * FileLogger.clearLogs();
+     *
+     * @description
+     * The `clearLogs` method empties the logs like `LoggerBase.clearLogs`, and removes every persisted record when persistence is enabled.
+     * Every rotation segment is removed as well. In Node mode, the log files on disk are kept, and the current segment
+     * keeps counting the lines already written to its file.
+     */
+    clearLogs() {
+        super.clearLogs();
+
+        if (this.rotation && this.fileWriter) {
+            this.rotation.clearRecords();
+        } else if (this.rotation) {
+            this.rotation.clear();
+        }
+
+        if (this.logStore) {
+            this._runStoreAction(() => this.logStore.clear());
+        }
+    }
+
+
+    /**
+     * Create the log store matching the persistence options.
+     *
+     * @param {Object} persist - The persistence options.
+     *
+     * @returns {WebStorageLogStore|IndexedDBLogStore} The log store.
+     * @private
+     */
+    _createLogStore({ storage = 'localStorage', key = `file-logger:${this.fileName}`, ...limits }) {
+        if (storage === 'indexedDB') {
+            return new IndexedDBLogStore({ key, ...limits });
+        }
+
+        return new WebStorageLogStore({ key, useSessionStorage: storage === 'sessionStorage', ...limits });
+    }
+
+
+    /**
+     * Load the persisted records in front of the current logs.
+     *
+     * @returns {Promise<void>} Resolves once the persisted records are restored.
+     * @private
+     */
+    _restoreLogs() {
+        if (!this.logStore) {
+            return Promise.resolve();
+        }
+
+        const restore = (records) => {
+            this.logs.unshift(...records);
+
+            if (this.rotation) {
+                this.rotation.clear();
+                this.logs.forEach((record) => this.rotation.append(record, this.formatLog(record)));
+            }
+        };
+
+        let records;
+
+        try {
+            records = this.logStore.load();
+        } catch (error) {
+            console.error(`Failed to restore persisted logs: ${error.message}`);
+            return Promise.resolve();
+        }
+
+        if (Array.isArray(records)) {
+            restore(records);
+            return Promise.resolve();
+        }
+
+        return records.then(restore).catch((error) => {
+            console.error(`Failed to restore persisted logs: ${error.message}`);
+        });
+    }
+
+
+    /**
+     * Run a log store action, reporting its failures to the console instead of throwing, so logging never fails on storage errors.
+     *
+     * @param {Function} action - The action, returning nothing or a Promise.
+     *
+     * @returns {void}
+     * @private
+     */
+    _runStoreAction(action) {
+        let result;
+
+        try {
+            result = action();
+        } catch (error) {
+            console.error(`Failed to update persisted logs: ${error.message}`);
+            return;
+        }
+
+        if (result && typeof result.catch === 'function') {
+            result.catch((error) => console.error(`Failed to update persisted logs: ${error.message}`));
+        }
     }
 
 
@@ -76,6 +295,53 @@ class FileLogger extends LoggerBase {
 
         validator._validateFileName({ fileName });
         this.fileName = fileName;
+
+        if (this.rotation) {
+            this.rotation.fileName = fileName;
+        }
+
+        if (this.fileWriter) {
+            this.fileWriter.setFileName(fileName);
+        }
+    }
+
+
+    /**
+     * Write the buffered log lines to disk. Node mode only, resolves immediately otherwise.
+     *
+     * @returns {Promise<void>} Resolves once the lines are written.
+     *
+     * @example
+     * const logger = new FileLogger('server.log');
+     * logger.addLog('Server started');
+     * await logger.flush();
+     *
+     * @description
+     * The `flush` method writes the lines waiting in the buffer without waiting for the flush interval.
+     * Buffered lines are also written when the process exits.
+     */
+    flush() {
+        return this.fileWriter ? this.fileWriter.flush() : Promise.resolve();
+    }
+
+
+    /**
+     * Write the buffered log lines and close the log file. Node mode only, resolves immediately otherwise.
+     *
+     * @returns {Promise<void>} Resolves once the file is closed.
+     *
+     * @example
+     * process.on('SIGTERM', async () => {
+     *     await logger.close();
+     *     process.exit(0);
+     * });
+     *
+     * @description
+     * The `close` method is useful before exiting with a signal, where the 'exit' event of the process is not emitted.
+     * Logging after `close` opens the file again.
+     */
+    close() {
+        return this.fileWriter ? this.fileWriter.close() : Promise.resolve();
     }
 
 
@@ -83,12 +349,16 @@ class FileLogger extends LoggerBase {
      * Download the current logs as a text file and optionally clear logs after download.
      *
      * @param {boolean} [clearLogsAfterDownload=true] - Indicates whether to clear logs after download.
+     * @param {string|number|null} [segment=null] - With rotation enabled, the file name or index (0 being the current segment) of the segment to download.
+     * When `null`, every segment is downloaded in a zip archive.
      *
-     * @returns {void}
+     * @returns {void|Promise<void>} In Node mode, a Promise resolving once the buffered lines are written to disk.
      *
      * @example
      * FileLogger.downloadLogs(); // Downloads logs and clears logs afterward
      * FileLogger.downloadLogs(false); // Downloads logs without clearing logs afterward
+     * FileLogger.downloadLogs(false, 'app.1.log'); // With rotation: downloads the most recent archived segment
+     * FileLogger.downloadLogs(true); // With rotation: downloads 'app.zip' holding every segment, then clears logs
      *
      * @output
      * // No output in the console. Initiates a download of a text file containing logs.
@@ -97,20 +367,42 @@ class FileLogger extends LoggerBase {
      * The `downloadLogs` function allows the user to download the current logs as a text file.
      * The function takes an optional parameter `clearLogsAfterDownload` (default is `true`), which, if set to `true`, clears the logs after initiating the download.
      * If there are no logs to download, a warning message is logged to the console.
-     * The logs are joined into a single string with newline separators, and a Blob is created with the specified MIME type ('text/plain').
+     * Each log record is formatted with `formatLog` and the results are joined into a single string with newline separators, and a Blob is created with the MIME type of the formatter ('text/plain', or 'application/x-ndjson' for JSON Lines).
      * The Blob is then saved as a text file using the `saveAs` function.
      * If `clearLogsAfterDownload` is `true`, the `clearLogs` function is called to remove the logs after the download.
+     * When rotation is enabled, the segment selected by `segment`, or a zip archive of every segment, is downloaded instead.
+     * In Node mode, the logs are already in the log files: the buffered lines are flushed to disk instead of downloading a copy.
      */
-    downloadLogs(clearLogsAfterDownload = true) {
+    downloadLogs(clearLogsAfterDownload = true, segment = null) {
 
         if (this.logs.length === 0) {
             console.warn('No logs to download.');
             return;
         }
 
-        const logContent = this.logs.join('\n');
+        if (this.fileWriter) {
+            const flushed = this.fileWriter.flush();
+
+            if (clearLogsAfterDownload) {
+                this.clearLogs();
+            }
+
+            return flushed;
+        }
+
+        if (this.rotation) {
+            const downloaded = this.rotation.download(segment, (record) => this.formatLog(record));
+
+            if (downloaded && clearLogsAfterDownload) {
+                this.clearLogs();
+            }
 
-        const blob = new Blob([logContent], { type: 'text/plain' });
+            return;
+        }
+
+        const logContent = this.logs.map(log => this.formatLog(log)).join('\n');
+
+        const blob = new Blob([logContent], { type: this.formatter.contentType || 'text/plain' });
 
         saveAs(blob, this.fileName);
 
@@ -124,14 +416,15 @@ class FileLogger extends LoggerBase {
     /**
      * Download logs for a specific log level as a text file.
      *
-     * @param {('INFO'|'DEBUG'|'WARN')} level - The log level for which logs should be downloaded.
+     * @param {('TRACE'|'DEBUG'|'INFO'|'WARN'|'ERROR'|'FATAL')} level - The log level for which logs should be downloaded.
+     * @param {boolean} [includeHigherLevels=false] - If true, also includes logs whose level has a higher priority than `level`.
      *
      * @returns {void}
      *
      * @example
      * FileLogger.downloadLogsByLevel('DEBUG'); // Downloads logs for the 'DEBUG' level
      * FileLogger.downloadLogsByLevel('INFO'); // Downloads logs for the 'INFO' level
-     * FileLogger.downloadLogsByLevel('WARN'); // Downloads logs for the 'WARN' level
+     * FileLogger.downloadLogsByLevel('WARN', true); // Downloads logs for the 'WARN', 'ERROR' and 'FATAL' levels
      *
      * @output
      * // No output in the console. Initiates a download of a text file containing filtered logs.
@@ -140,16 +433,25 @@ class FileLogger extends LoggerBase {
      * The `downloadLogsByLevel` function allows the user to download logs for a specific log level as a text file.
      * It takes a `level` parameter representing the desired log level and validates it using the `validateLogLevel` method.
      * Logs with the specified log level are filtered from the existing logs array.
+     * When `includeHigherLevels` is `true`, the numeric priorities from `LOG_LEVEL_PRIORITIES` are compared instead,
+     * so every log at or above the given level is kept.
      * If no logs are found for the specified level, a warning message is logged to the console.
-     * The filtered logs are then joined into a single string with newline separators, and a Blob is created with the specified MIME type ('text/plain').
+     * The filtered log records are then formatted with `formatLog` and joined into a single string with newline separators, and a Blob is created with the MIME type of the formatter.
      * The Blob is saved as a text file using the `saveAs` function, with the filename including both the original filename and the log level.
+     * In Node mode, the file is written to the log directory instead.
      */
-    downloadLogsByLevel(level) {
+    downloadLogsByLevel(level, includeHigherLevels = false) {
 
         validator._validateLogLevel({ level });
 
         let filteredLogs = this.logs.filter(log => {
-            return this.getLogLevel(log) === level;
+            const logLevel = this.getLogLevel(log);
+
+            if (includeHigherLevels) {
+                return LOG_LEVEL_PRIORITIES[logLevel] >= LOG_LEVEL_PRIORITIES[level];
+            }
+
+            return logLevel === level;
         });
 
         if (filteredLogs.length === 0) {
@@ -157,9 +459,14 @@ class FileLogger extends LoggerBase {
             return;
         }
 
-        let logContent = filteredLogs.join('\n');
+        let logContent = filteredLogs.map(log => this.formatLog(log)).join('\n');
+
+        if (this.fileWriter) {
+            this.fileWriter.writeFile(`${this.fileName}-${level}.txt`, logContent);
+            return;
+        }
 
-        const blob = new Blob([logContent], { type: 'text/plain' });
+        const blob = new Blob([logContent], { type: this.formatter.contentType || 'text/plain' });
 
         saveAs(blob, `${this.fileName}-${level}.txt`);
 
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileLogger } from './fileLogger.js';
+
+
+const countLines = (directory, fileName) => fs.readFileSync(path.join(directory, fileName), 'utf8').split('\n').length - 1;
+
+
+describe('FileLogger in Node mode', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-logger-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('writes each rotation segment to its own file', async () => {
+        const logger = new FileLogger('app.log', { mode: 'node', directory, rotation: { maxEntries: 150, maxSegments: 3 } });
+
+        for (let index = 0; index < 1000; index++) {
+            logger.addLog(`entry ${index}`);
+        }
+        await logger.close();
+
+        expect(countLines(directory, 'app.log')).toBe(100);
+        expect(countLines(directory, 'app.1.log')).toBe(150);
+        expect(countLines(directory, 'app.2.log')).toBe(150);
+        expect(fs.existsSync(path.join(directory, 'app.3.log'))).toBe(false);
+    });
+
+    test('has every line on disk once the exit handler ran', () => {
+        const logger = new FileLogger('app.log', { mode: 'node', directory });
+
+        for (let index = 0; index < 250; index++) {
+            logger.addLog(`entry ${index}`);
+        }
+
+        expect(process.listeners('exit')).toContain(logger.fileWriter.flushOnExit);
+        logger.fileWriter.flushOnExit();
+        process.removeListener('exit', logger.fileWriter.flushOnExit);
+
+        expect(countLines(directory, 'app.log')).toBe(250);
+    });
+
+    test('counts the lines a previous run left in the current segment', async () => {
+        const options = { mode: 'node', directory, rotation: { maxEntries: 150, maxSegments: 3 } };
+        const firstRun = new FileLogger('app.log', options);
+
+        for (let index = 0; index < 200; index++) {
+            firstRun.addLog(`first run ${index}`);
+        }
+        await firstRun.close();
+
+        const secondRun = new FileLogger('app.log', options);
+
+        for (let index = 0; index < 120; index++) {
+            secondRun.addLog(`second run ${index}`);
+        }
+        await secondRun.close();
+
+        expect(countLines(directory, 'app.log')).toBe(20);
+        expect(countLines(directory, 'app.1.log')).toBe(150);
+        expect(countLines(directory, 'app.2.log')).toBe(150);
+    });
+
+    test('keeps counting the current segment after downloadLogs cleared the logs', async () => {
+        const logger = new FileLogger('app.log', { mode: 'node', directory, rotation: { maxEntries: 10 } });
+
+        for (let index = 0; index < 8; index++) {
+            logger.addLog(`before ${index}`);
+        }
+        await logger.downloadLogs();
+
+        for (let index = 0; index < 8; index++) {
+            logger.addLog(`after ${index}`);
+        }
+        await logger.close();
+
+        expect(logger.logs).toHaveLength(8);
+        expect(countLines(directory, 'app.log')).toBe(6);
+        expect(countLines(directory, 'app.1.log')).toBe(10);
+    });
+});
@@ -0,0 +1,329 @@
+import { StorageManager } from "../../storage-Manager/storageManager,.js";
+
+
+/**
+ * Remove the records older than `maxAge` and keep at most `maxEntries` of the newest records.
+ *
+ * @param {Array<Object>} records - Serialized log records, oldest first.
+ * @param {number} maxEntries - The maximum number of records kept.
+ * @param {number} maxAge - The maximum age of the records, in milliseconds.
+ *
+ * @returns {Array<Object>} The records still valid.
+ * @private
+ */
+function pruneRecords(records, maxEntries, maxAge) {
+    const oldestTimestamp = Date.now() - maxAge;
+    const recentRecords = records.filter((record) => new Date(record.timestamp).getTime() >= oldestTimestamp);
+
+    return recentRecords.slice(Math.max(0, recentRecords.length - maxEntries));
+}
+
+
+/**
+ * Check if an error reports that the web storage is full.
+ *
+ * @param {*} error - The error thrown by `setItem`.
+ *
+ * @returns {boolean} `true` if the storage quota is exceeded.
+ * @private
+ */
+function isQuotaExceededError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+
+/**
+ * Log store persisting serialized log records in localStorage or sessionStorage through `StorageManager`.
+ * Every method is synchronous. When the storage is full, the oldest records are dropped until the newest ones fit.
+ *
+ * @class WebStorageLogStore
+ */
+class WebStorageLogStore {
+
+    /**
+     * Create a WebStorageLogStore instance.
+     *
+     * @param {Object} [options={}] - Store options.
+     * @param {string} [options.key='file-logger'] - The storage key holding the records.
+     * @param {boolean} [options.useSessionStorage=false] - If true, uses sessionStorage; otherwise, uses localStorage.
+     * @param {number} [options.maxEntries=1000] - The maximum number of records kept.
+     * @param {number} [options.maxAge=Infinity] - The maximum age of the records, in milliseconds.
+     */
+    constructor({ key = 'file-logger', useSessionStorage = false, maxEntries = 1000, maxAge = Infinity } = {}) {
+        this.key = key;
+        this.useSessionStorage = useSessionStorage;
+        this.maxEntries = maxEntries;
+        this.maxAge = maxAge;
+    }
+
+
+    /**
+     * Load the persisted records, dropping the expired ones.
+     *
+     * @returns {Array<Object>} The serialized records, oldest first.
+     */
+    load() {
+        const storedRecords = StorageManager.getArray(this.key, this.useSessionStorage, false) || [];
+        const records = pruneRecords(storedRecords, this.maxEntries, this.maxAge);
+
+        if (records.length !== storedRecords.length) {
+            this._save(records);
+        }
+
+        return records;
+    }
+
+
+    /**
+     * Persist a record.
+     *
+     * @param {Object} record - The serialized log record.
+     *
+     * @throws {Error} If the storage fails, or is full even without the older records.
+     *
+     * @returns {void}
+     */
+    append(record) {
+        const storedRecords = StorageManager.getArray(this.key, this.useSessionStorage, false) || [];
+
+        this._save(pruneRecords([...storedRecords, record], this.maxEntries, this.maxAge));
+    }
+
+
+    /**
+     * Remove every persisted record.
+     *
+     * @returns {void}
+     */
+    clear() {
+        StorageManager.removeValue(this.key, this.useSessionStorage);
+    }
+
+
+    /**
+     * Save the records, dropping the oldest half of them each time the storage is full.
+     *
+     * @param {Array<Object>} records - The serialized records, oldest first.
+     *
+     * @throws {Error} If the storage fails, or is full even with the newest record alone.
+     *
+     * @returns {void}
+     * @private
+     */
+    _save(records) {
+        let keptRecords = records;
+
+        for (;;) {
+            try {
+                StorageManager.setArray(this.key, keptRecords, this.useSessionStorage);
+                return;
+            } catch (error) {
+                if (!isQuotaExceededError(error) || keptRecords.length <= 1) {
+                    throw error;
+                }
+
+                keptRecords = keptRecords.slice(Math.ceil(keptRecords.length / 2));
+            }
+        }
+    }
+}
+
+
+/**
+ * The object store of the IndexedDB log stores, shared by every key.
+ * @type {string}
+ * @private
+ */
+const RECORDS_STORE = 'records';
+
+
+/**
+ * The index of `RECORDS_STORE` on the key of the entries.
+ * @type {string}
+ * @private
+ */
+const KEY_INDEX = 'key';
+
+
+/**
+ * Log store persisting serialized log records in IndexedDB, for larger histories than web storage allows.
+ * Every method returns a Promise.
+ *
+ * The stores of every key share one object store of the database, where each record is saved as `{ key, record }`
+ * and looked up through an index on `key`. Loggers with different keys can therefore use the same database.
+ *
+ * @class IndexedDBLogStore
+ */
+class IndexedDBLogStore {
+
+    /**
+     * Create an IndexedDBLogStore instance.
+     *
+     * @param {Object} [options={}] - Store options.
+     * @param {string} [options.databaseName='file-logger'] - The name of the database.
+     * @param {string} [options.key='logs'] - The key the records are saved under.
+     * @param {number} [options.maxEntries=10000] - The maximum number of records kept.
+     * @param {number} [options.maxAge=Infinity] - The maximum age of the records, in milliseconds.
+     *
+     * @throws {Error} If IndexedDB is not available.
+     */
+    constructor({ databaseName = 'file-logger', key = 'logs', maxEntries = 10000, maxAge = Infinity } = {}) {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('IndexedDB is not available in this environment.');
+        }
+
+        this.databaseName = databaseName;
+        this.key = key;
+        this.maxEntries = maxEntries;
+        this.maxAge = maxAge;
+        this.database = null;
+    }
+
+
+    /**
+     * Load the persisted records, dropping the expired ones.
+     *
+     * @returns {Promise<Array<Object>>} The serialized records, oldest first.
+     *
+     * @description
+     * Only the entries dropped are deleted, by primary key, so the records appended while loading are kept.
+     */
+    async load() {
+        const { entries, primaryKeys } = await this._readEntries();
+        const storedRecords = entries.map((entry) => entry.record);
+        const records = pruneRecords(storedRecords, this.maxEntries, this.maxAge);
+
+        if (records.length !== storedRecords.length) {
+            const kept = new Set(records);
+
+            await this._delete(primaryKeys.filter((primaryKey, index) => !kept.has(storedRecords[index])));
+        }
+
+        return records;
+    }
+
+
+    /**
+     * Persist a record, dropping the oldest records beyond `maxEntries`.
+     *
+     * @param {Object} record - The serialized log record.
+     *
+     * @returns {Promise<void>}
+     */
+    async append(record) {
+        await this._request('readwrite', (store) => store.add({ key: this.key, record }));
+
+        const count = await this._request('readonly', (store) => store.index(KEY_INDEX).count(this.key));
+
+        if (count > this.maxEntries) {
+            await this._delete(await this._request('readonly', (store) => store.index(KEY_INDEX).getAllKeys(this.key, count - this.maxEntries)));
+        }
+    }
+
+
+    /**
+     * Remove every persisted record of the key. The records of other keys are kept.
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._delete(await this._request('readonly', (store) => store.index(KEY_INDEX).getAllKeys(this.key)));
+    }
+
+
+    /**
+     * Read the entries of the key and their primary keys in a single transaction.
+     *
+     * @returns {Promise<{entries: Array<Object>, primaryKeys: Array<number>}>} The entries and their primary keys, in the same order.
+     * @private
+     */
+    async _readEntries() {
+        const database = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(RECORDS_STORE, 'readonly');
+            const index = transaction.objectStore(RECORDS_STORE).index(KEY_INDEX);
+            const entriesRequest = index.getAll(this.key);
+            const keysRequest = index.getAllKeys(this.key);
+
+            transaction.oncomplete = () => resolve({ entries: entriesRequest.result, primaryKeys: keysRequest.result });
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+
+    /**
+     * Delete entries in a single transaction.
+     *
+     * @param {Array<number>} primaryKeys - The primary keys of the entries.
+     *
+     * @returns {Promise<void>} Resolves once the transaction completes.
+     * @private
+     */
+    async _delete(primaryKeys) {
+        if (primaryKeys.length === 0) {
+            return;
+        }
+
+        const database = await this._open();
+
+        await new Promise((resolve, reject) => {
+            const transaction = database.transaction(RECORDS_STORE, 'readwrite');
+
+            primaryKeys.forEach((primaryKey) => transaction.objectStore(RECORDS_STORE).delete(primaryKey));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+
+    /**
+     * Open the database, creating the shared object store and its index on first use.
+     *
+     * @returns {Promise<IDBDatabase>} The opened database.
+     * @private
+     */
+    _open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 2);
+
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+
+                    if (!database.objectStoreNames.contains(RECORDS_STORE)) {
+                        database.createObjectStore(RECORDS_STORE, { autoIncrement: true }).createIndex(KEY_INDEX, 'key');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.database;
+    }
+
+
+    /**
+     * Run a single request in its own transaction.
+     *
+     * @param {IDBTransactionMode} mode - The transaction mode.
+     * @param {Function} createRequest - Receives the object store and returns the request.
+     *
+     * @returns {Promise<*>} The result of the request.
+     * @private
+     */
+    async _request(mode, createRequest) {
+        const database = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const request = createRequest(database.transaction(RECORDS_STORE, mode).objectStore(RECORDS_STORE));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+
+export { WebStorageLogStore, IndexedDBLogStore };
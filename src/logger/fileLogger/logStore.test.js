@@ -0,0 +1,123 @@
+import 'fake-indexeddb/auto';
+import { IndexedDBLogStore, WebStorageLogStore } from './logStore.js';
+import { FileLogger } from './fileLogger.js';
+
+
+const record = (message) => ({ timestamp: new Date().toISOString(), level: 'INFO', message });
+
+
+/**
+ * A minimal localStorage, throwing a QuotaExceededError when its content exceeds `quota` characters.
+ */
+const createStorage = (quota) => {
+    const items = new Map();
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            if (String(value).length > quota) {
+                const error = new Error('The quota has been exceeded.');
+                error.name = 'QuotaExceededError';
+                throw error;
+            }
+
+            items.set(key, String(value));
+        },
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+
+describe('IndexedDBLogStore', () => {
+    test('keeps the records of several keys in the same database', async () => {
+        const appStore = new IndexedDBLogStore({ databaseName: 'shared', key: 'file-logger:app.log' });
+        const auditStore = new IndexedDBLogStore({ databaseName: 'shared', key: 'file-logger:audit.log' });
+
+        await appStore.append(record('app'));
+        await auditStore.append(record('audit'));
+
+        expect((await appStore.load()).map((entry) => entry.message)).toEqual(['app']);
+        expect((await auditStore.load()).map((entry) => entry.message)).toEqual(['audit']);
+    });
+
+    test('drops the oldest records of its own key beyond maxEntries', async () => {
+        const store = new IndexedDBLogStore({ databaseName: 'limits', key: 'a', maxEntries: 2 });
+        const otherStore = new IndexedDBLogStore({ databaseName: 'limits', key: 'b' });
+
+        await otherStore.append(record('other'));
+        for (const message of ['one', 'two', 'three']) {
+            await store.append(record(message));
+        }
+
+        expect((await store.load()).map((entry) => entry.message)).toEqual(['two', 'three']);
+        expect((await otherStore.load()).map((entry) => entry.message)).toEqual(['other']);
+    });
+
+    test('clears only the records of its own key', async () => {
+        const store = new IndexedDBLogStore({ databaseName: 'clear', key: 'a' });
+        const otherStore = new IndexedDBLogStore({ databaseName: 'clear', key: 'b' });
+
+        await store.append(record('one'));
+        await otherStore.append(record('other'));
+        await store.clear();
+
+        expect(await store.load()).toEqual([]);
+        expect(await otherStore.load()).toHaveLength(1);
+    });
+});
+
+
+describe('IndexedDBLogStore in FileLogger', () => {
+    test('keeps the records logged while the expired ones are pruned', async () => {
+        const day = 24 * 60 * 60 * 1000;
+        const seed = new IndexedDBLogStore({ databaseName: 'file-logger', key: 'file-logger:restore.log' });
+
+        await seed.append({ ...record('expired'), timestamp: new Date(Date.now() - 2 * day).toISOString() });
+        await seed.append(record('recent'));
+
+        const logger = new FileLogger('restore.log', { mode: 'browser', persist: { storage: 'indexedDB', maxAge: day } });
+
+        logger.addLog('new in this session');
+        await logger.ready;
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const stored = await new IndexedDBLogStore({ databaseName: 'file-logger', key: 'file-logger:restore.log' }).load();
+
+        expect(logger.logs.map((entry) => entry.message)).toEqual(['recent', 'new in this session']);
+        expect(stored.map((entry) => entry.message)).toEqual(['recent', 'new in this session']);
+    });
+});
+
+
+describe('WebStorageLogStore', () => {
+    beforeEach(() => {
+        global.localStorage = createStorage(400);
+    });
+
+    afterEach(() => {
+        delete global.localStorage;
+        jest.restoreAllMocks();
+    });
+
+    test('drops the oldest records when the storage is full', () => {
+        const store = new WebStorageLogStore({ key: 'logs' });
+
+        for (let index = 0; index < 10; index++) {
+            store.append(record(`entry ${index}`));
+        }
+
+        const messages = store.load().map((entry) => entry.message);
+
+        expect(messages.length).toBeLessThan(10);
+        expect(messages[messages.length - 1]).toBe('entry 9');
+    });
+
+    test('reports storage failures without throwing from addLog', () => {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => { });
+        const logger = new FileLogger('quota.log', { mode: 'browser', persist: true });
+
+        expect(() => logger.addLog('x'.repeat(500))).not.toThrow();
+        expect(logger.logs).toHaveLength(1);
+        expect(error).toHaveBeenCalledWith('Failed to update persisted logs: The quota has been exceeded.');
+    });
+});
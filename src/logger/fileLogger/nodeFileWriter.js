@@ -0,0 +1,343 @@
+/**
+ * The 'fs' module, loaded by `loadNodeModules`.
+ * @type {?Object}
+ * @private
+ */
+let fs = null;
+
+
+/**
+ * The 'path' module, loaded by `loadNodeModules`.
+ * @type {?Object}
+ * @private
+ */
+let path = null;
+
+
+/**
+ * Check if the code runs under Node.js rather than in a browser.
+ *
+ * @returns {boolean} `true` under Node.js.
+ */
+function isNodeEnvironment() {
+    return typeof window === 'undefined'
+        && typeof process !== 'undefined'
+        && Boolean(process.versions && process.versions.node);
+}
+
+
+/**
+ * Load the 'fs' and 'path' modules of Node.js.
+ *
+ * They are loaded at runtime through `process.getBuiltinModule` rather than imported, so bundling the package
+ * for browsers never has to resolve them.
+ *
+ * @throws {Error} If the Node.js version cannot load its built-in modules at runtime.
+ *
+ * @returns {void}
+ * @private
+ */
+function loadNodeModules() {
+    if (fs && path) {
+        return;
+    }
+
+    if (typeof process.getBuiltinModule !== 'function') {
+        throw new Error('NodeFileWriter requires Node.js 20.16 or later, to load the "fs" module at runtime.');
+    }
+
+    fs = process.getBuiltinModule('fs');
+    path = process.getBuiltinModule('path');
+}
+
+
+/**
+ * Writer appending log lines to files on disk. Node.js only.
+ *
+ * Lines are buffered and written every `flushInterval` milliseconds, or as soon as `bufferSize` lines are waiting.
+ * Every write is synchronous, on a file descriptor kept open for the current file: once flushed, a line is on disk
+ * before the files are renamed by a rotation, and lines still buffered when the process exits are written before it ends.
+ *
+ * @class NodeFileWriter
+ */
+class NodeFileWriter {
+
+    /**
+     * Create a NodeFileWriter instance.
+     *
+     * @param {Object} options - Writer options.
+     * @param {string} options.fileName - The name of the log file.
+     * @param {string} [options.directory=process.cwd()] - The directory holding the log files, created if needed.
+     * @param {number} [options.flushInterval=1000] - The delay before buffered lines are written, in milliseconds.
+     * @param {number} [options.bufferSize=100] - The number of buffered lines that triggers an immediate write.
+     *
+     * @throws {Error} If the code does not run under Node.js 20.16 or later.
+     */
+    constructor({ fileName, directory = process.cwd(), flushInterval = 1000, bufferSize = 100 }) {
+        if (!isNodeEnvironment()) {
+            throw new Error('NodeFileWriter can only be used under Node.js.');
+        }
+
+        loadNodeModules();
+
+        this.fileName = fileName;
+        this.directory = directory;
+        this.flushInterval = flushInterval;
+        this.bufferSize = bufferSize;
+
+        /**
+         * Lines waiting to be written, grouped by file name.
+         * @type {Array<{fileName: string, line: string}>}
+         * @private
+         */
+        this.buffer = [];
+        this.fd = null;
+        this.fdFileName = null;
+        this.timer = null;
+        this.createdFiles = new Set();
+
+        this.flushOnExit = () => this.flushSync();
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+
+    /**
+     * Get the absolute path of a log file.
+     *
+     * @param {string} [fileName=this.fileName] - The name of the file.
+     *
+     * @returns {string} The absolute path.
+     */
+    getFilePath(fileName = this.fileName) {
+        return path.resolve(this.directory, fileName);
+    }
+
+
+    /**
+     * Buffer a line for a log file.
+     *
+     * @param {string} line - The formatted log record.
+     * @param {string} [fileName=this.fileName] - The file receiving the line, e.g. the current rotation segment.
+     *
+     * @returns {void}
+     */
+    write(line, fileName = this.fileName) {
+        if (!process.listeners('exit').includes(this.flushOnExit)) {
+            process.once('exit', this.flushOnExit);
+        }
+
+        this.buffer.push({ fileName, line });
+
+        if (this.buffer.length >= this.bufferSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushInterval);
+
+            if (typeof this.timer.unref === 'function') {
+                this.timer.unref();
+            }
+        }
+    }
+
+
+    /**
+     * Write the buffered lines to their files.
+     *
+     * @returns {Promise<void>} Resolves once the lines are written, rejects if a write failed.
+     */
+    flush() {
+        try {
+            this.flushSync();
+            return Promise.resolve();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+
+    /**
+     * Write the buffered lines to their files synchronously.
+     *
+     * @throws {Error} If a file cannot be opened or written.
+     *
+     * @returns {void}
+     */
+    flushSync() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        this._takeBuffer().forEach(({ fileName, content }) => {
+            fs.writeSync(this._getFileDescriptor(fileName), content);
+        });
+    }
+
+
+    /**
+     * Measure a log file written before, e.g. by a previous run of the process.
+     *
+     * @param {string} [fileName=this.fileName] - The name of the file.
+     *
+     * @returns {{entries: number, bytes: number}} The number of lines and the size of the file, zero when it does not exist.
+     */
+    measureFile(fileName = this.fileName) {
+        const filePath = this.getFilePath(fileName);
+
+        if (!fs.existsSync(filePath)) {
+            return { entries: 0, bytes: 0 };
+        }
+
+        const content = fs.readFileSync(filePath);
+
+        return { entries: content.toString('utf8').split('\n').length - 1, bytes: content.length };
+    }
+
+
+    /**
+     * Write a whole file in the log directory, replacing its content.
+     *
+     * @param {string} fileName - The name of the file.
+     * @param {string} content - The content of the file.
+     *
+     * @returns {void}
+     */
+    writeFile(fileName, content) {
+        fs.writeFileSync(this.getFilePath(fileName), content);
+    }
+
+
+    /**
+     * Change the log file. Lines already buffered still go to the previous file.
+     *
+     * @param {string} fileName - The new file name.
+     *
+     * @returns {void}
+     */
+    setFileName(fileName) {
+        this.fileName = fileName;
+    }
+
+
+    /**
+     * Rotate the files after the rotation started a new segment.
+     *
+     * @param {import('../rotation/logRotation.js').LogRotation} rotation - The rotation of the logger.
+     *
+     * @returns {void}
+     *
+     * @description
+     * Buffered lines are written and the current file is closed first. With numbered segments, 'app.log' is then renamed
+     * to 'app.1.log', 'app.1.log' to 'app.2.log' and so on, the oldest file beyond `maxSegments` being overwritten.
+     * The archives found on disk are shifted too, including the ones written by a previous run of the process.
+     * With dated segments, lines are simply written to the new file, and the files written by this writer
+     * that no longer match a kept segment are removed.
+     */
+    rotate(rotation) {
+        this.flushSync();
+        this._closeFile();
+
+        if (rotation.naming === 'numbered') {
+            let last = 1;
+
+            while (last + 1 < rotation.maxSegments && fs.existsSync(this.getFilePath(rotation.getNumberedName(last)))) {
+                last++;
+            }
+
+            for (let number = last; number > 0; number--) {
+                const source = this.getFilePath(rotation.getNumberedName(number - 1));
+
+                if (fs.existsSync(source)) {
+                    fs.renameSync(source, this.getFilePath(rotation.getNumberedName(number)));
+                }
+            }
+
+            return;
+        }
+
+        const names = rotation.getSegments().map((segment) => segment.name);
+
+        this.createdFiles.forEach((fileName) => {
+            if (!names.includes(fileName) && fs.existsSync(this.getFilePath(fileName))) {
+                fs.unlinkSync(this.getFilePath(fileName));
+                this.createdFiles.delete(fileName);
+            }
+        });
+    }
+
+
+    /**
+     * Write the buffered lines and close the current file.
+     *
+     * @returns {Promise<void>} Resolves once the file is closed.
+     */
+    async close() {
+        await this.flush();
+        process.removeListener('exit', this.flushOnExit);
+        this._closeFile();
+    }
+
+
+    /**
+     * Empty the buffer, merging consecutive lines for the same file.
+     *
+     * @returns {Array<{fileName: string, content: string}>} The content to write to each file, in order.
+     * @private
+     */
+    _takeBuffer() {
+        const chunks = [];
+
+        this.buffer.forEach(({ fileName, line }) => {
+            const last = chunks[chunks.length - 1];
+
+            if (last && last.fileName === fileName) {
+                last.content += `${line}\n`;
+            } else {
+                chunks.push({ fileName, content: `${line}\n` });
+            }
+        });
+
+        this.buffer = [];
+        return chunks;
+    }
+
+
+    /**
+     * Get the file descriptor of a file opened for appending, closing the file written before.
+     *
+     * @param {string} fileName - The file name.
+     *
+     * @returns {number} The file descriptor.
+     * @private
+     */
+    _getFileDescriptor(fileName) {
+        if (this.fd !== null && this.fdFileName === fileName) {
+            return this.fd;
+        }
+
+        this._closeFile();
+
+        this.fd = fs.openSync(this.getFilePath(fileName), 'a');
+        this.fdFileName = fileName;
+        this.createdFiles.add(fileName);
+
+        return this.fd;
+    }
+
+
+    /**
+     * Close the current file.
+     *
+     * @returns {void}
+     * @private
+     */
+    _closeFile() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+        }
+
+        this.fd = null;
+        this.fdFileName = null;
+    }
+}
+
+
+export { NodeFileWriter, isNodeEnvironment };
@@ -0,0 +1,314 @@
+import { serializeLogRecord } from "../base/logRecord.js";
+
+
+/**
+ * Formatter writing log records as human readable lines of text.
+ *
+ * @class TextFormatter
+ */
+class TextFormatter {
+
+    /**
+     * Create a TextFormatter instance.
+     *
+     * @param {Object} [options={}] - Formatter options.
+     * @param {boolean} [options.includeContext=false] - If true, appends the context fields as JSON to each line.
+     *
+     * @example
+     * const formatter = new TextFormatter({ includeContext: true });
+     */
+    constructor({ includeContext = false } = {}) {
+        this.includeContext = includeContext;
+        this.contentType = 'text/plain';
+    }
+
+
+    /**
+     * Format a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The record to format.
+     *
+     * @returns {string} The formatted record.
+     *
+     * @example
+     * formatter.format(record); // 'INFO - 2024-01-09T12:00:00.000Z - [checkout] Order placed {"orderId":42}'
+     *
+     * @description
+     * The line uses the 'LEVEL - timestamp - message' layout. The logger name is written in square brackets before the message when it is set,
+     * and the error message is appended after the message when the record holds an error.
+     */
+    format(record) {
+        const name = record.name ? `[${record.name}] ` : '';
+        let line = `${record.level} - ${record.timestamp} - ${name}${record.message}`;
+
+        if (this.includeContext && Object.keys(record.context).length > 0) {
+            line += ` ${JSON.stringify(record.context)}`;
+        }
+
+        if (record.error) {
+            line += ` - ${record.error.name}: ${record.error.message}`;
+        }
+
+        return line;
+    }
+}
+
+
+/**
+ * Formatter writing every log record as one line of JSON (JSON Lines), suited for log ingestion.
+ *
+ * @class JsonLinesFormatter
+ */
+class JsonLinesFormatter {
+
+    constructor() {
+        this.contentType = 'application/x-ndjson';
+    }
+
+
+    /**
+     * Format a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The record to format.
+     *
+     * @returns {string} The record serialized as a single line of JSON.
+     *
+     * @example
+     * formatter.format(record);
+     * // '{"level":"INFO","timestamp":"2024-01-09T12:00:00.000Z","message":"Order placed","name":"checkout","context":{"orderId":42},"error":null}'
+     */
+    format(record) {
+        return JSON.stringify(serializeLogRecord(record));
+    }
+}
+
+
+/**
+ * Formatter writing log records as logfmt key=value pairs, easy to grep.
+ *
+ * @class LogfmtFormatter
+ */
+class LogfmtFormatter {
+
+    constructor() {
+        this.contentType = 'text/plain';
+    }
+
+
+    /**
+     * Format a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The record to format.
+     *
+     * @returns {string} The record as a line of logfmt pairs.
+     *
+     * @example
+     * formatter.format(record);
+     * // 'timestamp=2024-01-09T12:00:00.000Z level=INFO name=checkout msg="Order placed" orderId=42 user.id=7'
+     *
+     * @description
+     * Nested context objects are flattened using dot separated keys.
+     * Values holding spaces, equal signs or quotes are quoted, and quotes, backslashes and new lines are escaped.
+     */
+    format(record) {
+        const pairs = [
+            ['timestamp', record.timestamp],
+            ['level', record.level],
+        ];
+
+        if (record.name) {
+            pairs.push(['name', record.name]);
+        }
+
+        pairs.push(['msg', record.message]);
+        pairs.push(...flattenContext(record.context));
+
+        if (record.error) {
+            pairs.push(['error', `${record.error.name}: ${record.error.message}`]);
+        }
+
+        return pairs.map(([key, value]) => `${key}=${quoteLogfmtValue(value)}`).join(' ');
+    }
+}
+
+
+/**
+ * Formatter writing log records with a template string.
+ *
+ * @class TemplateFormatter
+ */
+class TemplateFormatter {
+
+    /**
+     * Create a TemplateFormatter instance.
+     *
+     * @param {string} template - The template, holding placeholders such as {timestamp}, {level}, {name} and {message}.
+     *
+     * @throws {Error} If the template is not a string.
+     *
+     * @example
+     * const formatter = new TemplateFormatter('[{level}] {timestamp} {name}: {message} (order {orderId})');
+     *
+     * @description
+     * Placeholders are resolved against the record fields first ({timestamp}, {level}, {name}, {message}),
+     * then against the context fields. {context} prints every context field as JSON and {error} prints the error message.
+     * Dot separated paths such as {user.id} read nested context values. Unknown placeholders are replaced by an empty string.
+     */
+    constructor(template) {
+        if (typeof template !== 'string') {
+            throw new Error('Invalid parameters: "template" must be a string.');
+        }
+
+        this.template = template;
+        this.contentType = 'text/plain';
+    }
+
+
+    /**
+     * Format a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The record to format.
+     *
+     * @returns {string} The template with every placeholder replaced.
+     *
+     * @example
+     * new TemplateFormatter('{level}: {message}').format(record); // 'INFO: Order placed'
+     */
+    format(record) {
+        return this.template.replace(/\{([\w.]+)\}/g, (placeholder, path) => {
+            const value = resolvePlaceholder(record, path);
+
+            if (value === undefined || value === null) {
+                return '';
+            }
+
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+}
+
+
+/**
+ * Names of the formatters that can be selected with a string.
+ * @readonly
+ * @enum {string}
+ */
+const FORMATTERS = {
+    TEXT: 'text',
+    JSON: 'json',
+    LOGFMT: 'logfmt',
+};
+
+
+/**
+ * Create a formatter from a name, a template, a function or a formatter object.
+ *
+ * @param {string|Function|{format: Function}} formatter - 'text', 'json' or 'logfmt', a template string holding placeholders,
+ * a function receiving a record and returning a string, or any object with a `format(record)` method.
+ *
+ * @returns {{format: Function, contentType: string}} The formatter.
+ *
+ * @throws {Error} If the formatter cannot be created.
+ *
+ * @example
+ * createFormatter('json');
+ * createFormatter('{timestamp} {level} {name} {message}');
+ * createFormatter((record) => `${record.level}: ${record.message}`);
+ */
+function createFormatter(formatter) {
+
+    if (formatter === FORMATTERS.TEXT) {
+        return new TextFormatter();
+    }
+
+    if (formatter === FORMATTERS.JSON) {
+        return new JsonLinesFormatter();
+    }
+
+    if (formatter === FORMATTERS.LOGFMT) {
+        return new LogfmtFormatter();
+    }
+
+    if (typeof formatter === 'string' && /\{[\w.]+\}/.test(formatter)) {
+        return new TemplateFormatter(formatter);
+    }
+
+    if (typeof formatter === 'function') {
+        return { format: formatter, contentType: 'text/plain' };
+    }
+
+    if (formatter && typeof formatter.format === 'function') {
+        return formatter;
+    }
+
+    throw new Error('Invalid parameters: "formatter" must be "text", "json", "logfmt", a template string, a function or an object with a format method.');
+}
+
+
+/**
+ * Flatten nested context fields into [key, value] pairs with dot separated keys.
+ *
+ * @param {Object} context - The context to flatten.
+ * @param {string} [prefix=''] - The prefix of the keys.
+ *
+ * @returns {Array<Array>} The flattened pairs.
+ * @private
+ */
+function flattenContext(context, prefix = '') {
+    return Object.entries(context).flatMap(([key, value]) => {
+        const path = prefix ? `${prefix}.${key}` : key;
+
+        if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+            return flattenContext(value, path);
+        }
+
+        return [[path, value]];
+    });
+}
+
+
+/**
+ * Quote a logfmt value when needed.
+ *
+ * @param {*} value - The value to write.
+ *
+ * @returns {string} The value, quoted and escaped if it holds spaces, equal signs or quotes.
+ * @private
+ */
+function quoteLogfmtValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+
+    if (text === '' || /[\s="\\]/.test(text)) {
+        return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+    }
+
+    return text;
+}
+
+
+/**
+ * Resolve a template placeholder against a record.
+ *
+ * @param {import('../base/logRecord.js').LogRecord} record - The record.
+ * @param {string} path - The placeholder, possibly a dot separated path.
+ *
+ * @returns {*} The value of the placeholder.
+ * @private
+ */
+function resolvePlaceholder(record, path) {
+    if (path === 'error') {
+        return record.error ? record.error.message : undefined;
+    }
+
+    const [head, ...rest] = path.split('.');
+    const root = head in record ? record[head] : record.context[head];
+
+    return rest.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), root);
+}
+
+
+export { TextFormatter, JsonLinesFormatter, LogfmtFormatter, TemplateFormatter, FORMATTERS, createFormatter };
@@ -0,0 +1,86 @@
+import { createLogRecord } from '../base/logRecord.js';
+import { JsonLinesFormatter, LogfmtFormatter, TemplateFormatter, TextFormatter, createFormatter } from './formatter.js';
+
+
+const timestamp = '2024-01-09T12:00:00.000Z';
+
+const recordOf = (fields = {}) => createLogRecord({ level: 'INFO', message: 'Order placed', timestamp, ...fields });
+
+
+describe('TextFormatter', () => {
+    test('writes the level, date, name and message, then the context and the error', () => {
+        const error = new TypeError('Out of stock');
+
+        expect(new TextFormatter().format(recordOf({ context: { orderId: 42 } }))).toBe(`INFO - ${timestamp} - Order placed`);
+        expect(new TextFormatter({ includeContext: true }).format(recordOf({ name: 'checkout', context: { orderId: 42 }, error })))
+            .toBe(`INFO - ${timestamp} - [checkout] Order placed {"orderId":42} - TypeError: Out of stock`);
+        expect(new TextFormatter({ includeContext: true }).format(recordOf())).toBe(`INFO - ${timestamp} - Order placed`);
+    });
+});
+
+
+describe('JsonLinesFormatter', () => {
+    test('writes one line of JSON, with the error serialized', () => {
+        const line = new JsonLinesFormatter().format(recordOf({ message: 'Two\nlines', error: new Error('Timeout') }));
+
+        expect(line).not.toContain('\n');
+        expect(JSON.parse(line)).toMatchObject({ level: 'INFO', timestamp, message: 'Two\nlines', name: null, context: {}, error: { name: 'Error', message: 'Timeout' } });
+    });
+});
+
+
+describe('LogfmtFormatter', () => {
+    test('flattens the nested context with dot separated keys', () => {
+        const date = new Date(timestamp);
+        const context = { orderId: 42, user: { id: 7, roles: ['admin'] }, at: date, missing: null };
+
+        expect(new LogfmtFormatter().format(recordOf({ name: 'checkout', context })))
+            .toBe(`timestamp=${timestamp} level=INFO name=checkout msg="Order placed" orderId=42 user.id=7 user.roles="[\\"admin\\"]" at="${date}" missing=`);
+    });
+
+    test('quotes and escapes the values holding spaces, equal signs, quotes or new lines', () => {
+        const context = { query: 'a=b', quote: 'say "hi"', path: 'C:\\logs', text: 'one\ntwo', empty: '' };
+
+        expect(new LogfmtFormatter().format(recordOf({ message: 'Done', context, error: new Error('Bad input') })))
+            .toBe(`timestamp=${timestamp} level=INFO msg=Done query="a=b" quote="say \\"hi\\"" path="C:\\\\logs" text="one\\ntwo" empty="" error="Error: Bad input"`);
+    });
+});
+
+
+describe('TemplateFormatter', () => {
+    test('replaces the record fields, then the context fields and their paths', () => {
+        const formatter = new TemplateFormatter('[{level}] {timestamp} {name}: {message} (order {orderId}, user {user.id}, {context})');
+        const record = recordOf({ name: 'checkout', context: { orderId: 42, user: { id: 7 }, message: 'ignored' } });
+
+        expect(formatter.format(record)).toBe(`[INFO] ${timestamp} checkout: Order placed (order 42, user 7, {"orderId":42,"user":{"id":7},"message":"ignored"})`);
+    });
+
+    test('prints the error message, and nothing for unknown placeholders', () => {
+        const formatter = new TemplateFormatter('{message}|{error}|{unknown}|{user.id.value}|{name}');
+
+        expect(formatter.format(recordOf({ error: new Error('Timeout') }))).toBe('Order placed|Timeout|||');
+        expect(formatter.format(recordOf())).toBe('Order placed||||');
+    });
+
+    test('rejects a template that is not a string', () => {
+        expect(() => new TemplateFormatter(42)).toThrow('Invalid parameters');
+    });
+});
+
+
+describe('createFormatter', () => {
+    test('creates the formatters by name, template, function or object', () => {
+        const custom = { format: () => 'custom' };
+
+        expect(createFormatter('text')).toBeInstanceOf(TextFormatter);
+        expect(createFormatter('json')).toMatchObject({ contentType: 'application/x-ndjson' });
+        expect(createFormatter('logfmt')).toBeInstanceOf(LogfmtFormatter);
+        expect(createFormatter('{level} {message}').format(recordOf())).toBe('INFO Order placed');
+        expect(createFormatter((record) => record.level)).toMatchObject({ contentType: 'text/plain' });
+        expect(createFormatter(custom)).toBe(custom);
+    });
+
+    test.each([['yaml'], [42], [null], [{ format: 'text' }]])('rejects %p', (formatter) => {
+        expect(() => createFormatter(formatter)).toThrow('Invalid parameters: "formatter"');
+    });
+});
@@ -0,0 +1,692 @@
+import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js";
+
+
+/**
+ * Validator instance for validating metric names and labels.
+ * @type {VALIDATE_LOGGER}
+ */
+const validator = new VALIDATE_LOGGER();
+
+
+/**
+ * The default buckets of the histograms, suited to durations in milliseconds.
+ * @type {Array<number>}
+ */
+const DEFAULT_HISTOGRAM_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+
+/**
+ * Escape a label value for the Prometheus text format.
+ *
+ * @param {string} value - The label value.
+ *
+ * @returns {string} The escaped value.
+ * @private
+ */
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+
+/**
+ * Format labels for the Prometheus text format.
+ *
+ * @param {Object<string, string>} labels - The labels.
+ *
+ * @returns {string} The labels between braces, or an empty string when there are none.
+ * @private
+ */
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+
+    if (entries.length === 0) {
+        return '';
+    }
+
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+
+/**
+ * Format a number for the Prometheus text format.
+ *
+ * @param {number} value - The number.
+ *
+ * @returns {string} The number, with '+Inf', '-Inf' and 'NaN' for special values.
+ * @private
+ */
+function formatNumber(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+
+    return value === -Infinity ? '-Inf' : String(value);
+}
+
+
+/**
+ * Check that a metric value is a finite number.
+ *
+ * @param {*} value - The value.
+ * @param {string} name - The name of the metric, for the message.
+ *
+ * @throws {Error} If the value is not a finite number.
+ *
+ * @returns {void}
+ * @private
+ */
+function assertFinite(value, name) {
+    if (!Number.isFinite(value)) {
+        throw new Error(`Invalid parameters: the metric "${name}" only takes finite numbers, got ${value}.`);
+    }
+}
+
+
+/**
+ * Base class of the metrics: a name, a help text, label names, and one value per combination of label values.
+ *
+ * @class Metric
+ */
+class Metric {
+
+    /**
+     * Create a Metric instance. Use the methods of `MetricsRegistry` instead.
+     *
+     * @param {string} type - The type of the metric.
+     * @param {string} name - The name of the metric, e.g. 'http_requests_total'.
+     * @param {Object} [options={}] - Metric options.
+     * @param {string} [options.help=''] - The description of the metric.
+     * @param {Array<string>} [options.labelNames=[]] - The names of the labels the values are split by.
+     */
+    constructor(type, name, { help = '', labelNames = [] } = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = [...labelNames];
+
+        /**
+         * The values, by serialized label values.
+         * @type {Map<string, {labels: Object<string, string>, value: *}>}
+         * @private
+         */
+        this.values = new Map();
+    }
+
+
+    /**
+     * Forget every value.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.values.clear();
+    }
+
+
+    /**
+     * Get the values of the metric.
+     *
+     * @returns {{name: string, type: string, help: string, values: Array<Object>}} The metric and its values, one per combination of labels.
+     */
+    snapshot() {
+        return {
+            name: this.name,
+            type: this.type,
+            help: this.help,
+            values: [...this.values.values()].map(({ labels, value }) => ({ labels: { ...labels }, ...this._snapshotValue(value) })),
+        };
+    }
+
+
+    /**
+     * Get the entry of a combination of labels, creating it if needed.
+     *
+     * @param {Object<string, string>} labels - The label values.
+     * @param {Function} create - Returns the initial value of a new entry.
+     *
+     * @throws {Error} If a label is not declared in `labelNames`.
+     *
+     * @returns {{labels: Object<string, string>, value: *}} The entry.
+     * @protected
+     */
+    _getEntry(labels, create) {
+        const unknown = Object.keys(labels).find((name) => !this.labelNames.includes(name));
+
+        if (unknown) {
+            throw new Error(`Invalid parameters: "${unknown}" is not a label of the metric "${this.name}".`);
+        }
+
+        const { key, normalized } = this._normalizeLabels(labels);
+
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels: normalized, value: create() });
+        }
+
+        return this.values.get(key);
+    }
+
+
+    /**
+     * Get the value of a combination of labels, without creating it.
+     *
+     * @param {Object<string, string>} labels - The label values.
+     *
+     * @returns {*} The value, or `undefined`.
+     * @protected
+     */
+    _peek(labels) {
+        const entry = this.values.get(this._normalizeLabels(labels).key);
+        return entry ? entry.value : undefined;
+    }
+
+
+    /**
+     * Convert label values to strings, in the order of `labelNames`.
+     *
+     * @param {Object<string, *>} labels - The label values.
+     *
+     * @returns {{key: string, normalized: Object<string, string>}} The normalized labels, and their key in `values`.
+     * @private
+     */
+    _normalizeLabels(labels) {
+        const normalized = {};
+
+        this.labelNames.forEach((name) => {
+            if (labels[name] !== undefined) {
+                normalized[name] = String(labels[name]);
+            }
+        });
+
+        return { key: JSON.stringify(normalized), normalized };
+    }
+
+
+    /**
+     * Get a value for snapshots.
+     *
+     * @param {*} value - The value.
+     *
+     * @returns {Object} The fields of the value.
+     * @protected
+     */
+    _snapshotValue(value) {
+        return { value };
+    }
+
+
+    /**
+     * Get the samples of the metric in the Prometheus text format.
+     *
+     * @returns {Array<string>} The sample lines.
+     * @protected
+     */
+    _toPrometheusSamples() {
+        return [...this.values.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatNumber(value)}`);
+    }
+}
+
+
+/**
+ * A counter: a value that only goes up, such as a number of requests.
+ *
+ * @class Counter
+ * @extends Metric
+ */
+class Counter extends Metric {
+
+    /**
+     * Create a Counter instance. Use `MetricsRegistry.counter` instead.
+     *
+     * @param {string} name - The name of the counter.
+     * @param {Object} [options={}] - Metric options, see `Metric`.
+     */
+    constructor(name, options = {}) {
+        super('counter', name, options);
+    }
+
+
+    /**
+     * Increase the counter.
+     *
+     * @param {number} [value=1] - The increase, positive.
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @throws {Error} If the increase is negative or not a finite number, or a label is unknown.
+     *
+     * @returns {void}
+     */
+    inc(value = 1, labels = {}) {
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid parameters: a counter can only be increased by a positive number, got ${value}.`);
+        }
+
+        this._getEntry(labels, () => 0).value += value;
+    }
+
+
+    /**
+     * Get the value of the counter.
+     *
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @returns {number} The value, 0 if the counter was never increased with these labels.
+     */
+    get(labels = {}) {
+        return this._peek(labels) || 0;
+    }
+}
+
+
+/**
+ * A gauge: a value that goes up and down, such as a number of open connections.
+ *
+ * @class Gauge
+ * @extends Metric
+ */
+class Gauge extends Metric {
+
+    /**
+     * Create a Gauge instance. Use `MetricsRegistry.gauge` instead.
+     *
+     * @param {string} name - The name of the gauge.
+     * @param {Object} [options={}] - Metric options, see `Metric`.
+     */
+    constructor(name, options = {}) {
+        super('gauge', name, options);
+    }
+
+
+    /**
+     * Set the gauge.
+     *
+     * @param {number} value - The value.
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @throws {Error} If the value is not a finite number, or a label is unknown.
+     *
+     * @returns {void}
+     */
+    set(value, labels = {}) {
+        assertFinite(value, this.name);
+        this._getEntry(labels, () => 0).value = value;
+    }
+
+
+    /**
+     * Increase the gauge.
+     *
+     * @param {number} [value=1] - The increase.
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @throws {Error} If the increase is not a finite number, or a label is unknown.
+     *
+     * @returns {void}
+     */
+    inc(value = 1, labels = {}) {
+        assertFinite(value, this.name);
+        this._getEntry(labels, () => 0).value += value;
+    }
+
+
+    /**
+     * Decrease the gauge.
+     *
+     * @param {number} [value=1] - The decrease.
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @throws {Error} If the decrease is not a finite number, or a label is unknown.
+     *
+     * @returns {void}
+     */
+    dec(value = 1, labels = {}) {
+        assertFinite(value, this.name);
+        this.inc(-value, labels);
+    }
+
+
+    /**
+     * Get the value of the gauge.
+     *
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @returns {number} The value, 0 if the gauge was never set with these labels.
+     */
+    get(labels = {}) {
+        return this._peek(labels) || 0;
+    }
+}
+
+
+/**
+ * A histogram: the distribution of observed values, such as durations, in cumulative buckets.
+ *
+ * @class Histogram
+ * @extends Metric
+ */
+class Histogram extends Metric {
+
+    /**
+     * Create a Histogram instance. Use `MetricsRegistry.histogram` instead.
+     *
+     * @param {string} name - The name of the histogram.
+     * @param {Object} [options={}] - Metric options, see `Metric`.
+     * @param {Array<number>} [options.buckets=DEFAULT_HISTOGRAM_BUCKETS] - The upper bounds of the buckets.
+     */
+    constructor(name, { buckets = DEFAULT_HISTOGRAM_BUCKETS, ...options } = {}) {
+        super('histogram', name, options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+
+    /**
+     * Observe a value.
+     *
+     * @param {number} value - The value, e.g. a duration in milliseconds.
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @throws {Error} If the value is not a finite number, or a label is unknown.
+     *
+     * @returns {void}
+     */
+    observe(value, labels = {}) {
+        assertFinite(value, this.name);
+
+        const entry = this._getEntry(labels, () => ({ counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 }));
+        const index = this.buckets.findIndex((bound) => value <= bound);
+
+        if (index !== -1) {
+            entry.value.counts[index] += 1;
+        }
+
+        entry.value.sum += value;
+        entry.value.count += 1;
+    }
+
+
+    /**
+     * Start a timer observing the elapsed time, in milliseconds, when it is stopped.
+     *
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @returns {Function} Stops the timer, observes and returns the elapsed time. It accepts additional labels.
+     *
+     * @example
+     * const stop = histogram.startTimer({ route: '/users' });
+     * await loadUsers();
+     * stop({ status: 200 });
+     */
+    startTimer(labels = {}) {
+        const startTime = performance.now();
+
+        return (endLabels = {}) => {
+            const duration = performance.now() - startTime;
+
+            this.observe(duration, { ...labels, ...endLabels });
+            return duration;
+        };
+    }
+
+
+    /**
+     * Get the distribution of the observed values.
+     *
+     * @param {Object<string, string>} [labels={}] - The label values.
+     *
+     * @returns {{buckets: Object<string, number>, sum: number, count: number}} The cumulative count of each bucket by upper bound,
+     * including '+Inf', the sum and the count of the values.
+     */
+    get(labels = {}) {
+        const value = this._peek(labels) || { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+        return this._snapshotValue(value);
+    }
+
+
+    /**
+     * Get a value for snapshots, with cumulative buckets.
+     *
+     * @param {{counts: Array<number>, sum: number, count: number}} value - The value.
+     *
+     * @returns {{buckets: Object<string, number>, sum: number, count: number}} The fields of the value.
+     * @protected
+     */
+    _snapshotValue({ counts, sum, count }) {
+        const buckets = {};
+        let cumulative = 0;
+
+        this.buckets.forEach((bound, index) => {
+            cumulative += counts[index];
+            buckets[formatNumber(bound)] = cumulative;
+        });
+
+        buckets['+Inf'] = count;
+        return { buckets, sum, count };
+    }
+
+
+    /**
+     * Get the samples of the histogram in the Prometheus text format: the buckets, the sum and the count.
+     *
+     * @returns {Array<string>} The sample lines.
+     * @protected
+     */
+    _toPrometheusSamples() {
+        const lines = [];
+
+        this.values.forEach(({ labels, value }) => {
+            const { buckets, sum, count } = this._snapshotValue(value);
+
+            Object.entries(buckets).forEach(([bound, cumulative]) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+            });
+
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatNumber(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        });
+
+        return lines;
+    }
+}
+
+
+/**
+ * Registry of counters, gauges and histograms, exported as JSON or in the Prometheus text format.
+ *
+ * Every logger has a registry in `logger.metrics`. Loggers can share one by passing it in their `metrics` option.
+ *
+ * @class MetricsRegistry
+ */
+class MetricsRegistry {
+
+    /**
+     * Create a MetricsRegistry instance.
+     *
+     * @example
+     * const metrics = new MetricsRegistry();
+     * const requests = metrics.counter('http_requests_total', { help: 'HTTP requests.', labelNames: ['method', 'status'] });
+     * requests.inc(1, { method: 'GET', status: 200 });
+     */
+    constructor() {
+
+        /**
+         * The metrics, by name.
+         * @type {Map<string, Metric>}
+         * @private
+         */
+        this.metrics = new Map();
+    }
+
+
+    /**
+     * Get a counter, creating it if needed.
+     *
+     * @param {string} name - The name of the counter, e.g. 'http_requests_total'.
+     * @param {Object} [options={}] - Metric options.
+     * @param {string} [options.help=''] - The description of the counter.
+     * @param {Array<string>} [options.labelNames=[]] - The names of the labels the values are split by.
+     *
+     * @throws {Error} If the options are invalid, or a metric of another type has the name.
+     *
+     * @returns {Counter} The counter.
+     */
+    counter(name, options = {}) {
+        return this._getOrCreate(Counter, 'counter', name, options);
+    }
+
+
+    /**
+     * Get a gauge, creating it if needed.
+     *
+     * @param {string} name - The name of the gauge, e.g. 'open_connections'.
+     * @param {Object} [options={}] - Metric options, see `counter`.
+     *
+     * @throws {Error} If the options are invalid, or a metric of another type has the name.
+     *
+     * @returns {Gauge} The gauge.
+     */
+    gauge(name, options = {}) {
+        return this._getOrCreate(Gauge, 'gauge', name, options);
+    }
+
+
+    /**
+     * Get a histogram, creating it if needed.
+     *
+     * @param {string} name - The name of the histogram, e.g. 'render_duration_milliseconds'.
+     * @param {Object} [options={}] - Metric options, see `counter`.
+     * @param {Array<number>} [options.buckets=DEFAULT_HISTOGRAM_BUCKETS] - The upper bounds of the buckets.
+     *
+     * @throws {Error} If the options are invalid, or a metric of another type has the name.
+     *
+     * @returns {Histogram} The histogram.
+     */
+    histogram(name, options = {}) {
+        return this._getOrCreate(Histogram, 'histogram', name, options);
+    }
+
+
+    /**
+     * Get a metric.
+     *
+     * @param {string} name - The name of the metric.
+     *
+     * @returns {Metric|undefined} The metric, or `undefined`.
+     */
+    getMetric(name) {
+        return this.metrics.get(name);
+    }
+
+
+    /**
+     * Remove a metric.
+     *
+     * @param {string} name - The name of the metric.
+     *
+     * @returns {boolean} `true` if the metric was removed.
+     */
+    removeMetric(name) {
+        return this.metrics.delete(name);
+    }
+
+
+    /**
+     * Get the values of every metric.
+     *
+     * @returns {Object<string, Object>} The metrics by name, each with its `type`, `help` and `values`.
+     *
+     * @example
+     * metrics.snapshot();
+     * // { http_requests_total: { name: 'http_requests_total', type: 'counter', help: 'HTTP requests.', values: [{ labels: { method: 'GET', status: '200' }, value: 1 }] } }
+     */
+    snapshot() {
+        const snapshot = {};
+
+        this.metrics.forEach((metric, name) => {
+            snapshot[name] = metric.snapshot();
+        });
+
+        return snapshot;
+    }
+
+
+    /**
+     * Reset the values of every metric. The metrics stay registered.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.metrics.forEach((metric) => metric.reset());
+    }
+
+
+    /**
+     * Get the value serialized by `JSON.stringify`, so that `JSON.stringify(metrics)` gives the snapshot as JSON.
+     *
+     * @returns {Object<string, Object>} The snapshot, see `snapshot`.
+     */
+    toJSON() {
+        return this.snapshot();
+    }
+
+
+    /**
+     * Export the metrics in the Prometheus text format, e.g. for a /metrics endpoint.
+     *
+     * @returns {string} The metrics, each with its HELP and TYPE lines.
+     *
+     * @example
+     * metrics.toPrometheus();
+     * // # HELP http_requests_total HTTP requests.
+     * // # TYPE http_requests_total counter
+     * // http_requests_total{method="GET",status="200"} 1
+     */
+    toPrometheus() {
+        const lines = [];
+
+        this.metrics.forEach((metric) => {
+            if (metric.help) {
+                lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            }
+
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            lines.push(...metric._toPrometheusSamples());
+        });
+
+        return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+    }
+
+
+    /**
+     * Get a metric, creating it if needed.
+     *
+     * @param {Function} MetricClass - The class of the metric.
+     * @param {string} type - The type of the metric.
+     * @param {string} name - The name of the metric.
+     * @param {Object} options - The options of the metric.
+     *
+     * @throws {Error} If the options are invalid, or a metric of another type has the name.
+     *
+     * @returns {Metric} The metric.
+     * @private
+     */
+    _getOrCreate(MetricClass, type, name, options) {
+        validator._validateMetricOptions({ name, ...options });
+
+        const existing = this.metrics.get(name);
+
+        if (existing) {
+            if (existing.type !== type) {
+                throw new Error(`Invalid parameters: the metric "${name}" is a ${existing.type}, not a ${type}.`);
+            }
+
+            return existing;
+        }
+
+        const metric = new MetricClass(name, options);
+
+        this.metrics.set(name, metric);
+        return metric;
+    }
+}
+
+
+export { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_HISTOGRAM_BUCKETS };
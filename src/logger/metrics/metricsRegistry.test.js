@@ -0,0 +1,48 @@
+import { MetricsRegistry } from './metricsRegistry.js';
+import { LoggerBase } from '../base/loggerBase.js';
+
+
+describe('MetricsRegistry', () => {
+    test('serializes to the snapshot with JSON.stringify', () => {
+        const metrics = new MetricsRegistry();
+
+        metrics.counter('requests_total', { labelNames: ['method'] }).inc(2, { method: 'GET' });
+
+        expect(metrics.toJSON()).toEqual(metrics.snapshot());
+        expect(JSON.parse(JSON.stringify(metrics))).toEqual(metrics.snapshot());
+        expect(JSON.parse(JSON.stringify({ metrics })).metrics.requests_total.values).toEqual([{ labels: { method: 'GET' }, value: 2 }]);
+    });
+
+    test('exports the metrics of a logger as JSON once encoded', () => {
+        const logger = new LoggerBase('INFO');
+
+        logger.metrics.gauge('connections').set(3);
+
+        expect(JSON.parse(logger.exportMetrics('json'))).toEqual(logger.metrics.snapshot());
+    });
+
+    test('rejects the values that are not finite numbers', () => {
+        const metrics = new MetricsRegistry();
+        const counter = metrics.counter('errors_total');
+        const gauge = metrics.gauge('queue_size');
+        const histogram = metrics.histogram('latency_ms');
+
+        [NaN, Infinity, '3', null].forEach((value) => {
+            expect(() => counter.inc(value)).toThrow('Invalid parameters');
+            expect(() => gauge.set(value)).toThrow('Invalid parameters');
+            expect(() => gauge.inc(value)).toThrow('Invalid parameters');
+            expect(() => gauge.dec(value)).toThrow('Invalid parameters');
+            expect(() => histogram.observe(value)).toThrow('Invalid parameters');
+        });
+        expect(() => counter.inc(-1)).toThrow('positive number');
+
+        counter.inc();
+        gauge.set(5);
+        gauge.dec(2);
+        histogram.observe(12);
+
+        expect(counter.get()).toBe(1);
+        expect(gauge.get()).toBe(3);
+        expect(histogram.get()).toMatchObject({ sum: 12, count: 1 });
+    });
+});
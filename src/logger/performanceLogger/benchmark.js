@@ -0,0 +1,231 @@
+import { isPromiseLike } from './promiseUtils.js';
+
+
+/**
+ * Two-tailed critical values of the Student t distribution at 95% confidence, by degrees of freedom (index 0 is 1 degree).
+ * Beyond 30 degrees of freedom, the normal value 1.96 is used.
+ * @type {Array<number>}
+ * @private
+ */
+const T_CRITICAL_VALUES = [
+    12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+    2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+    2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+
+
+/**
+ * The statistics of a benchmark.
+ *
+ * @typedef {Object} BenchmarkResult
+ * @property {string} label - The name of the benchmark.
+ * @property {number} samples - The number of samples.
+ * @property {number} iterationsPerSample - The number of calls timed together in each sample.
+ * @property {number} min - The fastest sample, in milliseconds per call.
+ * @property {number} max - The slowest sample, in milliseconds per call.
+ * @property {number} mean - The mean, in milliseconds per call.
+ * @property {number} median - The median, in milliseconds per call.
+ * @property {number} p75 - The 75th percentile, in milliseconds per call.
+ * @property {number} p95 - The 95th percentile, in milliseconds per call.
+ * @property {number} p99 - The 99th percentile, in milliseconds per call.
+ * @property {number} standardDeviation - The sample standard deviation, in milliseconds.
+ * @property {number} opsPerSecond - The number of calls per second, from the mean.
+ * @property {Array<number>} durations - Every sample, in milliseconds per call.
+ */
+
+
+/**
+ * Compute a percentile of sorted values, interpolating between the closest ranks.
+ *
+ * @param {Array<number>} sorted - The values, in ascending order.
+ * @param {number} percentile - The percentile, between 0 and 100.
+ *
+ * @returns {number} The percentile.
+ * @private
+ */
+function getPercentile(sorted, percentile) {
+    const rank = (percentile / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+
+/**
+ * Compute the statistics of benchmark samples.
+ *
+ * @param {string} label - The name of the benchmark.
+ * @param {Array<number>} durations - The samples, in milliseconds per call.
+ * @param {number} [iterationsPerSample=1] - The number of calls timed together in each sample.
+ *
+ * @returns {BenchmarkResult} The statistics.
+ *
+ * @example
+ * computeBenchmarkStatistics('parse', [1.2, 1.1, 1.4, 1.3]).median; // 1.25
+ */
+function computeBenchmarkStatistics(label, durations, iterationsPerSample = 1) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const mean = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    const variance = durations.length > 1
+        ? durations.reduce((sum, duration) => sum + (duration - mean) ** 2, 0) / (durations.length - 1)
+        : 0;
+
+    return {
+        label,
+        samples: durations.length,
+        iterationsPerSample,
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        mean,
+        median: getPercentile(sorted, 50),
+        p75: getPercentile(sorted, 75),
+        p95: getPercentile(sorted, 95),
+        p99: getPercentile(sorted, 99),
+        standardDeviation: Math.sqrt(variance),
+        opsPerSecond: mean > 0 ? 1000 / mean : Infinity,
+        durations,
+    };
+}
+
+
+/**
+ * Time a number of consecutive calls.
+ *
+ * @param {Function} func - The function, synchronous or returning a Promise.
+ * @param {number} count - The number of calls.
+ *
+ * @returns {number|Promise<number>} The elapsed time in milliseconds, or a Promise of it once a call returned a Promise.
+ * @private
+ */
+function timeCalls(func, count) {
+    const start = performance.now();
+
+    for (let index = 0; index < count; index++) {
+        const result = func();
+
+        if (isPromiseLike(result)) {
+            return (async () => {
+                await result;
+
+                for (let next = index + 1; next < count; next++) {
+                    await func();
+                }
+
+                return performance.now() - start;
+            })();
+        }
+    }
+
+    return performance.now() - start;
+}
+
+
+/**
+ * Run a step a number of times, one after the other, collecting the values.
+ *
+ * @param {number} count - The number of steps.
+ * @param {Function} step - Returns a value or a Promise.
+ *
+ * @returns {Array<*>|Promise<Array<*>>} The values, or a Promise of them once a step returned a Promise.
+ * @private
+ */
+function collect(count, step) {
+    const values = [];
+
+    for (let index = 0; index < count; index++) {
+        const value = step();
+
+        if (isPromiseLike(value)) {
+            return (async () => {
+                values.push(await value);
+
+                for (let next = index + 1; next < count; next++) {
+                    values.push(await step());
+                }
+
+                return values;
+            })();
+        }
+
+        values.push(value);
+    }
+
+    return values;
+}
+
+
+/**
+ * Benchmark a function: warm-up runs, then timed samples.
+ *
+ * @param {string} label - The name of the benchmark.
+ * @param {Function} func - The function, synchronous or returning a Promise.
+ * @param {Object} [options={}] - Benchmark options.
+ * @param {number} [options.warmup=5] - The number of untimed calls made first.
+ * @param {number} [options.samples=50] - The number of samples.
+ * @param {number} [options.iterationsPerSample=1] - The number of calls timed together in each sample, raise it for very fast functions.
+ *
+ * @returns {BenchmarkResult|Promise<BenchmarkResult>} The statistics, or a Promise of them when the function returns Promises.
+ *
+ * @example
+ * const result = runBenchmark('JSON.parse', () => JSON.parse(payload), { samples: 100, iterationsPerSample: 1000 });
+ */
+function runBenchmark(label, func, { warmup = 5, samples = 50, iterationsPerSample = 1 } = {}) {
+    const measure = () => collect(samples, () => {
+        const elapsed = timeCalls(func, iterationsPerSample);
+        return isPromiseLike(elapsed) ? elapsed.then((time) => time / iterationsPerSample) : elapsed / iterationsPerSample;
+    });
+    const finish = (durations) => computeBenchmarkStatistics(label, durations, iterationsPerSample);
+
+    const warmedUp = collect(warmup, () => timeCalls(func, 1));
+
+    if (isPromiseLike(warmedUp)) {
+        return warmedUp.then(measure).then(finish);
+    }
+
+    const durations = measure();
+    return isPromiseLike(durations) ? durations.then(finish) : finish(durations);
+}
+
+
+/**
+ * Compare two benchmarks with Welch's t-test.
+ *
+ * @param {BenchmarkResult} first - The first benchmark.
+ * @param {BenchmarkResult} second - The second benchmark.
+ *
+ * @returns {{faster: string, slower: string, ratio: number, percentFaster: number, significant: boolean, tValue: number, degreesOfFreedom: number}}
+ * The comparison: `ratio` is how many times faster the faster benchmark is, and `significant` tells whether the difference of the means
+ * is significant at 95% confidence.
+ *
+ * @example
+ * compareBenchmarkResults(forLoop, forEach);
+ * // { faster: 'for loop', slower: 'forEach', ratio: 1.8, percentFaster: 44.4, significant: true, tValue: 12.3, degreesOfFreedom: 97.5 }
+ */
+function compareBenchmarkResults(first, second) {
+    const [faster, slower] = first.mean <= second.mean ? [first, second] : [second, first];
+    const firstError = first.standardDeviation ** 2 / first.samples;
+    const secondError = second.standardDeviation ** 2 / second.samples;
+    const standardError = Math.sqrt(firstError + secondError);
+
+    const tValue = standardError > 0 ? Math.abs(first.mean - second.mean) / standardError : (first.mean === second.mean ? 0 : Infinity);
+    const degreesOfFreedom = standardError > 0
+        ? (firstError + secondError) ** 2 / ((first.samples > 1 ? firstError ** 2 / (first.samples - 1) : 0) + (second.samples > 1 ? secondError ** 2 / (second.samples - 1) : 0))
+        : first.samples + second.samples - 2;
+    const critical = degreesOfFreedom >= 1 && degreesOfFreedom <= T_CRITICAL_VALUES.length
+        ? T_CRITICAL_VALUES[Math.floor(degreesOfFreedom) - 1]
+        : (degreesOfFreedom < 1 ? T_CRITICAL_VALUES[0] : 1.96);
+
+    return {
+        faster: faster.label,
+        slower: slower.label,
+        ratio: faster.mean > 0 ? slower.mean / faster.mean : Infinity,
+        percentFaster: slower.mean > 0 ? ((slower.mean - faster.mean) / slower.mean) * 100 : 0,
+        significant: tValue > critical,
+        tValue,
+        degreesOfFreedom,
+    };
+}
+
+
+export { runBenchmark, computeBenchmarkStatistics, compareBenchmarkResults };
@@ -0,0 +1,88 @@
+import { compareBenchmarkResults, computeBenchmarkStatistics, runBenchmark } from './benchmark.js';
+
+
+describe('computeBenchmarkStatistics', () => {
+    test('computes the interpolated percentiles and the sample standard deviation', () => {
+        const result = computeBenchmarkStatistics('parse', [1.2, 1.1, 1.4, 1.3, 1.0]);
+
+        expect(result).toMatchObject({ label: 'parse', samples: 5, iterationsPerSample: 1, min: 1.0, max: 1.4, median: 1.2 });
+        expect(result.mean).toBeCloseTo(1.2);
+        expect(result.p75).toBeCloseTo(1.3);
+        expect(result.p95).toBeCloseTo(1.38);
+        expect(result.standardDeviation).toBeCloseTo(Math.sqrt(0.025));
+        expect(result.opsPerSecond).toBeCloseTo(1000 / 1.2);
+        expect(computeBenchmarkStatistics('single', [3]).standardDeviation).toBe(0);
+    });
+});
+
+
+describe('runBenchmark', () => {
+    beforeEach(() => {
+        let now = 0;
+        jest.spyOn(performance, 'now').mockImplementation(() => (now += 10));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('warms up, then times the samples per call', () => {
+        const func = jest.fn();
+
+        const result = runBenchmark('loop', func, { warmup: 2, samples: 3, iterationsPerSample: 4 });
+
+        expect(func).toHaveBeenCalledTimes(2 + 3 * 4);
+        expect(result.durations).toEqual([2.5, 2.5, 2.5]);
+        expect(result.iterationsPerSample).toBe(4);
+    });
+
+    test('awaits the functions returning Promises, one call after the other', async () => {
+        let running = 0;
+        const func = jest.fn(async () => {
+            expect(running++).toBe(0);
+            await Promise.resolve();
+            running--;
+        });
+
+        const result = runBenchmark('fetch', func, { warmup: 1, samples: 2, iterationsPerSample: 2 });
+
+        expect(result).toBeInstanceOf(Promise);
+        expect((await result).durations).toEqual([5, 5]);
+        expect(func).toHaveBeenCalledTimes(5);
+    });
+});
+
+
+describe('compareBenchmarkResults', () => {
+    test('finds a significant difference with Welch\'s t-test', () => {
+        const comparison = compareBenchmarkResults(computeBenchmarkStatistics('slow', [20, 22, 24]), computeBenchmarkStatistics('fast', [10, 12, 14]));
+
+        expect(comparison).toMatchObject({ faster: 'fast', slower: 'slow', significant: true });
+        expect(comparison.ratio).toBeCloseTo(22 / 12);
+        expect(comparison.percentFaster).toBeCloseTo(1000 / 22);
+        expect(comparison.tValue).toBeCloseTo(10 / Math.sqrt(8 / 3));
+        expect(comparison.degreesOfFreedom).toBeCloseTo(4);
+    });
+
+    test('does not find a significant difference when the samples overlap', () => {
+        const comparison = compareBenchmarkResults(computeBenchmarkStatistics('a', [10, 14, 18]), computeBenchmarkStatistics('b', [12, 16, 20]));
+
+        expect(comparison).toMatchObject({ faster: 'a', slower: 'b', significant: false });
+        expect(comparison.tValue).toBeCloseTo(2 / Math.sqrt(32 / 3));
+    });
+
+    test('lowers the degrees of freedom when the variances differ', () => {
+        const comparison = compareBenchmarkResults(computeBenchmarkStatistics('steady', [1, 2, 3, 4, 5]), computeBenchmarkStatistics('noisy', [0, 10, 20]));
+
+        expect(comparison.tValue).toBeCloseTo(7 / Math.sqrt(0.5 + 100 / 3));
+        expect(comparison.degreesOfFreedom).toBeCloseTo(2.06, 2);
+        expect(comparison.significant).toBe(false);
+    });
+
+    test('handles samples without variance', () => {
+        const same = computeBenchmarkStatistics('same', [5, 5, 5]);
+
+        expect(compareBenchmarkResults(same, { ...same, label: 'copy' })).toMatchObject({ faster: 'same', ratio: 1, significant: false, tValue: 0, degreesOfFreedom: 4 });
+        expect(compareBenchmarkResults(same, computeBenchmarkStatistics('slower', [6, 6, 6]))).toMatchObject({ faster: 'same', significant: true, tValue: Infinity });
+    });
+});
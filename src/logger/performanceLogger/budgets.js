@@ -0,0 +1,320 @@
+/**
+ * The multipliers of the budget units, to milliseconds or bytes.
+ * @type {Object<string, {metric: string, factor: number}>}
+ * @private
+ */
+const BUDGET_UNITS = {
+    ms: { metric: 'duration', factor: 1 },
+    s: { metric: 'duration', factor: 1000 },
+    b: { metric: 'size', factor: 1 },
+    kb: { metric: 'size', factor: 1024 },
+    mb: { metric: 'size', factor: 1024 * 1024 },
+};
+
+
+/**
+ * A budget exceeded by a measurement.
+ *
+ * @typedef {Object} BudgetViolation
+ * @property {string} budget - The label of the budget.
+ * @property {('duration'|'size')} metric - The metric exceeded.
+ * @property {number} value - The measured value, in milliseconds or bytes.
+ * @property {number} limit - The budget, in milliseconds or bytes.
+ * @property {number} exceededBy - How much the value exceeds the budget, in milliseconds or bytes.
+ * @property {string} timestamp - The ISO 8601 date of the measurement.
+ */
+
+
+/**
+ * Parse a budget limit.
+ *
+ * @param {number|string} value - A number of milliseconds, or a string with a unit: 'ms', 's', 'b', 'kb' or 'mb', e.g. '16ms' or '300kb'.
+ * @param {string} [metric] - The metric expected, for limits given as `{ duration, size }`.
+ *
+ * @throws {Error} If the limit cannot be parsed, or its unit does not match the metric.
+ *
+ * @returns {{metric: ('duration'|'size'), limit: number}} The metric and the limit, in milliseconds or bytes.
+ * @private
+ */
+function parseLimit(value, metric) {
+    if (typeof value === 'number') {
+        return { metric: metric || 'duration', limit: value };
+    }
+
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|b|kb|mb)\s*$/i.exec(value);
+    const unit = match && BUDGET_UNITS[match[2].toLowerCase()];
+
+    if (!unit || (metric && unit.metric !== metric)) {
+        throw new Error(`Invalid parameters: "${value}" is not a valid ${metric || 'budget'}, use a unit such as '16ms' or '300kb'.`);
+    }
+
+    return { metric: unit.metric, limit: Number(match[1]) * unit.factor };
+}
+
+
+/**
+ * Parse a budget.
+ *
+ * @param {number|string|{duration: (number|string), size: (number|string)}} budget - A limit, or a duration and/or size limits.
+ *
+ * @returns {Object<string, number>} The limits, by metric.
+ *
+ * @example
+ * parseBudget('300kb'); // Returns { size: 307200 }
+ * parseBudget({ duration: '2s', size: '1mb' }); // Returns { duration: 2000, size: 1048576 }
+ */
+function parseBudget(budget) {
+    const limits = {};
+    const parts = typeof budget === 'object' && budget !== null
+        ? Object.entries(budget).map(([metric, value]) => parseLimit(value, metric))
+        : [parseLimit(budget)];
+
+    parts.forEach(({ metric, limit }) => {
+        limits[metric] = limit;
+    });
+
+    return limits;
+}
+
+
+/**
+ * Compile a resource pattern.
+ *
+ * @param {string|RegExp} pattern - A regular expression, or a glob string where '*' matches any characters, e.g. '*bundle.*.js'.
+ *
+ * @returns {RegExp} The regular expression.
+ * @private
+ */
+function compilePattern(pattern) {
+    if (pattern instanceof RegExp) {
+        return pattern;
+    }
+
+    return new RegExp(`^${pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+}
+
+
+/**
+ * Format a value of a metric for messages.
+ *
+ * @param {('duration'|'size')} metric - The metric.
+ * @param {number} value - The value, in milliseconds or bytes.
+ *
+ * @returns {string} The value with its unit.
+ * @private
+ */
+function formatValue(metric, value) {
+    return metric === 'duration' ? `${value} milliseconds` : `${(value / 1024).toFixed(1)} KB`;
+}
+
+
+/**
+ * Describe a violation.
+ *
+ * @param {BudgetViolation} violation - The violation.
+ *
+ * @returns {string} The description, e.g. 'render-table took 21 milliseconds, budget 16 milliseconds'.
+ */
+function describeViolation({ budget, metric, value, limit }) {
+    return `${budget} ${metric === 'duration' ? 'took' : 'weighs'} ${formatValue(metric, value)}, budget ${formatValue(metric, limit)}`;
+}
+
+
+/**
+ * Checker of measurements against performance budgets, by label.
+ *
+ * @class BudgetChecker
+ */
+class BudgetChecker {
+
+    /**
+     * Create a BudgetChecker instance.
+     *
+     * @param {Object} [options={}] - Checker options.
+     * @param {Object<string, (number|string|Object)>} [options.budgets={}] - The budgets by label, see `setBudgets`.
+     * @param {Object<string, (string|RegExp)>} [options.resources={}] - The resource patterns by budget label, see `setResources`.
+     * @param {Function} [options.onViolation] - Called with each violation.
+     * @param {number} [options.maxViolations=1000] - The number of violations kept, the oldest are dropped.
+     *
+     * @example
+     * const checker = new BudgetChecker({ budgets: { 'render-table': '16ms', 'page-load': 2000, 'bundle-resource': '300kb' }, resources: { 'bundle-resource': '*bundle.*.js' } });
+     * checker.check('render-table', { duration: 21 }); // Returns one violation
+     * checker.check(checker.getResourceLabel('https://example.com/bundle.3f2a.js'), { size: 412 * 1024 }); // Checked against 'bundle-resource'
+     */
+    constructor({ budgets = {}, resources = {}, onViolation = () => { }, maxViolations = 1000 } = {}) {
+        this.onViolation = onViolation;
+        this.maxViolations = maxViolations;
+
+        /**
+         * The limits, by label.
+         * @type {Map<string, Object<string, number>>}
+         */
+        this.budgets = new Map();
+
+        /**
+         * The resource patterns, by budget label.
+         * @type {Map<string, RegExp>}
+         */
+        this.resources = new Map();
+        this.violations = [];
+
+        this.setBudgets(budgets);
+        this.setResources(resources);
+    }
+
+
+    /**
+     * Add budgets, replacing the budgets of the same labels.
+     *
+     * @param {Object<string, (number|string|Object)>} budgets - The budgets by label: a number of milliseconds, a string with a unit
+     * such as '16ms', '2s' or '300kb', or an object with `duration` and/or `size` limits.
+     *
+     * @throws {Error} If a budget cannot be parsed.
+     *
+     * @returns {void}
+     */
+    setBudgets(budgets) {
+        Object.entries(budgets).forEach(([label, budget]) => this.budgets.set(label, parseBudget(budget)));
+    }
+
+
+    /**
+     * Map resources to budget labels, replacing the patterns of the same labels.
+     *
+     * @param {Object<string, (string|RegExp)>} resources - The patterns by budget label: regular expressions, or glob strings
+     * where '*' matches any characters, tested against the full resource name, usually its URL.
+     *
+     * @returns {void}
+     */
+    setResources(resources) {
+        Object.entries(resources).forEach(([label, pattern]) => this.resources.set(label, compilePattern(pattern)));
+    }
+
+
+    /**
+     * Get the budget label of a resource.
+     *
+     * @param {string} name - The name of the resource, usually its URL.
+     *
+     * @returns {string} The label of the first pattern matching the name, or the name itself.
+     */
+    getResourceLabel(name) {
+        const match = [...this.resources].find(([, pattern]) => pattern.test(name));
+
+        return match ? match[0] : name;
+    }
+
+
+    /**
+     * Remove the budget of a label.
+     *
+     * @param {string} label - The label.
+     *
+     * @returns {boolean} `true` if the budget was removed.
+     */
+    removeBudget(label) {
+        return this.budgets.delete(label);
+    }
+
+
+    /**
+     * Get the budgets.
+     *
+     * @returns {Object<string, Object<string, number>>} The limits by label, in milliseconds and bytes.
+     */
+    getBudgets() {
+        return Object.fromEntries([...this.budgets].map(([label, limits]) => [label, { ...limits }]));
+    }
+
+
+    /**
+     * Check a measurement against the budget of its label.
+     *
+     * @param {string} label - The label of the measurement.
+     * @param {{duration: number, size: number}} values - The measured values, in milliseconds and bytes.
+     *
+     * @returns {Array<BudgetViolation>} The violations, empty when the measurement is within its budget or has no budget.
+     */
+    check(label, { duration, size } = {}) {
+        const limits = this.budgets.get(label);
+
+        if (!limits) {
+            return [];
+        }
+
+        const values = { duration, size };
+        const violations = Object.entries(limits)
+            .filter(([metric, limit]) => typeof values[metric] === 'number' && values[metric] > limit)
+            .map(([metric, limit]) => ({
+                budget: label,
+                metric,
+                value: values[metric],
+                limit,
+                exceededBy: values[metric] - limit,
+                timestamp: new Date().toISOString(),
+            }));
+
+        violations.forEach((violation) => {
+            this.violations.push(violation);
+
+            if (this.violations.length > this.maxViolations) {
+                this.violations.shift();
+            }
+
+            this.onViolation(violation);
+        });
+
+        return violations;
+    }
+
+
+    /**
+     * Get the violations recorded.
+     *
+     * @returns {Array<BudgetViolation>} The violations, oldest first.
+     */
+    getViolations() {
+        return this.violations.map((violation) => ({ ...violation }));
+    }
+
+
+    /**
+     * Forget the violations recorded. The budgets are kept.
+     *
+     * @returns {void}
+     */
+    clearViolations() {
+        this.violations = [];
+    }
+
+
+    /**
+     * Throw if a budget was exceeded.
+     *
+     * @param {boolean} [clear=true] - Whether to forget the violations before throwing, so the next assertion starts clean.
+     *
+     * @throws {Error} If violations were recorded, with the list in its message and in its `violations` property.
+     *
+     * @returns {void}
+     */
+    assert(clear = true) {
+        const violations = this.getViolations();
+
+        if (clear) {
+            this.clearViolations();
+        }
+
+        if (violations.length === 0) {
+            return;
+        }
+
+        const details = violations.map(describeViolation).join('; ');
+        const error = new Error(`Performance budgets exceeded: ${details}`);
+
+        error.violations = violations;
+        throw error;
+    }
+}
+
+
+export { BudgetChecker, parseBudget, describeViolation };
@@ -0,0 +1,113 @@
+import { BudgetChecker, parseBudget } from './budgets.js';
+import { PerformanceLogger } from './performanceLogger.js';
+
+
+describe('BudgetChecker', () => {
+    test('parses the budgets with units', () => {
+        expect(parseBudget('300kb')).toEqual({ size: 307200 });
+        expect(parseBudget({ duration: '2s', size: '1mb' })).toEqual({ duration: 2000, size: 1048576 });
+        expect(() => parseBudget({ size: '3ms' })).toThrow('is not a valid size');
+    });
+
+    test('throws on the violations once, then starts clean', () => {
+        const checker = new BudgetChecker({ budgets: { 'render-table': '16ms' } });
+
+        expect(checker.check('render-table', { duration: 21 })).toHaveLength(1);
+        expect(() => checker.assert()).toThrow('render-table took 21 milliseconds, budget 16 milliseconds');
+        expect(() => checker.assert()).not.toThrow();
+    });
+});
+
+
+describe('PerformanceLogger budgets', () => {
+    let now;
+
+    beforeEach(() => {
+        // Every call to performance.now() is 10 milliseconds after the previous one.
+        now = 0;
+        jest.spyOn(performance, 'now').mockImplementation(() => (now += 10));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const violationsOf = (logger) => logger.getBudgetViolations().map(({ budget, value }) => [budget, value]);
+
+    test('checks the successful measureTime calls', () => {
+        const logger = new PerformanceLogger('INFO', { budgets: { render: '5ms' } });
+
+        logger.measureTime('render', () => 'table');
+
+        expect(violationsOf(logger)).toEqual([['render', 10]]);
+        expect(() => logger.assertBudgets()).toThrow('Performance budgets exceeded: render took 10 milliseconds, budget 5 milliseconds');
+        expect(() => logger.assertBudgets()).not.toThrow();
+    });
+
+    test('does not check the failures', () => {
+        const logger = new PerformanceLogger('INFO', { budgets: { render: '5ms', loop: '1ms' } });
+
+        expect(() => logger.measureTime('render', () => {
+            throw new Error('Broken');
+        })).toThrow('Broken');
+        logger.measureIterationsTime('loop', () => {
+            throw new Error('Broken');
+        }, 3);
+
+        expect(logger.logs.map((record) => record.level)).toEqual(['ERROR', 'INFO', 'ERROR']);
+        expect(violationsOf(logger)).toEqual([]);
+    });
+
+    test('checks the average iteration and element, not the totals', () => {
+        const logger = new PerformanceLogger('INFO', { budgets: { loop: '3ms', items: '2ms', fastLoop: '5ms' } });
+
+        logger.measureIterationsTime('loop', () => { }, 3);
+        logger.measureIterationsTime('fastLoop', () => { }, 3);
+        logger.measureForEachTime('items', [1, 2, 3, 4], () => { });
+
+        expect(violationsOf(logger)).toEqual([['loop', 10 / 3], ['items', 10 / 4]]);
+    });
+
+    test('checks the mean call of a benchmark', () => {
+        const logger = new PerformanceLogger('INFO', { budgets: { parse: '5ms' } });
+
+        const result = logger.benchmark('parse', () => { }, { warmup: 0, samples: 5 });
+
+        expect(violationsOf(logger)).toEqual([['parse', result.mean]]);
+    });
+
+    test('checks the resources against the label of their pattern', () => {
+        const logger = new PerformanceLogger('INFO');
+
+        jest.spyOn(performance, 'getEntriesByName').mockImplementation((name) => [{ name, duration: 20, transferSize: 400 * 1024 }]);
+        logger.setBudgets({ 'bundle-resource': '300kb', 'https://example.com/app.css': '10ms' }, { resources: { 'bundle-resource': '*bundle.*.js' } });
+
+        logger.logResourceLoadTime('https://example.com/js/bundle.3f2a.js');
+        logger.logResourceLoadTime('https://example.com/app.css');
+        logger.logResourceLoadTime('https://example.com/vendor.js');
+
+        expect(violationsOf(logger)).toEqual([['bundle-resource', 400 * 1024], ['https://example.com/app.css', 20]]);
+        expect(() => logger.setBudgets({}, { resources: { 'bundle-resource': 42 } })).toThrow('Invalid parameters');
+    });
+
+    test.each(['DEBUG', 'INFO'])('checks each instrumented call once at the %s level', (level) => {
+        const logger = new PerformanceLogger(level, { budgets: { 'store.save': '5ms' } });
+        const store = { save: () => true, load: () => { throw new Error('Missing'); } };
+
+        logger.setBudgets({ 'store.load': '5ms' });
+        logger.instrument(store, { label: 'store' });
+        store.save();
+        expect(() => store.load()).toThrow('Missing');
+
+        expect(violationsOf(logger)).toEqual([['store.save', 10]]);
+    });
+
+    test('checks the successful spans', async () => {
+        const logger = new PerformanceLogger('INFO', { budgets: { parse: '5ms', fetch: '5ms' } });
+
+        logger.withSpan('parse', () => 'ast');
+        await expect(logger.withSpan('fetch', () => Promise.reject(new Error('Offline')))).rejects.toThrow('Offline');
+
+        expect(violationsOf(logger).map(([budget]) => budget)).toEqual(['parse']);
+    });
+});
@@ -0,0 +1,276 @@
+/**
+ * Request the next frame: `requestAnimationFrame` in browsers, a 60 Hz timer elsewhere.
+ *
+ * @param {Function} callback - Receives the frame timestamp, in milliseconds.
+ *
+ * @returns {*} The handle of the request.
+ * @private
+ */
+function requestFrame(callback) {
+    if (typeof requestAnimationFrame === 'function') {
+        return requestAnimationFrame(callback);
+    }
+
+    return setTimeout(() => callback(performance.now()), 1000 / 60);
+}
+
+
+/**
+ * Cancel a frame requested with `requestFrame`.
+ *
+ * @param {*} handle - The handle of the request.
+ *
+ * @returns {void}
+ * @private
+ */
+function cancelFrame(handle) {
+    if (typeof cancelAnimationFrame === 'function') {
+        cancelAnimationFrame(handle);
+    } else {
+        clearTimeout(handle);
+    }
+}
+
+
+/**
+ * Frame statistics over a period.
+ *
+ * @typedef {Object} FrameStatistics
+ * @property {number} frames - The number of frames.
+ * @property {number} duration - The length of the period, in milliseconds.
+ * @property {number} fps - The frames per second.
+ * @property {number} averageFrameTime - The mean frame time, in milliseconds.
+ * @property {number} maxFrameTime - The longest frame, in milliseconds.
+ * @property {number} jankFrames - The frames longer than the jank threshold.
+ * @property {number} droppedFrames - The frames the display expected but did not get.
+ * @property {number} droppedPercent - The dropped frames, in percent of the expected frames.
+ */
+
+
+/**
+ * Frame monitor measuring the real frame rate with `requestAnimationFrame`.
+ *
+ * Frame times are aggregated as they come, and only the last `maxSamples` samples are kept, so monitoring can run for hours.
+ * Samples are computed every `sampleInterval` milliseconds, and a summary covers the whole monitoring.
+ * A frame is janky when it lasts longer than `jankThreshold`, and each frame lasting several display refreshes counts the missed ones as dropped.
+ *
+ * @class FrameMonitor
+ */
+class FrameMonitor {
+
+    /**
+     * Create a FrameMonitor instance.
+     *
+     * @param {Object} [options={}] - Monitor options.
+     * @param {number} [options.sampleInterval=1000] - The length of each sample, in milliseconds.
+     * @param {number} [options.jankThreshold=50] - The frame time above which a frame is janky, in milliseconds.
+     * @param {number} [options.refreshRate=60] - The refresh rate of the display, in frames per second.
+     * @param {Array<number>} [options.histogramBuckets=[16.7, 33.3, 50, 100]] - The upper bounds of the frame-time histogram buckets, in milliseconds.
+     * @param {number} [options.maxSamples=300] - The number of samples kept, the oldest are dropped.
+     * @param {Function} [options.onSample] - Called with the statistics of each sample.
+     *
+     * @example
+     * const monitor = new FrameMonitor({ onSample: (sample) => console.log(sample.fps) });
+     * monitor.start();
+     */
+    constructor({ sampleInterval = 1000, jankThreshold = 50, refreshRate = 60, histogramBuckets = [16.7, 33.3, 50, 100], maxSamples = 300, onSample = () => { } } = {}) {
+        this.sampleInterval = sampleInterval;
+        this.maxSamples = maxSamples;
+        this.jankThreshold = jankThreshold;
+        this.frameBudget = 1000 / refreshRate;
+        this.histogramBuckets = [...histogramBuckets].sort((a, b) => a - b);
+        this.onSample = onSample;
+
+        this.running = false;
+        this.handle = null;
+        this.reset();
+    }
+
+
+    /**
+     * Start monitoring. Does nothing if the monitor is running.
+     *
+     * @returns {void}
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.lastFrameTime = null;
+
+        const onFrame = (timestamp) => {
+            if (!this.running) {
+                return;
+            }
+
+            this._recordFrame(timestamp);
+            this.handle = requestFrame(onFrame);
+        };
+
+        this.handle = requestFrame(onFrame);
+    }
+
+
+    /**
+     * Stop monitoring, closing the current sample.
+     *
+     * @returns {FrameStatistics & {histogram: Object<string, number>, samples: Array<Object>}} The summary, see `getSummary`.
+     */
+    stop() {
+        if (this.running) {
+            this.running = false;
+            cancelFrame(this.handle);
+            this.handle = null;
+            this._closeSample();
+        }
+
+        return this.getSummary();
+    }
+
+
+    /**
+     * Forget every frame and sample.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.totals = this._createTotals();
+        this.sampleTotals = this._createTotals();
+        this.samples = [];
+        this.sampleStart = null;
+        this.lastFrameTime = null;
+    }
+
+
+    /**
+     * Get the statistics of every frame since the monitor started, with the frame-time histogram and the samples.
+     *
+     * @returns {FrameStatistics & {histogram: Object<string, number>, samples: Array<Object>}} The summary.
+     * The histogram maps bucket names such as '16.7-33.3ms' to frame counts, and `samples` holds the last `maxSamples` samples.
+     *
+     * @example
+     * monitor.getSummary();
+     * // { frames: 3542, duration: 60012, fps: 59.02, ..., histogram: { '0-16.7ms': 3480, '16.7-33.3ms': 51, ... }, samples: [...] }
+     */
+    getSummary() {
+        const bounds = [0, ...this.histogramBuckets];
+        const histogram = {};
+
+        bounds.forEach((lower, index) => {
+            const upper = bounds[index + 1];
+            histogram[upper === undefined ? `${lower}ms+` : `${lower}-${upper}ms`] = this.totals.histogram[index];
+        });
+
+        return { ...this._computeStatistics(this.totals), histogram, samples: [...this.samples] };
+    }
+
+
+    /**
+     * Record a frame, and close the sample when its interval is over.
+     *
+     * @param {number} timestamp - The frame timestamp, in milliseconds.
+     *
+     * @returns {void}
+     * @private
+     */
+    _recordFrame(timestamp) {
+        if (this.lastFrameTime === null) {
+            this.lastFrameTime = timestamp;
+            this.sampleStart = timestamp;
+            return;
+        }
+
+        const frameTime = timestamp - this.lastFrameTime;
+        this.lastFrameTime = timestamp;
+        this._addFrame(this.totals, frameTime);
+        this._addFrame(this.sampleTotals, frameTime);
+
+        if (timestamp - this.sampleStart >= this.sampleInterval) {
+            this._closeSample();
+            this.sampleStart = timestamp;
+        }
+    }
+
+
+    /**
+     * Compute the statistics of the current sample, store them and pass them to `onSample`.
+     *
+     * @returns {void}
+     * @private
+     */
+    _closeSample() {
+        if (this.sampleTotals.frames === 0) {
+            return;
+        }
+
+        const sample = { ...this._computeStatistics(this.sampleTotals), timestamp: new Date().toISOString() };
+
+        this.sampleTotals = this._createTotals();
+        this.samples.push(sample);
+
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        this.onSample(sample);
+    }
+
+
+    /**
+     * Create empty frame totals.
+     *
+     * @returns {{frames: number, duration: number, maxFrameTime: number, jankFrames: number, droppedFrames: number, histogram: Array<number>}} The totals.
+     * @private
+     */
+    _createTotals() {
+        return { frames: 0, duration: 0, maxFrameTime: 0, jankFrames: 0, droppedFrames: 0, histogram: new Array(this.histogramBuckets.length + 1).fill(0) };
+    }
+
+
+    /**
+     * Add a frame to totals.
+     *
+     * @param {Object} totals - The totals, updated in place.
+     * @param {number} frameTime - The frame time, in milliseconds.
+     *
+     * @returns {void}
+     * @private
+     */
+    _addFrame(totals, frameTime) {
+        const bucket = this.histogramBuckets.findIndex((upper) => frameTime <= upper);
+
+        totals.frames += 1;
+        totals.duration += frameTime;
+        totals.maxFrameTime = Math.max(totals.maxFrameTime, frameTime);
+        totals.jankFrames += frameTime > this.jankThreshold ? 1 : 0;
+        totals.droppedFrames += Math.max(0, Math.round(frameTime / this.frameBudget) - 1);
+        totals.histogram[bucket === -1 ? this.histogramBuckets.length : bucket] += 1;
+    }
+
+
+    /**
+     * Compute the statistics of frame totals.
+     *
+     * @param {Object} totals - The totals.
+     *
+     * @returns {FrameStatistics} The statistics.
+     * @private
+     */
+    _computeStatistics({ frames, duration, maxFrameTime, jankFrames, droppedFrames }) {
+        return {
+            frames,
+            duration,
+            fps: duration > 0 ? (frames * 1000) / duration : 0,
+            averageFrameTime: frames > 0 ? duration / frames : 0,
+            maxFrameTime,
+            jankFrames,
+            droppedFrames,
+            droppedPercent: frames > 0 ? (droppedFrames / (frames + droppedFrames)) * 100 : 0,
+        };
+    }
+}
+
+
+export { FrameMonitor };
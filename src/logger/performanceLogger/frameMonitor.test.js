@@ -0,0 +1,43 @@
+import { FrameMonitor } from './frameMonitor.js';
+import { PerformanceLogger } from './performanceLogger.js';
+
+
+describe('FrameMonitor', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('keeps only the last maxSamples samples', () => {
+        const onSample = jest.fn();
+        const monitor = new FrameMonitor({ sampleInterval: 100, maxSamples: 3, onSample });
+
+        monitor.start();
+        jest.advanceTimersByTime(2000);
+        const summary = monitor.stop();
+
+        expect(onSample.mock.calls.length).toBeGreaterThan(3);
+        expect(summary.samples).toHaveLength(3);
+        expect(summary.samples[2]).toBe(onSample.mock.calls[onSample.mock.calls.length - 1][0]);
+        expect(summary.fps).toBeGreaterThan(55);
+        expect(summary.fps).toBeLessThan(65);
+    });
+
+    test('measures the frame rate in PerformanceLogger.logFPS', async () => {
+        const log = PerformanceLogger.logFPS(1000);
+
+        jest.advanceTimersByTime(1000);
+
+        const [, fps] = /^Frames Per Second: (\d+\.\d\d)$/.exec(await log);
+
+        expect(Number(fps)).toBeGreaterThan(55);
+        expect(Number(fps)).toBeLessThan(65);
+    });
+
+    test('rejects an invalid duration in PerformanceLogger.logFPS', () => {
+        expect(() => PerformanceLogger.logFPS(-1)).toThrow('Invalid parameters');
+    });
+});
@@ -0,0 +1,324 @@
+import { isPromiseLike } from './promiseUtils.js';
+
+
+/**
+ * The call statistics of an instrumented method.
+ *
+ * @typedef {Object} MethodStatistics
+ * @property {number} calls - The number of calls.
+ * @property {number} errors - The number of calls that threw or rejected.
+ * @property {number} totalDuration - The time spent in the method, in milliseconds.
+ * @property {number} averageDuration - The mean duration of a call, in milliseconds.
+ * @property {number} minDuration - The fastest call, in milliseconds.
+ * @property {number} maxDuration - The slowest call, in milliseconds.
+ * @property {*} lastError - The last error, or `null`.
+ */
+
+
+/**
+ * Property names of functions that are never methods.
+ * @type {Array<string>}
+ * @private
+ */
+const NON_METHOD_PROPERTIES = ['length', 'name', 'prototype', 'caller', 'arguments', 'constructor'];
+
+
+/**
+ * Check if a method name is selected.
+ *
+ * @param {string} name - The name of the method.
+ * @param {Array<string>|RegExp|Function} [methods] - The selection: names, a pattern, or a predicate. Every method when missing.
+ *
+ * @returns {boolean} `true` if the method is selected.
+ * @private
+ */
+function isSelected(name, methods) {
+    if (!methods) {
+        return !name.startsWith('_');
+    }
+
+    if (Array.isArray(methods)) {
+        return methods.includes(name);
+    }
+
+    return methods instanceof RegExp ? methods.test(name) : Boolean(methods(name));
+}
+
+
+/**
+ * Get the objects holding the methods of an instance: the instance and its prototypes, up to `Object.prototype` excluded.
+ *
+ * @param {Object} target - The instance.
+ *
+ * @returns {Array<Object>} The instance, then its prototypes, nearest first.
+ * @private
+ */
+function getPrototypeChain(target) {
+    const chain = [];
+
+    for (let owner = target; owner && owner !== Object.prototype; owner = Object.getPrototypeOf(owner)) {
+        chain.push(owner);
+    }
+
+    return chain;
+}
+
+
+/**
+ * Instrumenter wrapping the methods of objects and classes to record their calls, durations and errors.
+ *
+ * For an object, the methods of the object and of its prototype chain are wrapped on the object itself, so class instances
+ * are instrumented without changing their class. For a class, the static and prototype methods defined on the class itself
+ * are wrapped. The wrappers keep `this`, and time asynchronous methods until their Promise settles. A method is never wrapped twice.
+ *
+ * @class Instrumenter
+ */
+class Instrumenter {
+
+    /**
+     * Create an Instrumenter instance.
+     *
+     * @param {Object} [options={}] - Instrumenter options.
+     * @param {Function} [options.onCall] - Called after each call with the method label, the duration in milliseconds and the error, if any.
+     *
+     * @example
+     * const instrumenter = new Instrumenter();
+     * instrumenter.instrument(StorageManager);
+     * StorageManager.setValue('theme', 'dark');
+     * instrumenter.getReport(); // { 'StorageManager.setValue': { calls: 1, ... } }
+     */
+    constructor({ onCall = () => { } } = {}) {
+        this.onCall = onCall;
+
+        /**
+         * The statistics, by method label.
+         * @type {Map<string, Object>}
+         * @private
+         */
+        this.statistics = new Map();
+
+        /**
+         * The original methods of each instrumented object, to unwrap them. The descriptor is `null` for the wrappers
+         * of inherited methods, which are deleted.
+         * @type {Map<Object, Array<{owner: Object, name: string, descriptor: (PropertyDescriptor|null)}>>}
+         * @private
+         */
+        this.originals = new Map();
+    }
+
+
+    /**
+     * Wrap the methods of an object or a class.
+     *
+     * @param {Object|Function} target - The object or the class.
+     * @param {Object} [options={}] - Instrumentation options.
+     * @param {Array<string>|RegExp|Function} [options.methods] - The methods to wrap: names, a pattern such as `/^create/`, or a predicate
+     * receiving the name. Every method not starting with '_' by default.
+     * @param {('static'|'prototype'|'both')} [options.scope='both'] - For a class, whether to wrap its static methods, its prototype methods, or both.
+     * @param {string} [options.label] - The prefix of the method labels, the class name by default.
+     *
+     * @throws {Error} If names are listed in `methods` that are not methods of the target.
+     *
+     * @returns {Array<string>} The labels of the methods wrapped by this call, e.g. 'StorageManager.setValue'.
+     */
+    instrument(target, { methods, scope = 'both', label } = {}) {
+        const isClass = typeof target === 'function';
+        const prefix = label || (isClass ? target.name : target.constructor && target.constructor !== Object ? target.constructor.name : 'object') || 'anonymous';
+        const owners = isClass
+            ? [scope !== 'prototype' && target, scope !== 'static' && target.prototype].filter(Boolean)
+            : getPrototypeChain(target);
+        const originals = this.originals.get(target) || [];
+        const seen = new Set();
+        const selected = [];
+
+        owners.forEach((owner) => {
+            Object.getOwnPropertyNames(owner).forEach((name) => {
+                const descriptor = Object.getOwnPropertyDescriptor(owner, name);
+                const shadowed = !isClass && seen.has(name);
+
+                if (!isClass) {
+                    seen.add(name);
+                }
+
+                if (!shadowed && !NON_METHOD_PROPERTIES.includes(name) && typeof descriptor.value === 'function' && isSelected(name, methods)) {
+                    selected.push({ owner, name, descriptor });
+                }
+            });
+        });
+
+        if (Array.isArray(methods)) {
+            const missing = methods.filter((name) => !selected.some((method) => method.name === name));
+
+            if (missing.length > 0) {
+                throw new Error(`Invalid parameters: ${missing.map((name) => `"${name}"`).join(', ')} not found in the methods of ${prefix}.`);
+            }
+        }
+
+        const wrapped = [];
+
+        selected.forEach(({ owner, name, descriptor }) => {
+            // The wrappers of an object are defined on the object itself, inherited methods included.
+            const holder = isClass ? owner : target;
+            const alreadyWrapped = originals.some((original) => original.owner === holder && original.name === name);
+
+            if (alreadyWrapped || (holder === owner && !descriptor.configurable)) {
+                return;
+            }
+
+            const methodLabel = `${prefix}.${name}`;
+            const wrapper = this._wrap(descriptor.value, methodLabel);
+
+            if (holder === owner) {
+                Object.defineProperty(holder, name, { ...descriptor, value: wrapper });
+                originals.push({ owner: holder, name, descriptor });
+            } else {
+                Object.defineProperty(holder, name, { configurable: true, enumerable: false, writable: true, value: wrapper });
+                originals.push({ owner: holder, name, descriptor: null });
+            }
+
+            wrapped.push(methodLabel);
+        });
+
+        if (originals.length > 0) {
+            this.originals.set(target, originals);
+        }
+
+        return wrapped;
+    }
+
+
+    /**
+     * Restore the original methods of an object or a class. The statistics are kept.
+     *
+     * @param {Object|Function} target - The object or the class.
+     *
+     * @returns {boolean} `true` if the target was instrumented.
+     */
+    unwrap(target) {
+        const originals = this.originals.get(target);
+
+        if (!originals) {
+            return false;
+        }
+
+        originals.forEach(({ owner, name, descriptor }) => {
+            if (descriptor) {
+                Object.defineProperty(owner, name, descriptor);
+            } else {
+                delete owner[name];
+            }
+        });
+        this.originals.delete(target);
+        return true;
+    }
+
+
+    /**
+     * Restore the original methods of every instrumented object and class.
+     *
+     * @returns {void}
+     */
+    unwrapAll() {
+        [...this.originals.keys()].forEach((target) => this.unwrap(target));
+    }
+
+
+    /**
+     * Get the call statistics of the instrumented methods that were called.
+     *
+     * @returns {Object<string, MethodStatistics>} The statistics, by method label.
+     */
+    getReport() {
+        const report = {};
+
+        this.statistics.forEach((statistics, methodLabel) => {
+            report[methodLabel] = { ...statistics, averageDuration: statistics.totalDuration / statistics.calls };
+        });
+
+        return report;
+    }
+
+
+    /**
+     * Forget the statistics. The methods stay wrapped.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.statistics.clear();
+    }
+
+
+    /**
+     * Wrap a method.
+     *
+     * @param {Function} method - The original method.
+     * @param {string} methodLabel - The label of the method.
+     *
+     * @returns {Function} The wrapper.
+     * @private
+     */
+    _wrap(method, methodLabel) {
+        const instrumenter = this;
+
+        return function instrumented(...args) {
+            const startTime = performance.now();
+            const record = (error) => instrumenter._record(methodLabel, performance.now() - startTime, error);
+
+            let result;
+
+            try {
+                result = method.apply(this, args);
+            } catch (error) {
+                record(error);
+                throw error;
+            }
+
+            if (!isPromiseLike(result)) {
+                record();
+                return result;
+            }
+
+            return Promise.resolve(result).then(
+                (value) => {
+                    record();
+                    return value;
+                },
+                (error) => {
+                    record(error);
+                    throw error;
+                },
+            );
+        };
+    }
+
+
+    /**
+     * Record a call.
+     *
+     * @param {string} methodLabel - The label of the method.
+     * @param {number} duration - The duration of the call, in milliseconds.
+     * @param {*} [error] - The error of the call, if it failed.
+     *
+     * @returns {void}
+     * @private
+     */
+    _record(methodLabel, duration, error) {
+        const statistics = this.statistics.get(methodLabel)
+            || { calls: 0, errors: 0, totalDuration: 0, minDuration: Infinity, maxDuration: 0, lastError: null };
+        const failed = error !== undefined;
+
+        statistics.calls += 1;
+        statistics.errors += failed ? 1 : 0;
+        statistics.totalDuration += duration;
+        statistics.minDuration = Math.min(statistics.minDuration, duration);
+        statistics.maxDuration = Math.max(statistics.maxDuration, duration);
+        statistics.lastError = failed ? error : statistics.lastError;
+        this.statistics.set(methodLabel, statistics);
+
+        this.onCall(methodLabel, duration, error);
+    }
+}
+
+
+export { Instrumenter };
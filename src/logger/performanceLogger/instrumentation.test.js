@@ -0,0 +1,99 @@
+import { Instrumenter } from './instrumentation.js';
+import { PerformanceLogger } from './performanceLogger.js';
+
+
+class BaseClient {
+    request(path) {
+        return `GET ${path}`;
+    }
+}
+
+class Api extends BaseClient {
+    getUsers() {
+        return this.request('/users');
+    }
+
+    async saveUser(user) {
+        return { ...user, saved: true };
+    }
+}
+
+
+describe('Instrumenter', () => {
+    test('wraps the inherited methods of an instance on the instance only', async () => {
+        const instrumenter = new Instrumenter();
+        const api = new Api();
+
+        expect(instrumenter.instrument(api)).toEqual(['Api.getUsers', 'Api.saveUser', 'Api.request']);
+        expect(Object.prototype.hasOwnProperty.call(api, 'getUsers')).toBe(true);
+        expect(Api.prototype.getUsers.name).toBe('getUsers');
+        expect(new Api().getUsers()).toBe('GET /users');
+
+        expect(api.getUsers()).toBe('GET /users');
+        await api.saveUser({ name: 'Ada' });
+
+        const report = instrumenter.getReport();
+
+        expect(report['Api.getUsers'].calls).toBe(1);
+        expect(report['Api.request'].calls).toBe(1);
+        expect(report['Api.saveUser'].calls).toBe(1);
+        expect(report['Api.toString']).toBeUndefined();
+    });
+
+    test('wraps the listed methods of an instance and restores them', () => {
+        const instrumenter = new Instrumenter();
+        const api = new Api();
+
+        expect(instrumenter.instrument(api, { methods: ['getUsers'] })).toEqual(['Api.getUsers']);
+        expect(instrumenter.instrument(api, { methods: ['getUsers'] })).toEqual([]);
+        expect(instrumenter.unwrap(api)).toBe(true);
+        expect(Object.prototype.hasOwnProperty.call(api, 'getUsers')).toBe(false);
+        expect(api.getUsers).toBe(Api.prototype.getUsers);
+    });
+
+    test('keeps the own properties that shadow an inherited method', () => {
+        const instrumenter = new Instrumenter();
+        const api = new Api();
+
+        api.request = 'not a method';
+
+        expect(instrumenter.instrument(api, { methods: /^(request|getUsers)$/ })).toEqual(['Api.getUsers']);
+        expect(api.request).toBe('not a method');
+    });
+
+    test('throws without wrapping anything when listed methods are not found', () => {
+        const instrumenter = new Instrumenter();
+        const api = new Api();
+
+        expect(() => instrumenter.instrument(api, { methods: ['getUsers', 'getUser'] })).toThrow('"getUser" not found in the methods of Api');
+        expect(Object.prototype.hasOwnProperty.call(api, 'getUsers')).toBe(false);
+        expect(instrumenter.unwrap(api)).toBe(false);
+    });
+
+    test('wraps only the methods defined on a class', () => {
+        const instrumenter = new Instrumenter();
+
+        try {
+            expect(instrumenter.instrument(Api, { scope: 'prototype' })).toEqual(['Api.getUsers', 'Api.saveUser']);
+        } finally {
+            instrumenter.unwrapAll();
+        }
+
+        expect(Api.prototype.getUsers.name).toBe('getUsers');
+    });
+});
+
+
+describe('PerformanceLogger.instrument', () => {
+    test('records the calls of a class instance', () => {
+        const logger = new PerformanceLogger('INFO');
+        const apiClient = new Api();
+
+        expect(logger.instrument(apiClient, { methods: ['getUsers', 'saveUser'], label: 'api' })).toEqual(['api.getUsers', 'api.saveUser']);
+
+        apiClient.getUsers();
+
+        expect(logger.getInstrumentationReport()['api.getUsers'].calls).toBe(1);
+        expect(logger.uninstrument(apiClient)).toBe(true);
+    });
+});
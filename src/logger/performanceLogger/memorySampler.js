@@ -0,0 +1,239 @@
+/**
+ * A reading of the heap usage.
+ *
+ * @typedef {Object} MemorySample
+ * @property {string} timestamp - The ISO 8601 date of the reading.
+ * @property {number} time - The date of the reading, in milliseconds since the epoch.
+ * @property {number} usedHeapSize - The heap in use, in bytes.
+ * @property {number} totalHeapSize - The heap allocated, in bytes.
+ * @property {?number} heapSizeLimit - The maximum heap size in bytes, or `null` when the source does not tell it.
+ * @property {('performance.memory'|'process.memoryUsage')} source - Where the reading comes from.
+ */
+
+
+/**
+ * The growth trend of the heap usage.
+ *
+ * @typedef {Object} MemoryTrend
+ * @property {boolean} growing - `true` if the heap grows steadily faster than the threshold.
+ * @property {number} slope - The growth of the used heap, in bytes per minute, from a linear regression.
+ * @property {number} correlation - How well the samples fit the regression line, from 0 to 1 (R²).
+ * @property {number} growth - The difference between the last and the first sample of the window, in bytes.
+ * @property {number} samples - The number of samples in the window.
+ */
+
+
+/**
+ * Read the heap usage: `performance.memory` in Chromium browsers, `process.memoryUsage` in Node.
+ *
+ * @returns {?MemorySample} The reading, or `null` when no source is available.
+ *
+ * @example
+ * readMemoryUsage();
+ * // { timestamp: '2024-05-01T10:00:00.000Z', time: 1714557600000, usedHeapSize: 10485760, totalHeapSize: 16777216, heapSizeLimit: 4294705152, source: 'performance.memory' }
+ */
+function readMemoryUsage() {
+    const time = Date.now();
+    const timestamp = new Date(time).toISOString();
+
+    if (typeof performance !== 'undefined' && performance.memory) {
+        const { usedJSHeapSize, totalJSHeapSize, jsHeapSizeLimit } = performance.memory;
+        return { timestamp, time, usedHeapSize: usedJSHeapSize, totalHeapSize: totalJSHeapSize, heapSizeLimit: jsHeapSizeLimit, source: 'performance.memory' };
+    }
+
+    if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+        const { heapUsed, heapTotal } = process.memoryUsage();
+        return { timestamp, time, usedHeapSize: heapUsed, totalHeapSize: heapTotal, heapSizeLimit: null, source: 'process.memoryUsage' };
+    }
+
+    return null;
+}
+
+
+/**
+ * Sampler recording the heap usage periodically, and detecting a sustained growth that may be a memory leak.
+ *
+ * The growth is the slope of a linear regression of the used heap over the last `trendWindow` samples.
+ * It is flagged when it exceeds `growthThreshold` and the samples fit the line well enough, so garbage collection spikes are not mistaken for a leak.
+ * When no memory source is available, the sampler records nothing.
+ *
+ * @class MemorySampler
+ */
+class MemorySampler {
+
+    /**
+     * Create a MemorySampler instance.
+     *
+     * @param {Object} [options={}] - Sampler options.
+     * @param {number} [options.interval=5000] - The delay between samples, in milliseconds.
+     * @param {number} [options.maxSamples=720] - The number of samples kept, the oldest are dropped.
+     * @param {number} [options.trendWindow=12] - The number of recent samples the trend is computed on.
+     * @param {number} [options.growthThreshold=1048576] - The growth above which the heap is growing, in bytes per minute.
+     * @param {number} [options.minCorrelation=0.8] - The minimum fit of the samples to the trend line (R²), from 0 to 1.
+     * @param {Function} [options.onSample] - Called with each sample.
+     * @param {Function} [options.onTrend] - Called with the trend when the heap starts growing.
+     *
+     * @example
+     * const sampler = new MemorySampler({ interval: 10 * 1000, onTrend: (trend) => console.warn('Possible memory leak', trend) });
+     * sampler.start();
+     */
+    constructor({ interval = 5000, maxSamples = 720, trendWindow = 12, growthThreshold = 1024 * 1024, minCorrelation = 0.8, onSample = () => { }, onTrend = () => { } } = {}) {
+        this.interval = interval;
+        this.maxSamples = maxSamples;
+        this.trendWindow = trendWindow;
+        this.growthThreshold = growthThreshold;
+        this.minCorrelation = minCorrelation;
+        this.onSample = onSample;
+        this.onTrend = onTrend;
+
+        this.timer = null;
+        this.samples = [];
+        this.growing = false;
+    }
+
+
+    /**
+     * Check if a memory source is available.
+     *
+     * @returns {boolean} `true` if the heap usage can be read.
+     */
+    static isSupported() {
+        return readMemoryUsage() !== null;
+    }
+
+
+    /**
+     * Start sampling, taking a first sample now. Does nothing if the sampler is running.
+     *
+     * @returns {boolean} `true` if the sampler is running, `false` when no memory source is available.
+     */
+    start() {
+        if (this.timer) {
+            return true;
+        }
+
+        if (!this.sample()) {
+            return false;
+        }
+
+        this.timer = setInterval(() => this.sample(), this.interval);
+
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Stop sampling. The samples are kept.
+     *
+     * @returns {void}
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+
+    /**
+     * Take a sample now, and check the trend.
+     *
+     * @returns {?MemorySample} The sample, or `null` when no memory source is available.
+     */
+    sample() {
+        const sample = readMemoryUsage();
+
+        if (!sample) {
+            return null;
+        }
+
+        this.samples.push(sample);
+
+        if (this.samples.length > this.maxSamples) {
+            this.samples.shift();
+        }
+
+        this.onSample(sample);
+
+        const trend = this.detectTrend();
+
+        if (trend.growing && !this.growing) {
+            this.onTrend(trend);
+        }
+
+        this.growing = trend.growing;
+        return sample;
+    }
+
+
+    /**
+     * Forget every sample.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.samples = [];
+        this.growing = false;
+    }
+
+
+    /**
+     * Get the samples, oldest first.
+     *
+     * @returns {Array<MemorySample>} The samples.
+     */
+    getSamples() {
+        return [...this.samples];
+    }
+
+
+    /**
+     * Compute the growth trend of the used heap over the last `trendWindow` samples.
+     * The heap is never reported as growing before the window is full.
+     *
+     * @returns {MemoryTrend} The trend.
+     *
+     * @example
+     * sampler.detectTrend();
+     * // { growing: true, slope: 2621440, correlation: 0.97, growth: 28835840, samples: 12 }
+     */
+    detectTrend() {
+        const window = this.samples.slice(-this.trendWindow);
+        const count = window.length;
+
+        if (count < 2) {
+            return { growing: false, slope: 0, correlation: 0, growth: 0, samples: count };
+        }
+
+        const minutes = window.map((sample) => (sample.time - window[0].time) / 60000);
+        const sizes = window.map((sample) => sample.usedHeapSize);
+        const meanTime = minutes.reduce((sum, value) => sum + value, 0) / count;
+        const meanSize = sizes.reduce((sum, value) => sum + value, 0) / count;
+
+        let covariance = 0;
+        let timeVariance = 0;
+        let sizeVariance = 0;
+
+        for (let index = 0; index < count; index++) {
+            covariance += (minutes[index] - meanTime) * (sizes[index] - meanSize);
+            timeVariance += (minutes[index] - meanTime) ** 2;
+            sizeVariance += (sizes[index] - meanSize) ** 2;
+        }
+
+        const slope = timeVariance > 0 ? covariance / timeVariance : 0;
+        const correlation = timeVariance > 0 && sizeVariance > 0 ? covariance ** 2 / (timeVariance * sizeVariance) : 0;
+
+        return {
+            growing: count >= this.trendWindow && slope > this.growthThreshold && correlation >= this.minCorrelation,
+            slope,
+            correlation,
+            growth: sizes[count - 1] - sizes[0],
+            samples: count,
+        };
+    }
+}
+
+
+export { MemorySampler, readMemoryUsage };
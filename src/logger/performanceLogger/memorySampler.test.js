@@ -0,0 +1,86 @@
+import { MemorySampler } from './memorySampler.js';
+import { PerformanceLogger } from './performanceLogger.js';
+
+
+const MB = 1024 * 1024;
+
+const samplesOf = (sizes, interval = 60000) => sizes.map((usedHeapSize, index) => ({ time: index * interval, usedHeapSize }));
+
+
+describe('MemorySampler.detectTrend', () => {
+    test('never reports a growth before the window is full', () => {
+        const sampler = new MemorySampler({ trendWindow: 4 });
+
+        sampler.samples = samplesOf([10 * MB]);
+        expect(sampler.detectTrend()).toEqual({ growing: false, slope: 0, correlation: 0, growth: 0, samples: 1 });
+
+        sampler.samples = samplesOf([10 * MB, 20 * MB, 30 * MB]);
+        expect(sampler.detectTrend()).toMatchObject({ growing: false, slope: 10 * MB, correlation: 1, growth: 20 * MB, samples: 3 });
+    });
+
+    test('reports a steady growth faster than the threshold, over the last samples only', () => {
+        const sampler = new MemorySampler({ trendWindow: 4, growthThreshold: MB });
+
+        sampler.samples = samplesOf([90 * MB, 10 * MB, 12 * MB, 14 * MB, 16 * MB]);
+        expect(sampler.detectTrend()).toMatchObject({ growing: true, slope: 2 * MB, correlation: 1, growth: 6 * MB, samples: 4 });
+
+        sampler.samples = samplesOf([10 * MB, 10.5 * MB, 11 * MB, 11.5 * MB]);
+        expect(sampler.detectTrend()).toMatchObject({ growing: false, slope: MB / 2, correlation: 1 });
+    });
+
+    test('does not mistake garbage collection spikes for a growth', () => {
+        const sampler = new MemorySampler({ trendWindow: 6, growthThreshold: MB });
+
+        sampler.samples = samplesOf([10 * MB, 40 * MB, 12 * MB, 42 * MB, 11 * MB, 44 * MB]);
+        const trend = sampler.detectTrend();
+
+        expect(trend.slope).toBeGreaterThan(MB);
+        expect(trend.correlation).toBeLessThan(0.8);
+        expect(trend.growing).toBe(false);
+    });
+
+    test('calls onTrend each time the heap starts growing again', () => {
+        const onTrend = jest.fn();
+        const sampler = new MemorySampler({ trendWindow: 3, growthThreshold: MB, onTrend });
+        const sizes = [10, 20, 30, 40, 50, 50, 50, 50, 60, 70, 80].map((size) => size * MB);
+
+        jest.spyOn(process, 'memoryUsage').mockImplementation(() => ({ heapUsed: sizes.shift(), heapTotal: 100 * MB }));
+        jest.spyOn(Date, 'now').mockImplementation(() => (11 - sizes.length) * 60000);
+
+        for (let index = 0; index < 11; index++) {
+            sampler.sample();
+        }
+
+        expect(onTrend).toHaveBeenCalledTimes(2);
+        expect(onTrend.mock.calls.map(([trend]) => trend.growth)).toEqual([20 * MB, 20 * MB]);
+        expect(sampler.getSamples()).toHaveLength(11);
+        jest.restoreAllMocks();
+    });
+});
+
+
+describe('PerformanceLogger.logMemoryUsage', () => {
+    afterEach(() => {
+        delete performance.memory;
+        jest.restoreAllMocks();
+    });
+
+    test('logs the heap read from process.memoryUsage in Node', () => {
+        jest.spyOn(process, 'memoryUsage').mockReturnValue({ heapUsed: 10 * MB, heapTotal: 16 * MB });
+
+        expect(PerformanceLogger.logMemoryUsage()).toBe(`Memory Usage: {"usedHeapSize":${10 * MB},"totalHeapSize":${16 * MB}}`);
+    });
+
+    test('logs the heap read from performance.memory in Chromium', () => {
+        // Chromium exposes the sizes as getters of the MemoryInfo prototype, which JSON.stringify ignores.
+        const MemoryInfo = {
+            get usedJSHeapSize() { return 10 * MB; },
+            get totalJSHeapSize() { return 16 * MB; },
+            get jsHeapSizeLimit() { return 4096 * MB; },
+        };
+
+        Object.defineProperty(performance, 'memory', { value: Object.create(MemoryInfo), configurable: true });
+
+        expect(PerformanceLogger.logMemoryUsage()).toBe(`Memory Usage: {"usedHeapSize":${10 * MB},"totalHeapSize":${16 * MB},"heapSizeLimit":${4096 * MB}}`);
+    });
+});
@@ -0,0 +1,262 @@
+/**
+ * The entry types observed by default.
+ * @type {Array<string>}
+ */
+const PAGE_ENTRY_TYPES = ['navigation', 'resource', 'paint', 'longtask', 'largest-contentful-paint'];
+
+
+/**
+ * The duration above which a task blocks the main thread, in milliseconds.
+ * @type {number}
+ * @private
+ */
+const LONG_TASK_THRESHOLD = 50;
+
+
+/**
+ * The performance report of a page.
+ *
+ * @typedef {Object} PagePerformanceReport
+ * @property {?Object} navigation - The timings of the navigation in milliseconds: `type`, `redirect`, `dns`, `tcp`, `tls`, `ttfb`, `response`,
+ * `domInteractive`, `domContentLoaded`, `load` and `transferSize` in bytes. `null` until the navigation entry is received.
+ * @property {{firstPaint: ?number, firstContentfulPaint: ?number}} paint - The paint times, in milliseconds.
+ * @property {?{startTime: number, size: number, url: string, element: ?string}} largestContentfulPaint - The latest largest contentful paint.
+ * @property {{count: number, totalDuration: number, maxDuration: number, totalBlockingTime: number}} longTasks - The tasks longer than 50 milliseconds.
+ * `totalBlockingTime` sums the part of each task beyond 50 milliseconds.
+ * @property {{count: number, totalDuration: number, transferSize: number, encodedBodySize: number, decodedBodySize: number,
+ * byInitiatorType: Object<string, {count: number, totalDuration: number, transferSize: number}>, slowest: Array<Object>}} resources
+ * The resources loaded, with totals by initiator type such as 'script' or 'img', and the slowest ones first.
+ * @property {Array<string>} observedTypes - The entry types observed.
+ */
+
+
+/**
+ * Get the entry types the browser can observe.
+ *
+ * @returns {Array<string>} The supported entry types, empty when `PerformanceObserver` is not available.
+ * @private
+ */
+function getSupportedEntryTypes() {
+    if (typeof PerformanceObserver === 'undefined') {
+        return [];
+    }
+
+    return PerformanceObserver.supportedEntryTypes || [];
+}
+
+
+/**
+ * Observer of the navigation, resource, paint, long task and largest contentful paint entries of a page, with `PerformanceObserver`.
+ *
+ * Entries are aggregated as they come, so the report stays small on pages loading many resources.
+ * Entries recorded before `start` are included, as buffered entries.
+ *
+ * @class PagePerformanceObserver
+ */
+class PagePerformanceObserver {
+
+    /**
+     * Create a PagePerformanceObserver instance.
+     *
+     * @param {Object} [options={}] - Observer options.
+     * @param {Array<string>} [options.entryTypes] - The entry types to observe, all of `PAGE_ENTRY_TYPES` by default.
+     * @param {number} [options.slowestCount=10] - The number of slowest resources kept in the report.
+     * @param {Function} [options.onEntry] - Called with each entry received.
+     *
+     * @example
+     * const observer = new PagePerformanceObserver({ slowestCount: 5 });
+     * observer.start();
+     * window.addEventListener('load', () => console.log(observer.getReport()));
+     */
+    constructor({ entryTypes = PAGE_ENTRY_TYPES, slowestCount = 10, onEntry = () => { } } = {}) {
+        this.entryTypes = entryTypes;
+        this.slowestCount = slowestCount;
+        this.onEntry = onEntry;
+
+        this.observers = [];
+        this.observedTypes = [];
+        this.reset();
+    }
+
+
+    /**
+     * Start observing the entry types supported by the browser. Does nothing if the observer is running.
+     *
+     * @returns {Array<string>} The entry types observed, empty when `PerformanceObserver` is not available.
+     */
+    start() {
+        if (this.observers.length > 0) {
+            return [...this.observedTypes];
+        }
+
+        const supported = getSupportedEntryTypes();
+        this.observedTypes = this.entryTypes.filter((type) => supported.includes(type));
+
+        this.observedTypes.forEach((type) => {
+            const observer = new PerformanceObserver((list) => list.getEntries().forEach((entry) => this.addEntry(entry)));
+
+            observer.observe({ type, buffered: true });
+            this.observers.push(observer);
+        });
+
+        return [...this.observedTypes];
+    }
+
+
+    /**
+     * Stop observing, after processing the entries not yet delivered.
+     *
+     * @returns {void}
+     */
+    stop() {
+        this.observers.forEach((observer) => {
+            observer.takeRecords().forEach((entry) => this.addEntry(entry));
+            observer.disconnect();
+        });
+
+        this.observers = [];
+    }
+
+
+    /**
+     * Forget every entry received.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.navigation = null;
+        this.paint = { firstPaint: null, firstContentfulPaint: null };
+        this.largestContentfulPaint = null;
+        this.longTasks = { count: 0, totalDuration: 0, maxDuration: 0, totalBlockingTime: 0 };
+        this.resources = { count: 0, totalDuration: 0, transferSize: 0, encodedBodySize: 0, decodedBodySize: 0, byInitiatorType: {}, slowest: [] };
+    }
+
+
+    /**
+     * Add an entry to the report. Called by the observers, it can also be used to add entries from `performance.getEntries`.
+     *
+     * @param {PerformanceEntry} entry - The entry.
+     *
+     * @returns {void}
+     */
+    addEntry(entry) {
+        switch (entry.entryType) {
+            case 'navigation':
+                this.navigation = this._getNavigationTimings(entry);
+                break;
+            case 'resource':
+                this._addResource(entry);
+                break;
+            case 'paint':
+                this.paint[entry.name === 'first-paint' ? 'firstPaint' : 'firstContentfulPaint'] = entry.startTime;
+                break;
+            case 'longtask':
+                this.longTasks.count += 1;
+                this.longTasks.totalDuration += entry.duration;
+                this.longTasks.maxDuration = Math.max(this.longTasks.maxDuration, entry.duration);
+                this.longTasks.totalBlockingTime += Math.max(0, entry.duration - LONG_TASK_THRESHOLD);
+                break;
+            case 'largest-contentful-paint':
+                this.largestContentfulPaint = {
+                    startTime: entry.startTime,
+                    size: entry.size,
+                    url: entry.url || '',
+                    element: entry.element ? entry.element.tagName.toLowerCase() : null,
+                };
+                break;
+            default:
+                return;
+        }
+
+        this.onEntry(entry);
+    }
+
+
+    /**
+     * Get the performance report of the page.
+     *
+     * @returns {PagePerformanceReport} The report.
+     *
+     * @example
+     * observer.getReport().resources.byInitiatorType.script; // { count: 12, totalDuration: 840.5, transferSize: 412330 }
+     */
+    getReport() {
+        const byInitiatorType = {};
+
+        Object.entries(this.resources.byInitiatorType).forEach(([type, totals]) => {
+            byInitiatorType[type] = { ...totals };
+        });
+
+        return {
+            navigation: this.navigation ? { ...this.navigation } : null,
+            paint: { ...this.paint },
+            largestContentfulPaint: this.largestContentfulPaint ? { ...this.largestContentfulPaint } : null,
+            longTasks: { ...this.longTasks },
+            resources: { ...this.resources, byInitiatorType, slowest: this.resources.slowest.map((resource) => ({ ...resource })) },
+            observedTypes: [...this.observedTypes],
+        };
+    }
+
+
+    /**
+     * Compute the timings of a navigation entry.
+     *
+     * @param {PerformanceNavigationTiming} entry - The navigation entry.
+     *
+     * @returns {Object} The timings, in milliseconds.
+     * @private
+     */
+    _getNavigationTimings(entry) {
+        return {
+            type: entry.type,
+            redirect: entry.redirectEnd - entry.redirectStart,
+            dns: entry.domainLookupEnd - entry.domainLookupStart,
+            tcp: entry.connectEnd - entry.connectStart,
+            tls: entry.secureConnectionStart > 0 ? entry.connectEnd - entry.secureConnectionStart : 0,
+            ttfb: entry.responseStart - (entry.activationStart || 0),
+            response: entry.responseEnd - entry.responseStart,
+            domInteractive: entry.domInteractive,
+            domContentLoaded: entry.domContentLoadedEventEnd,
+            load: entry.loadEventEnd,
+            transferSize: entry.transferSize || 0,
+        };
+    }
+
+
+    /**
+     * Add a resource entry to the totals and the slowest resources.
+     *
+     * @param {PerformanceResourceTiming} entry - The resource entry.
+     *
+     * @returns {void}
+     * @private
+     */
+    _addResource(entry) {
+        const resources = this.resources;
+        const initiatorType = entry.initiatorType || 'other';
+        const transferSize = entry.transferSize || 0;
+        const totals = resources.byInitiatorType[initiatorType] || { count: 0, totalDuration: 0, transferSize: 0 };
+
+        resources.count += 1;
+        resources.totalDuration += entry.duration;
+        resources.transferSize += transferSize;
+        resources.encodedBodySize += entry.encodedBodySize || 0;
+        resources.decodedBodySize += entry.decodedBodySize || 0;
+
+        totals.count += 1;
+        totals.totalDuration += entry.duration;
+        totals.transferSize += transferSize;
+        resources.byInitiatorType[initiatorType] = totals;
+
+        const slowest = resources.slowest;
+
+        if (slowest.length < this.slowestCount || entry.duration > slowest[slowest.length - 1].duration) {
+            slowest.push({ name: entry.name, initiatorType, duration: entry.duration, transferSize, startTime: entry.startTime });
+            slowest.sort((a, b) => b.duration - a.duration);
+            slowest.length = Math.min(slowest.length, this.slowestCount);
+        }
+    }
+}
+
+
+export { PagePerformanceObserver, PAGE_ENTRY_TYPES };
@@ -0,0 +1,148 @@
+import { PagePerformanceObserver } from './pagePerformance.js';
+
+
+const resource = (name, duration, initiatorType = 'script', transferSize = 1000) => ({
+    entryType: 'resource', name, duration, initiatorType, transferSize, encodedBodySize: transferSize, decodedBodySize: transferSize * 2, startTime: 10,
+});
+
+
+/**
+ * Stand-in for the browser PerformanceObserver: entries are delivered with `deliver`, or left pending for `takeRecords`.
+ */
+class FakePerformanceObserver {
+    static supportedEntryTypes = ['navigation', 'resource', 'paint'];
+
+    static instances = [];
+
+    constructor(callback) {
+        this.callback = callback;
+        this.pending = [];
+        this.connected = true;
+        FakePerformanceObserver.instances.push(this);
+    }
+
+    observe(options) {
+        this.options = options;
+    }
+
+    deliver(entries) {
+        this.callback({ getEntries: () => entries });
+    }
+
+    takeRecords() {
+        const entries = this.pending;
+        this.pending = [];
+        return entries;
+    }
+
+    disconnect() {
+        this.connected = false;
+    }
+}
+
+
+describe('PagePerformanceObserver', () => {
+    const NativePerformanceObserver = global.PerformanceObserver;
+
+    beforeEach(() => {
+        FakePerformanceObserver.instances = [];
+        global.PerformanceObserver = FakePerformanceObserver;
+    });
+
+    afterEach(() => {
+        global.PerformanceObserver = NativePerformanceObserver;
+    });
+
+    test('observes the supported entry types only, including the buffered entries, once', () => {
+        const observer = new PagePerformanceObserver();
+
+        expect(observer.start()).toEqual(['navigation', 'resource', 'paint']);
+        expect(observer.start()).toEqual(['navigation', 'resource', 'paint']);
+        expect(FakePerformanceObserver.instances.map((instance) => instance.options)).toEqual([
+            { type: 'navigation', buffered: true },
+            { type: 'resource', buffered: true },
+            { type: 'paint', buffered: true },
+        ]);
+    });
+
+    test('processes the pending entries when stopped', () => {
+        const onEntry = jest.fn();
+        const observer = new PagePerformanceObserver({ entryTypes: ['resource', 'longtask'], onEntry });
+
+        observer.start();
+        const [resourceObserver] = FakePerformanceObserver.instances;
+
+        resourceObserver.deliver([resource('/app.js', 120)]);
+        resourceObserver.pending.push(resource('/app.css', 40, 'link'));
+        observer.stop();
+
+        expect(observer.getReport().observedTypes).toEqual(['resource']);
+        expect(observer.getReport().resources.count).toBe(2);
+        expect(onEntry).toHaveBeenCalledTimes(2);
+        expect(resourceObserver.connected).toBe(false);
+    });
+
+    test('observes nothing without PerformanceObserver', () => {
+        global.PerformanceObserver = undefined;
+
+        expect(new PagePerformanceObserver().start()).toEqual([]);
+    });
+
+    test('totals the resources by initiator type and keeps the slowest ones', () => {
+        const observer = new PagePerformanceObserver({ slowestCount: 2 });
+
+        [resource('/app.js', 120), resource('/logo.png', 30, 'img', 5000), resource('/vendor.js', 300), resource('/font.woff2', 80, '', 0)]
+            .forEach((entry) => observer.addEntry(entry));
+
+        const { resources } = observer.getReport();
+
+        expect(resources).toMatchObject({ count: 4, totalDuration: 530, transferSize: 7000, encodedBodySize: 7000, decodedBodySize: 14000 });
+        expect(resources.byInitiatorType).toEqual({
+            script: { count: 2, totalDuration: 420, transferSize: 2000 },
+            img: { count: 1, totalDuration: 30, transferSize: 5000 },
+            other: { count: 1, totalDuration: 80, transferSize: 0 },
+        });
+        expect(resources.slowest.map((entry) => entry.name)).toEqual(['/vendor.js', '/app.js']);
+    });
+
+    test('computes the navigation timings, the paints, the long tasks and the largest contentful paint', () => {
+        const observer = new PagePerformanceObserver();
+
+        observer.addEntry({
+            entryType: 'navigation', type: 'navigate', redirectStart: 0, redirectEnd: 0, domainLookupStart: 5, domainLookupEnd: 25,
+            connectStart: 25, secureConnectionStart: 40, connectEnd: 70, responseStart: 150, responseEnd: 190,
+            domInteractive: 400, domContentLoadedEventEnd: 450, loadEventEnd: 900, transferSize: 12000,
+        });
+        observer.addEntry({ entryType: 'paint', name: 'first-paint', startTime: 300 });
+        observer.addEntry({ entryType: 'paint', name: 'first-contentful-paint', startTime: 320 });
+        observer.addEntry({ entryType: 'longtask', duration: 120 });
+        observer.addEntry({ entryType: 'longtask', duration: 60 });
+        observer.addEntry({ entryType: 'largest-contentful-paint', startTime: 700, size: 5000, element: { tagName: 'IMG' } });
+        observer.addEntry({ entryType: 'mark', name: 'ignored' });
+
+        const report = observer.getReport();
+
+        expect(report.navigation).toEqual({
+            type: 'navigate', redirect: 0, dns: 20, tcp: 45, tls: 30, ttfb: 150, response: 40, domInteractive: 400, domContentLoaded: 450, load: 900, transferSize: 12000,
+        });
+        expect(report.paint).toEqual({ firstPaint: 300, firstContentfulPaint: 320 });
+        expect(report.longTasks).toEqual({ count: 2, totalDuration: 180, maxDuration: 120, totalBlockingTime: 80 });
+        expect(report.largestContentfulPaint).toEqual({ startTime: 700, size: 5000, url: '', element: 'img' });
+    });
+
+    test('returns a copy of the report, and forgets everything on reset', () => {
+        const observer = new PagePerformanceObserver();
+
+        observer.addEntry(resource('/app.js', 120));
+        observer.getReport().resources.byInitiatorType.script.count = 10;
+        observer.getReport().resources.slowest[0].duration = 0;
+
+        expect(observer.getReport().resources.byInitiatorType.script.count).toBe(1);
+        expect(observer.getReport().resources.slowest[0].duration).toBe(120);
+
+        observer.reset();
+
+        expect(observer.getReport().resources.count).toBe(0);
+        expect(observer.getReport().navigation).toBeNull();
+    });
+});
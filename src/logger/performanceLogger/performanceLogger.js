@@ -1,5 +1,14 @@
-import { LoggerBase } from '../base/loggerBase.js';
+import { LoggerBase, LOG_LEVELS } from '../base/loggerBase.js';
 import { LoggerValidation as VALIDATE_LOGGER } from '../validator/validation.js';
+import { isPromiseLike, runTasks } from './promiseUtils.js';
+import { runBenchmark, compareBenchmarkResults } from './benchmark.js';
+import { FrameMonitor } from './frameMonitor.js';
+import { MemorySampler, readMemoryUsage } from './memorySampler.js';
+import { PagePerformanceObserver } from './pagePerformance.js';
+import { WebVitalsCollector } from './webVitals.js';
+import { Tracer } from './tracer.js';
+import { Instrumenter } from './instrumentation.js';
+import { BudgetChecker, describeViolation } from './budgets.js';
 
 const validator = new VALIDATE_LOGGER();
 
@@ -15,7 +24,10 @@ class PerformanceLogger extends LoggerBase {
     /**
      * Create a PerformanceLogger instance.
      *
-     * @param {('DEBUG'|'INFO'|'WARN')} [level=INFO] - Initial log level.
+     * @param {('TRACE'|'DEBUG'|'INFO'|'WARN'|'ERROR'|'FATAL'|'SILENT')} [level=INFO] - Initial log level.
+     * @param {Object} [options={}] - Logger options, see `LoggerBase`.
+     * @param {Object<string, (number|string|Object)>} [options.budgets={}] - Performance budgets by label, see `setBudgets`.
+     * @param {Object<string, (string|RegExp)>} [options.resources={}] - Resource patterns by budget label, see `setBudgets`.
      *
      * @returns {PerformanceLogger} A new instance of the PerformanceLogger class.
      *
@@ -25,88 +37,193 @@ class PerformanceLogger extends LoggerBase {
      * It takes an optional `level` parameter, which specifies the initial log level.
      * If no level is provided, the default log level is `INFO`.
      */
-    constructor(level = 'INFO') {
-        super(level);
+    constructor(level = 'INFO', options = {}) {
+        const { budgets = {}, resources = {}, ...loggerOptions } = options;
+        super(level, loggerOptions);
+        validator._validateBudgets({ budgets, resources });
+
+        /**
+         * The checker of the measurements against the budgets of `setBudgets`.
+         * @type {BudgetChecker}
+         */
+        this.budgetChecker = new BudgetChecker({ budgets, resources, onViolation: (violation) => this._reportBudgetViolation(violation) });
+
+        /**
+         * The EventLogger emitting the budget violations, see `setBudgets`.
+         * @type {?import('../eventLogger/eventLogger.js').EventLogger}
+         */
+        this.budgetEventLogger = null;
+
+        /**
+         * Results of the benchmarks run by `benchmark`, by label.
+         * @type {Map<string, Object>}
+         */
+        this.benchmarks = new Map();
+
+        /**
+         * The frame monitor started by `startFrameMonitor`.
+         * @type {?FrameMonitor}
+         */
+        this.frameMonitor = null;
+
+        /**
+         * The memory sampler started by `startMemorySampler`.
+         * @type {?MemorySampler}
+         */
+        this.memorySampler = null;
+
+        /**
+         * The page observer started by `observePagePerformance`.
+         * @type {?PagePerformanceObserver}
+         */
+        this.pageObserver = null;
+
+        /**
+         * The Web Vitals collector started by `collectWebVitals`.
+         * @type {?WebVitalsCollector}
+         */
+        this.webVitalsCollector = null;
+
+        /**
+         * The tracer recording the spans of `startSpan` and `withSpan`.
+         * @type {Tracer}
+         */
+        this.tracer = new Tracer();
+
+        /**
+         * The instrumenter wrapping the methods passed to `instrument`.
+         * @type {Instrumenter}
+         */
+        this.instrumenter = new Instrumenter({
+            onCall: (label, duration, error) => {
+                if (error !== undefined) {
+                    this._logFailures(label, duration, [error]);
+                    return;
+                }
+
+                this.addLog(`${label}: ${duration} milliseconds`, LOG_LEVELS.DEBUG, { label, duration });
+                this.checkBudget(label, { duration });
+            },
+        });
     }
 
     /**
          * Measure the time taken by a specific operation.
          *
          * @param {string} label - The name or description of the operation.
-         * @param {Function} func - The operation to be measured.
+         * @param {Function} func - The operation to be measured, synchronous or returning a Promise.
+         *
+         * @returns {*|Promise<*>} The result of `func`, or a Promise of it when `func` returns a Promise.
          *
-         * @returns {void}
+         * @throws {*} The error thrown by `func`, after the failure is logged.
          *
          * @example
          * PerformanceLogger.measureTime('Expensive operation', () => {
          *   // Do something expensive here
          * });
          *
+         * const users = await PerformanceLogger.measureTime('Fetch users', () => fetch('/api/users').then((response) => response.json()));
+         *
          * @output
          * Expensive operation: 500 milliseconds
+         * Fetch users: 120 milliseconds
          *
          * @description
          * The `measureTime` function measures the time taken by a specific operation.
          * It takes two parameters: `operationName`, which is a string describing the operation, and `callback`, which is a function that performs the operation.
          * The function starts a timer using the `performance.now()` method, executes the `callback` function, and then stops the timer.
-         * The elapsed time is then calculated and logged using the `push` method of the `logs` array.
+         * The elapsed time is then calculated and added to the logs as an 'INFO' record, with the label and duration as context fields.
+         * When the `callback` returns a Promise, the timer stops once the Promise settles, and a Promise of its value is returned.
+         * A failure, thrown or rejected, is logged separately as an 'ERROR' record with `failed: true` and the error, then thrown again.
          */
     measureTime(label, func) {
         const startTime = performance.now();
-        func();
-        const endTime = performance.now();
-        const elapsedTime = endTime - startTime;
+        const onSuccess = (value) => {
+            const elapsedTime = performance.now() - startTime;
 
-        const log = `${label}: ${elapsedTime} milliseconds`;
-        this.logs.push(log);
+            const log = `${label}: ${elapsedTime} milliseconds`;
+            this.addLog(log, LOG_LEVELS.INFO, { label, duration: elapsedTime });
+            this.checkBudget(label, { duration: elapsedTime });
+            return value;
+        };
+        const onFailure = (error) => {
+            this._logFailures(label, performance.now() - startTime, [error]);
+            throw error;
+        };
+
+        let result;
+
+        try {
+            result = func();
+        } catch (error) {
+            onFailure(error);
+        }
+
+        return isPromiseLike(result) ? Promise.resolve(result).then(onSuccess, onFailure) : onSuccess(result);
     }
 
 
     /**
     * Log the current memory usage.
     *
-    * @returns {void}
+    * @returns {string} The memory usage, in bytes, or 'Memory Usage: unavailable' when no memory source is available.
     *
     * @example
     * PerformanceLogger.logMemoryUsage();
     *
     * @output
-    * Memory Usage: {usedJSHeapSize: 123456, totalJSHeapSize: 123456, jsHeapSizeLimit: 123456}
+    * Memory Usage: {"usedHeapSize":10485760,"totalHeapSize":16777216,"heapSizeLimit":4294705152}
     *
     * @description
-    * The `logMemoryUsage` function logs the current memory usage of the JavaScript heap.
-    * It uses the `performance.memory` property to get the current memory usage, and then logs a message to the console indicating the current memory usage.
-    * The `performance.memory` property returns an object with the following properties:
-    * - `usedJSHeapSize`: The current size of the JavaScript heap in bytes.
-    * - `totalJSHeapSize`: The maximum size of the JavaScript heap in bytes.
-    * - `jsHeapSizeLimit`: The maximum size of the JavaScript heap in bytes that can be used by the JavaScript runtime.
+    * The `logMemoryUsage` function logs the current memory usage of the JavaScript heap, read with `readMemoryUsage`:
+    * - `usedHeapSize`: The current size of the JavaScript heap in use, in bytes.
+    * - `totalHeapSize`: The size of the JavaScript heap allocated, in bytes.
+    * - `heapSizeLimit`: The maximum size of the JavaScript heap, in bytes, only known in Chromium.
+    * The heap is read from `performance.memory` in Chromium, and from `process.memoryUsage` in Node.
+    * Use `startMemorySampler` to follow the memory usage over time.
     */
     static logMemoryUsage() {
-        const memoryUsage = performance.memory;
+        const sample = readMemoryUsage();
+
+        if (!sample) {
+            return 'Memory Usage: unavailable';
+        }
+
+        const { usedHeapSize, totalHeapSize, heapSizeLimit } = sample;
+        const memoryUsage = heapSizeLimit === null ? { usedHeapSize, totalHeapSize } : { usedHeapSize, totalHeapSize, heapSizeLimit };
         const log = `Memory Usage: ${JSON.stringify(memoryUsage)}`;
         return log;
     }
 
 
     /**
-     * Log the current frames per second (FPS) in the browser.
+     * Measure the frames per second (FPS) in the browser.
      *
-     * @returns {void}
+     * @param {number} [duration=1000] - How long the frames are counted, in milliseconds.
+     *
+     * @throws {Error} If the duration is invalid.
+     *
+     * @returns {Promise<string>} The measured frame rate, once `duration` is over.
      *
      * @example
-     * PerformanceLogger.logFPS();
+     * const log = await PerformanceLogger.logFPS();
      *
-     * @output Frames Per Second:60.00
+     * @output Frames Per Second: 59.87
      *
      * @description
-     * The `logFPS` function logs the current frames per second (FPS) in browser.
-     * It uses the `performance.now()` method to get the current time in milliseconds, and then logs a message to the console indicating the current FPS.
-     * Note that this method does not actually calculate the FPS, it simply logs the current time in milliseconds and labels it as FPS.
+     * The `logFPS` function counts the frames rendered during `duration` milliseconds with a `FrameMonitor`,
+     * using `requestAnimationFrame`, or a 60 Hz timer outside browsers, and resolves with the frame rate.
+     * Use `startFrameMonitor` to follow the frame rate over time, with jank and dropped frames.
      */
-    static logFPS() {
-        const fps = performance.now();
-        const log = `Frames Per Second: ${fps.toFixed(2)}`;
-        return log;
+    static logFPS(duration = 1000) {
+        validator._validateFrameMonitorOptions({ sampleInterval: duration });
+
+        const monitor = new FrameMonitor({ sampleInterval: duration });
+        monitor.start();
+
+        return new Promise((resolve) => {
+            setTimeout(() => resolve(`Frames Per Second: ${monitor.stop().fps.toFixed(2)}`), duration);
+        });
     }
 
 
@@ -116,14 +233,19 @@ class PerformanceLogger extends LoggerBase {
      * @param {string} functionName - The name or description of the function
      * @param {Function} callback - The function to be measured.
      * @param {number} iterations - The number of iterations to execute the function.
+     * @param {Object} [options={}] - Measure options.
+     * @param {number} [options.concurrency=1] - When the function returns Promises, the maximum number of iterations pending at once.
      *
-     * @returns {void}
+     * @returns {{iterations: number, failed: number, duration: number, averageDuration: number, results: Array<*>, errors: Array<*>}|Promise<Object>}
+     * A summary of the run, or a Promise of it when the function returns Promises.
      *
      * @example
      * PerformanceLogger.measureIterationsTime('My Function', () => {
      *   console.log('Hello, world!');
      * }, 1000);
      *
+     * const summary = await PerformanceLogger.measureIterationsTime('Ping', () => fetch('/api/ping'), 100, { concurrency: 10 });
+     *
      * @output
      * My Function (1000 iterations): 0.001 milliseconds per iteration
      *
@@ -131,19 +253,35 @@ class PerformanceLogger extends LoggerBase {
      * The `measureIterationsTime` function measures the time taken for a function to execute multiple times.
      * It takes three parameters: `functionName`, which is a string describing the function, `callback`, which is the function to be measured, and `iterations`, which is the number of times to execute the function.
      * The function starts a timer using the `performance.now()` method, executes the `callback` function for the specified number of `iterations`, and then stops the timer.
-     * The total time taken is calculated, as well as the average time per iteration, and both are logged using the `push` method of the `logs` array.
+     * The total time taken is calculated, as well as the average time per iteration, and both are added to the logs as an 'INFO' record, with the label and duration as context fields.
+     * When the function returns a Promise, each iteration is awaited, running at most `options.concurrency` iterations at once, and a Promise of the summary is returned.
+     * Failed iterations do not stop the run: they are counted, and logged together as an 'ERROR' record with the first error.
+     * When every iteration succeeded, the average duration of an iteration is checked against the budget of the label, see `setBudgets`.
      */
-    measureIterationsTime(Label, func, iterations) {
+    measureIterationsTime(Label, func, iterations, options = {}) {
+        const { concurrency = 1 } = options;
+        validator._validateMeasureOptions({ concurrency });
+
         const start = performance.now();
-        for (let i = 0; i < iterations; i++) {
-            func();
-        }
-        const end = performance.now();
-        const totalTime = end - start;
-        const averageTime = totalTime / iterations;
+        const outcome = runTasks(iterations, () => func(), concurrency);
+
+        const finish = ({ results, errors }) => {
+            const end = performance.now();
+            const totalTime = end - start;
+            const averageTime = totalTime / iterations;
+
+            const log = `${Label} (${iterations} iterations): ${averageTime} milliseconds per iteration`;
+            this.addLog(log, LOG_LEVELS.INFO, { label: Label, iterations, duration: totalTime, averageDuration: averageTime });
+            this._logFailures(Label, totalTime, errors);
+
+            if (errors.length === 0) {
+                this.checkBudget(Label, { duration: averageTime });
+            }
+
+            return { iterations, failed: errors.length, duration: totalTime, averageDuration: averageTime, results, errors };
+        };
 
-        const log = `${Label} (${iterations} iterations): ${averageTime * 1000} milliseconds per iteration`;
-        this.logs.push(log);
+        return isPromiseLike(outcome) ? outcome.then(finish) : finish(outcome);
     }
 
 
@@ -152,9 +290,15 @@ class PerformanceLogger extends LoggerBase {
    *
    * @param {string} arrayName - The name or description of the array.
    * @param {Array} array - The array to iterate over.
-   * @param {Function} callback - The function to be executed for each element.
+   * @param {Function} callback - The function to be executed for each element, synchronous or returning a Promise.
+   * @param {Object} [options={}] - Measure options.
+   * @param {number} [options.concurrency=1] - When the function returns Promises, the maximum number of elements processed at once.
    *
-   * @returns {void}
+   * @returns {Array<*>|Promise<Array<*>>} The result of the function for each element, `undefined` for failed elements,
+   * or a Promise of them when the function returns Promises.
+   *
+   * @example
+   * const images = await PerformanceLogger.measureForEachTime('Thumbnails', urls, (url) => loadImage(url), { concurrency: 4 });
    *
    * @example
    * PerformanceLogger.measureForEachTime('My Array', [1, 2, 3], (element) => {
@@ -168,18 +312,907 @@ class PerformanceLogger extends LoggerBase {
    * The `measureForEachTime` function measures the time taken for a `forEach` operation on an array.
    * It takes three parameters: `label`, which is a string describing the array, `array`, which is the array to iterate over, and `function`, which is a function that is executed for each element in the array.
    * The function starts a timer using the `performance.now()` method, performs the `forEach` operation, and then stops the timer.
-   * The elapsed time is then calculated and logged using the `push` method of the `logs` array.
+   * The elapsed time is then calculated and added to the logs as an 'INFO' record, with the label and duration as context fields.
+   * When the function returns a Promise, each element is awaited, processing at most `options.concurrency` elements at once.
+   * Failed elements do not stop the operation: they are logged together as an 'ERROR' record with the first error.
+   * When every element succeeded, the average duration per element is checked against the budget of the label, see `setBudgets`.
    */
-    measureForEachTime(Label, array, func) {
+    measureForEachTime(Label, array, func, options = {}) {
+        const { concurrency = 1 } = options;
+        validator._validateMeasureOptions({ concurrency });
+
         const startTime = performance.now();
+        const outcome = runTasks(array.length, (index) => func(array[index], index, array), concurrency);
+
+        const finish = ({ results, errors }) => {
+            const endTime = performance.now();
+            const elapsedTime = endTime - startTime;
+
+            const log = `forEach on ${Label}: ${elapsedTime} milliseconds`;
+            this.addLog(log, LOG_LEVELS.INFO, { label: Label, duration: elapsedTime });
+            this._logFailures(Label, elapsedTime, errors);
+
+            if (errors.length === 0 && array.length > 0) {
+                this.checkBudget(Label, { duration: elapsedTime / array.length });
+            }
+
+            return results;
+        };
+
+        return isPromiseLike(outcome) ? outcome.then(finish) : finish(outcome);
+    }
+
+
+    /**
+     * Benchmark a function with warm-up runs and repeated samples, and log its statistics.
+     *
+     * @param {string} label - The name of the benchmark, used by `compareBenchmarks`.
+     * @param {Function} func - The function to benchmark, synchronous or returning a Promise.
+     * @param {Object} [options={}] - Benchmark options.
+     * @param {number} [options.warmup=5] - The number of untimed calls made first, to let the engine optimize the function.
+     * @param {number} [options.samples=50] - The number of timed samples.
+     * @param {number} [options.iterationsPerSample=1] - The number of calls timed together in each sample, raise it for very fast functions.
+     *
+     * @throws {Error} If the options are invalid, or the error thrown by `func`.
+     *
+     * @returns {Object|Promise<Object>} The statistics: `min`, `max`, `mean`, `median`, `p75`, `p95`, `p99` and `standardDeviation`
+     * in milliseconds per call, `opsPerSecond`, and every sample in `durations`. A Promise of them when `func` returns Promises.
+     *
+     * @example
+     * PerformanceLogger.benchmark('JSON.parse', () => JSON.parse(payload), { samples: 100, iterationsPerSample: 1000 });
+     * await PerformanceLogger.benchmark('fetch', () => fetch('/api/ping'), { warmup: 2, samples: 20 });
+     *
+     * @output
+     * JSON.parse: 0.0123 milliseconds per call (median 0.0121, p95 0.0140, ±0.0008), 81300 ops/sec over 100 samples
+     *
+     * @description
+     * The `benchmark` function calls the function `warmup` times without timing it, then times `samples` samples of `iterationsPerSample` calls each.
+     * The statistics are added to the logs as an 'INFO' record, with the statistics as context fields, and kept under the label for `compareBenchmarks`.
+     * The mean duration of a call is checked against the budget of the label, see `setBudgets`.
+     */
+    benchmark(label, func, options = {}) {
+        const { warmup = 5, samples = 50, iterationsPerSample = 1 } = options;
+        validator._validateBenchmarkOptions({ warmup, samples, iterationsPerSample });
+
+        const finish = (result) => {
+            const { durations, ...statistics } = result;
+            const log = `${label}: ${result.mean} milliseconds per call (median ${result.median}, p95 ${result.p95}, ±${result.standardDeviation}), ${result.opsPerSecond} ops/sec over ${result.samples} samples`;
+
+            this.benchmarks.set(label, result);
+            this.addLog(log, LOG_LEVELS.INFO, statistics);
+            this.checkBudget(label, { duration: result.mean });
+            return result;
+        };
+
+        const result = runBenchmark(label, func, { warmup, samples, iterationsPerSample });
+        return isPromiseLike(result) ? result.then(finish) : finish(result);
+    }
+
+
+    /**
+     * Compare two benchmarks run with `benchmark`, and log which one is faster.
+     *
+     * @param {string} firstLabel - The label of the first benchmark.
+     * @param {string} secondLabel - The label of the second benchmark.
+     *
+     * @throws {Error} If a benchmark was not run.
+     *
+     * @returns {{faster: string, slower: string, ratio: number, percentFaster: number, significant: boolean, tValue: number, degreesOfFreedom: number}}
+     * The comparison: `ratio` is how many times faster the faster benchmark is, and `significant` tells whether the difference is significant at 95% confidence.
+     *
+     * @example
+     * PerformanceLogger.benchmark('for loop', () => sumWithLoop(numbers));
+     * PerformanceLogger.benchmark('reduce', () => sumWithReduce(numbers));
+     * PerformanceLogger.compareBenchmarks('for loop', 'reduce');
+     *
+     * @output
+     * for loop is 1.8x faster than reduce (44.4% less time, significant)
+     *
+     * @description
+     * The `compareBenchmarks` function compares the mean durations of the two benchmarks, and runs Welch's t-test on their samples
+     * to tell a real difference from noise. The comparison is added to the logs as an 'INFO' record.
+     */
+    compareBenchmarks(firstLabel, secondLabel) {
+        const [first, second] = [firstLabel, secondLabel].map((label) => {
+            if (!this.benchmarks.has(label)) {
+                throw new Error(`Invalid parameters: no benchmark named "${label}" was run.`);
+            }
+
+            return this.benchmarks.get(label);
+        });
+
+        const comparison = compareBenchmarkResults(first, second);
+        const log = `${comparison.faster} is ${comparison.ratio.toFixed(2)}x faster than ${comparison.slower} `
+            + `(${comparison.percentFaster.toFixed(1)}% less time, ${comparison.significant ? 'significant' : 'not significant'})`;
+
+        this.addLog(log, LOG_LEVELS.INFO, { label: `${firstLabel} vs ${secondLabel}`, ...comparison });
+        return comparison;
+    }
+
+
+    /**
+     * Start measuring the frame rate, logging a sample at every interval.
+     *
+     * @param {Object} [options={}] - Monitor options.
+     * @param {number} [options.sampleInterval=1000] - The length of each sample, in milliseconds.
+     * @param {number} [options.jankThreshold=50] - The frame time above which a frame is janky, in milliseconds.
+     * @param {number} [options.refreshRate=60] - The refresh rate of the display, in frames per second.
+     * @param {Array<number>} [options.histogramBuckets=[16.7, 33.3, 50, 100]] - The upper bounds of the frame-time histogram buckets, in milliseconds.
+     * @param {number} [options.maxSamples=300] - The number of samples kept in the summary, the oldest are dropped.
+     *
+     * @throws {Error} If the options are invalid.
+     *
+     * @returns {FrameMonitor} The running monitor.
+     *
+     * @example
+     * PerformanceLogger.startFrameMonitor({ sampleInterval: 5000 });
+     *
+     * @output
+     * FPS: 58.42 (2 jank frames, 3.1% dropped frames)
+     *
+     * @description
+     * The `startFrameMonitor` function measures the time between frames with `requestAnimationFrame`, or a 60 Hz timer outside browsers.
+     * Every `sampleInterval` milliseconds, the frame rate, the frame times, the jank frames and the dropped frames of the sample
+     * are added to the logs as an 'INFO' record with the 'fps' label. A monitor already running is stopped first, without a summary.
+     */
+    startFrameMonitor(options = {}) {
+        const { sampleInterval, jankThreshold, refreshRate, histogramBuckets, maxSamples } = options;
+        validator._validateFrameMonitorOptions({ sampleInterval, jankThreshold, refreshRate, histogramBuckets, maxSamples });
 
-        array.forEach(func);
+        if (this.frameMonitor) {
+            this.frameMonitor.stop();
+        }
+
+        this.frameMonitor = new FrameMonitor({
+            sampleInterval,
+            jankThreshold,
+            refreshRate,
+            histogramBuckets,
+            maxSamples,
+            onSample: (sample) => {
+                const log = `FPS: ${sample.fps.toFixed(2)} (${sample.jankFrames} jank frames, ${sample.droppedPercent.toFixed(1)}% dropped frames)`;
+                this.addLog(log, LOG_LEVELS.INFO, { label: 'fps', ...sample });
+            },
+        });
+
+        this.frameMonitor.start();
+        return this.frameMonitor;
+    }
+
+
+    /**
+     * Stop the frame monitor started with `startFrameMonitor`, and log its summary.
+     *
+     * @returns {?Object} The summary, see `getFrameSummary`, or `null` if no monitor was started.
+     *
+     * @example
+     * const summary = PerformanceLogger.stopFrameMonitor();
+     *
+     * @output
+     * Frame summary: 57.90 FPS over 3542 frames, max frame time 84.2 milliseconds, 14 jank frames, 2.4% dropped frames
+     *
+     * @description
+     * The `stopFrameMonitor` function stops the monitor, and adds the statistics of the whole monitoring and the frame-time histogram
+     * to the logs as an 'INFO' record with the 'fps-summary' label. The samples are not repeated in the record.
+     */
+    stopFrameMonitor() {
+        if (!this.frameMonitor) {
+            return null;
+        }
+
+        const summary = this.frameMonitor.stop();
+        const { samples, ...statistics } = summary;
+        const log = `Frame summary: ${summary.fps.toFixed(2)} FPS over ${summary.frames} frames, max frame time ${summary.maxFrameTime.toFixed(1)} milliseconds, `
+            + `${summary.jankFrames} jank frames, ${summary.droppedPercent.toFixed(1)}% dropped frames`;
+
+        this.frameMonitor = null;
+        this.addLog(log, LOG_LEVELS.INFO, { label: 'fps-summary', ...statistics, sampleCount: samples.length });
+        return summary;
+    }
+
+
+    /**
+     * Get the frame statistics of the running frame monitor, without stopping it.
+     *
+     * @returns {?Object} The summary, or `null` if no monitor is running: `frames`, `duration`, `fps`, `averageFrameTime`,
+     * `maxFrameTime`, `jankFrames`, `droppedFrames`, `droppedPercent`, the frame-time `histogram` by bucket name, and the `samples`.
+     *
+     * @example
+     * PerformanceLogger.getFrameSummary().histogram; // { '0-16.7ms': 3480, '16.7-33.3ms': 48, '33.3-50ms': 0, '50-100ms': 12, '100ms+': 2 }
+     */
+    getFrameSummary() {
+        return this.frameMonitor ? this.frameMonitor.getSummary() : null;
+    }
+
+
+    /**
+     * Start sampling the heap usage, and warn when it grows steadily.
+     *
+     * @param {Object} [options={}] - Sampler options.
+     * @param {number} [options.interval=5000] - The delay between samples, in milliseconds.
+     * @param {number} [options.maxSamples=720] - The number of samples kept, the oldest are dropped.
+     * @param {number} [options.trendWindow=12] - The number of recent samples the trend is computed on.
+     * @param {number} [options.growthThreshold=1048576] - The growth above which the heap is growing, in bytes per minute.
+     * @param {number} [options.minCorrelation=0.8] - The minimum fit of the samples to the trend line (R²), from 0 to 1.
+     *
+     * @throws {Error} If the options are invalid.
+     *
+     * @returns {boolean} `true` if the sampler is running, `false` when no memory source is available.
+     *
+     * @example
+     * PerformanceLogger.startMemorySampler({ interval: 10 * 1000, growthThreshold: 512 * 1024 });
+     *
+     * @output
+     * Memory growth: used heap grew 2.50 MB per minute over 12 samples (R² 0.97)
+     *
+     * @description
+     * The `startMemorySampler` function reads the heap usage every `interval` milliseconds, from `performance.memory` in Chromium
+     * or `process.memoryUsage` in Node. Each sample is added to the logs as a 'DEBUG' record with the 'memory' label.
+     * When the used heap keeps growing faster than `growthThreshold` over the last `trendWindow` samples, a 'WARN' record with the
+     * 'memory-growth' label is added, once until the growth stops. A sampler already running is stopped first.
+     */
+    startMemorySampler(options = {}) {
+        const { interval, maxSamples, trendWindow, growthThreshold, minCorrelation } = options;
+        validator._validateMemorySamplerOptions({ interval, maxSamples, trendWindow, growthThreshold, minCorrelation });
+
+        if (this.memorySampler) {
+            this.memorySampler.stop();
+        }
+
+        this.memorySampler = new MemorySampler({
+            interval,
+            maxSamples,
+            trendWindow,
+            growthThreshold,
+            minCorrelation,
+            onSample: (sample) => {
+                const log = `Memory Usage: ${sample.usedHeapSize} bytes used of ${sample.totalHeapSize} bytes`;
+                this.addLog(log, LOG_LEVELS.DEBUG, { label: 'memory', ...sample });
+            },
+            onTrend: (trend) => {
+                const log = `Memory growth: used heap grew ${(trend.slope / (1024 * 1024)).toFixed(2)} MB per minute `
+                    + `over ${trend.samples} samples (R² ${trend.correlation.toFixed(2)})`;
+                this.addLog(log, LOG_LEVELS.WARN, { label: 'memory-growth', ...trend });
+            },
+        });
+
+        return this.memorySampler.start();
+    }
+
+
+    /**
+     * Stop the memory sampler started with `startMemorySampler`.
+     *
+     * @returns {?{samples: Array<Object>, trend: Object}} The samples and the last trend, see `getMemoryTrend`, or `null` if no sampler was started.
+     *
+     * @example
+     * const { samples, trend } = PerformanceLogger.stopMemorySampler();
+     */
+    stopMemorySampler() {
+        if (!this.memorySampler) {
+            return null;
+        }
+
+        const sampler = this.memorySampler;
+
+        sampler.stop();
+        this.memorySampler = null;
+        return { samples: sampler.getSamples(), trend: sampler.detectTrend() };
+    }
+
+
+    /**
+     * Get the growth trend of the heap usage from the running memory sampler.
+     *
+     * @returns {?Object} The trend, or `null` if no sampler is running: `growing`, the `slope` in bytes per minute,
+     * the `correlation` of the samples to the trend line (R²), the `growth` in bytes and the number of `samples` it covers.
+     *
+     * @example
+     * PerformanceLogger.getMemoryTrend(); // { growing: false, slope: 10240, correlation: 0.12, growth: 65536, samples: 12 }
+     */
+    getMemoryTrend() {
+        return this.memorySampler ? this.memorySampler.detectTrend() : null;
+    }
+
+
+    /**
+     * Start observing the navigation, resource, paint, long task and largest contentful paint entries of the page.
+     *
+     * @param {Object} [options={}] - Observer options.
+     * @param {Array<string>} [options.entryTypes] - The entry types to observe: 'navigation', 'resource', 'paint', 'longtask'
+     * and 'largest-contentful-paint', all by default.
+     * @param {number} [options.slowestCount=10] - The number of slowest resources kept in the report.
+     *
+     * @throws {Error} If the options are invalid.
+     *
+     * @returns {Array<string>} The entry types observed, among those supported by the browser.
+     *
+     * @example
+     * PerformanceLogger.observePagePerformance({ slowestCount: 5 });
+     * window.addEventListener('load', () => setTimeout(() => PerformanceLogger.logPagePerformanceReport()));
+     *
+     * @output
+     * Long task: 182 milliseconds
+     *
+     * @description
+     * The `observePagePerformance` function subscribes to the entries with `PerformanceObserver`, including those recorded before the call.
+     * The entries are aggregated into the report returned by `getPagePerformanceReport`, and each long task is added to the logs
+     * as a 'DEBUG' record with the 'longtask' label. An observer already running is stopped first.
+     */
+    observePagePerformance(options = {}) {
+        const { entryTypes, slowestCount } = options;
+        validator._validatePageObserverOptions({ entryTypes, slowestCount });
+
+        if (this.pageObserver) {
+            this.pageObserver.stop();
+        }
+
+        this.pageObserver = new PagePerformanceObserver({
+            entryTypes,
+            slowestCount,
+            onEntry: (entry) => {
+                if (entry.entryType === 'longtask') {
+                    this.addLog(`Long task: ${entry.duration} milliseconds`, LOG_LEVELS.DEBUG, { label: 'longtask', duration: entry.duration, startTime: entry.startTime });
+                } else if (entry.entryType === 'resource') {
+                    this.checkBudget(this.budgetChecker.getResourceLabel(entry.name), { duration: entry.duration, size: entry.transferSize });
+                }
+            },
+        });
+
+        return this.pageObserver.start();
+    }
+
+
+    /**
+     * Stop observing the page, and return its last report.
+     *
+     * @returns {?Object} The report, see `getPagePerformanceReport`, or `null` if no observer was started.
+     *
+     * @example
+     * const report = PerformanceLogger.stopObservingPagePerformance();
+     */
+    stopObservingPagePerformance() {
+        if (!this.pageObserver) {
+            return null;
+        }
+
+        const observer = this.pageObserver;
+
+        observer.stop();
+        this.pageObserver = null;
+        return observer.getReport();
+    }
+
+
+    /**
+     * Get the performance report of the page observed with `observePagePerformance`.
+     *
+     * @returns {?Object} The report, or `null` if no observer is running: the `navigation` timings, the `paint` times,
+     * the `largestContentfulPaint`, the `longTasks` totals, the `resources` totals by initiator type with the slowest resources,
+     * and the `observedTypes`.
+     *
+     * @example
+     * PerformanceLogger.getPagePerformanceReport().resources;
+     * // { count: 42, totalDuration: 3120.4, transferSize: 1048576, ..., byInitiatorType: { script: {...}, img: {...} }, slowest: [...] }
+     */
+    getPagePerformanceReport() {
+        return this.pageObserver ? this.pageObserver.getReport() : null;
+    }
+
+
+    /**
+     * Log the performance report of the page observed with `observePagePerformance`.
+     *
+     * @returns {?Object} The report, or `null` if no observer is running.
+     *
+     * @example
+     * PerformanceLogger.logPagePerformanceReport();
+     *
+     * @output
+     * Page performance: load 1234 milliseconds, FCP 480 milliseconds, 42 resources (1024.0 KB), 3 long tasks
+     *
+     * @description
+     * The `logPagePerformanceReport` function adds the report to the logs as an 'INFO' record with the 'page-performance' label,
+     * the report as context fields.
+     */
+    logPagePerformanceReport() {
+        const report = this.getPagePerformanceReport();
+
+        if (!report) {
+            return null;
+        }
+
+        const { navigation, paint, resources, longTasks } = report;
+        const log = `Page performance: load ${navigation ? navigation.load : 'unknown'} milliseconds, `
+            + `FCP ${paint.firstContentfulPaint === null ? 'unknown' : `${paint.firstContentfulPaint} milliseconds`}, `
+            + `${resources.count} resources (${(resources.transferSize / 1024).toFixed(1)} KB), ${longTasks.count} long tasks`;
+
+        this.addLog(log, LOG_LEVELS.INFO, { label: 'page-performance', ...report });
+        return report;
+    }
+
+
+    /**
+     * Start collecting the Core Web Vitals of the page, and log them when the page becomes hidden.
+     *
+     * @param {Object} [options={}] - Collector options.
+     * @param {Function} [options.onReport] - Called with the vitals, by name, and the names of the vitals changed, each time they are reported.
+     * @param {number} [options.durationThreshold=40] - The minimum duration of the interactions observed for INP, in milliseconds.
+     *
+     * @throws {Error} If the options are invalid.
+     *
+     * @returns {Array<string>} The entry types observed, among those supported by the browser.
+     *
+     * @example
+     * PerformanceLogger.collectWebVitals({ onReport: (vitals) => navigator.sendBeacon('/vitals', JSON.stringify(vitals)) });
+     *
+     * @output
+     * LCP: 1830 (good)
+     * CLS: 0.31 (poor)
+     *
+     * @description
+     * The `collectWebVitals` function computes LCP, CLS, INP, FCP and TTFB from the performance entries of the page, and rates each
+     * value as 'good', 'needs-improvement' or 'poor'. When the page becomes hidden, each vital is added to the logs with the 'web-vital' label,
+     * as an 'INFO' record, or a 'WARN' record when it is poor, then the vitals are passed to `onReport`.
+     * When the page becomes hidden again, e.g. on every tab switch, only the vitals that changed in between are logged, and nothing is reported if none changed.
+     * A collector already running is stopped first.
+     */
+    collectWebVitals(options = {}) {
+        const { onReport = () => { }, durationThreshold } = options;
+        validator._validateWebVitalsOptions({ onReport, durationThreshold });
+
+        if (this.webVitalsCollector) {
+            this.webVitalsCollector.stop();
+        }
+
+        this.webVitalsCollector = new WebVitalsCollector({
+            durationThreshold,
+            onReport: (vitals, changed) => {
+                changed.forEach((name) => {
+                    const vital = vitals[name];
+                    const level = vital.rating === 'poor' ? LOG_LEVELS.WARN : LOG_LEVELS.INFO;
+                    this.addLog(`${vital.name}: ${vital.value} (${vital.rating})`, level, { label: 'web-vital', ...vital });
+                });
+
+                onReport(vitals, changed);
+            },
+        });
+
+        return this.webVitalsCollector.start();
+    }
+
+
+    /**
+     * Get the Core Web Vitals measured so far, without reporting them.
+     *
+     * @returns {?Object<string, {name: string, value: number, rating: string}>} The vitals by name, or `null` if no collector is running.
+     * Metrics without a value yet are missing.
+     *
+     * @example
+     * PerformanceLogger.getWebVitals(); // { LCP: { name: 'LCP', value: 1830, rating: 'good' }, TTFB: { name: 'TTFB', value: 320, rating: 'good' } }
+     */
+    getWebVitals() {
+        return this.webVitalsCollector ? this.webVitalsCollector.getVitals() : null;
+    }
+
+
+    /**
+     * Stop collecting the Core Web Vitals.
+     *
+     * @param {boolean} [report=false] - Whether to log the vitals changed since the last report and pass them to `onReport` before stopping.
+     *
+     * @returns {?Object<string, Object>} The last vitals by name, or `null` if no collector was started.
+     *
+     * @example
+     * PerformanceLogger.stopCollectingWebVitals(true);
+     */
+    stopCollectingWebVitals(report = false) {
+        if (!this.webVitalsCollector) {
+            return null;
+        }
+
+        const collector = this.webVitalsCollector;
+        const vitals = report ? collector.report() : collector.getVitals();
+
+        collector.stop();
+        this.webVitalsCollector = null;
+        return vitals;
+    }
+
+
+    /**
+     * Start a span, a timed operation that can contain other spans.
+     *
+     * @param {string} name - The name of the operation.
+     * @param {Object} [options={}] - Span options.
+     * @param {Object} [options.attributes={}] - Attributes of the span, e.g. `{ route: '/home' }`.
+     * @param {?string} [options.parentId] - The id of the parent span, the innermost open span by default. `null` starts a root span.
+     *
+     * @throws {Error} If the name or the options are invalid.
+     *
+     * @returns {Object} The open span, with its `id`, `parentId`, `name`, `attributes` and `startTime`.
+     *
+     * @example
+     * const request = PerformanceLogger.startSpan('request', { attributes: { route: '/users' } });
+     * const query = PerformanceLogger.startSpan('query');
+     * PerformanceLogger.endSpan(query);
+     * PerformanceLogger.endSpan(request);
+     *
+     * @description
+     * The `startSpan` function opens a span, nested in the innermost open span unless `parentId` is given.
+     * Concurrent asynchronous operations should pass `parentId`, as the innermost open span may belong to another operation.
+     * Only sequential spans nest implicitly.
+     * Nothing is logged until the span ends.
+     */
+    startSpan(name, options = {}) {
+        const { attributes, parentId } = options;
+        validator._validateSpanOptions({ name, attributes, parentId });
+
+        return this.tracer.startSpan(name, { attributes, parentId });
+    }
+
+
+    /**
+     * End a span started with `startSpan`, and log its duration.
+     *
+     * @param {Object|string} span - The span, or its id.
+     * @param {Object} [options={}] - End options.
+     * @param {Object} [options.attributes={}] - Attributes added to the span.
+     * @param {*} [options.error] - The error the operation failed with.
+     *
+     * @throws {Error} If the span is unknown.
+     *
+     * @returns {Object} The ended span, with its `endTime`, `duration` and `status`.
+     *
+     * @example
+     * PerformanceLogger.endSpan(query, { attributes: { rows: 20 } });
+     *
+     * @output
+     * query: 12.4 milliseconds
+     *
+     * @description
+     * The `endSpan` function ends the span and adds its duration to the logs as an 'INFO' record, with the span id, the parent id and
+     * the attributes as context fields. When `error` is given, the span status is 'error' and the record is an 'ERROR' record with the error.
+     * The span is also recorded as a `performance.measure` entry named after the span and its id, visible in the DevTools.
+     */
+    endSpan(span, options = {}) {
+        return this.tracer.endSpan(span, options, (ended) => this._logSpan(ended));
+    }
+
+
+    /**
+     * Run a function inside a span, ending the span when the function returns or its Promise settles.
+     *
+     * @param {string} name - The name of the operation.
+     * @param {Function} func - The operation, receiving the span. Synchronous or returning a Promise.
+     * @param {Object} [options={}] - Span options, see `startSpan`.
+     *
+     * @throws {*} The error thrown by `func`, after the span is ended and logged.
+     *
+     * @returns {*|Promise<*>} The result of `func`, or a Promise of it when `func` returns a Promise.
+     *
+     * @example
+     * const users = await PerformanceLogger.withSpan('load users', async (span) => {
+     *     const response = await PerformanceLogger.withSpan('fetch', () => fetch('/api/users'));
+     *     span.attributes.status = response.status;
+     *     return PerformanceLogger.withSpan('parse', () => response.json(), { parentId: span.id });
+     * });
+     *
+     * @description
+     * The spans started by the synchronous part of `func`, such as 'fetch' above, are nested in the span.
+     * After the first `await`, concurrent operations may be running: pass `parentId` to nest a span, such as 'parse' above.
+     */
+    withSpan(name, func, options = {}) {
+        const { attributes, parentId } = options;
+        validator._validateSpanOptions({ name, attributes, parentId });
+
+        return this.tracer.withSpan(name, func, { attributes, parentId }, (span) => this._logSpan(span));
+    }
+
+
+    /**
+     * Get the spans as a tree.
+     *
+     * @returns {Array<Object>} The root spans, each with its `children`, in start order.
+     *
+     * @example
+     * PerformanceLogger.getSpanTree();
+     * // [{ id: 'span-1', name: 'load users', duration: 48.2, children: [{ id: 'span-2', parentId: 'span-1', name: 'fetch', ... }] }]
+     */
+    getSpanTree() {
+        return this.tracer.getTree();
+    }
+
+
+    /**
+     * Export the ended spans as Chrome trace-event JSON.
+     *
+     * @returns {string} The trace, to load in about:tracing or the performance panel of the DevTools.
+     *
+     * @example
+     * const blob = new Blob([PerformanceLogger.exportChromeTrace()], { type: 'application/json' });
+     */
+    exportChromeTrace() {
+        return JSON.stringify(this.tracer.toTraceEvents());
+    }
+
+
+    /**
+     * Log an ended span.
+     *
+     * @param {Object} span - The ended span.
+     *
+     * @returns {void}
+     * @private
+     */
+    _logSpan(span) {
+        const fields = { label: span.name, spanId: span.id, parentId: span.parentId, duration: span.duration, attributes: { ...span.attributes } };
+
+        if (span.status === 'error') {
+            const error = span.error instanceof Error ? span.error : new Error(String(span.error));
+            this.addLog(`${span.name}: failed after ${span.duration} milliseconds`, LOG_LEVELS.ERROR, { ...fields, failed: true, error });
+        } else {
+            this.addLog(`${span.name}: ${span.duration} milliseconds`, LOG_LEVELS.INFO, fields);
+            this.checkBudget(span.name, { duration: span.duration });
+        }
+    }
+
+
+    /**
+     * Wrap the methods of an object or a class to record their calls, durations and errors.
+     *
+     * @param {Object|Function} target - The object or the class.
+     * @param {Object} [options={}] - Instrumentation options.
+     * @param {Array<string>|RegExp|Function} [options.methods] - The methods to wrap: names, a pattern such as `/^create/`, or a predicate
+     * receiving the name. Every method not starting with '_' by default.
+     * @param {('static'|'prototype'|'both')} [options.scope='both'] - For a class, whether to wrap its static methods, its prototype methods, or both.
+     * @param {string} [options.label] - The prefix of the method labels, the class name by default.
+     *
+     * @throws {Error} If the target or the options are invalid, or names are listed in `methods` that are not methods of the target.
+     *
+     * @returns {Array<string>} The labels of the methods wrapped, e.g. 'StorageManager.setValue'.
+     *
+     * @example
+     * PerformanceLogger.instrument(StorageManager);
+     * PerformanceLogger.instrument(ElementBuilder, { methods: /^create/ });
+     * PerformanceLogger.instrument(apiClient, { methods: ['getUsers', 'saveUser'], label: 'api' });
+     *
+     * @output
+     * StorageManager.setValue: 0.21 milliseconds
+     *
+     * @description
+     * The `instrument` function replaces the selected methods of the target with wrappers timing each call. For an object,
+     * such as a class instance, the methods of its prototype chain are wrapped on the object itself and the class is left untouched.
+     * For a class, the methods defined on the class itself are wrapped, not those inherited from a parent class. A method is never wrapped twice. Asynchronous methods are timed until their Promise settles.
+     * Each call is added to the logs as a 'DEBUG' record, and each failure as an 'ERROR' record before the error is thrown again.
+     * The statistics of every method are returned by `getInstrumentationReport`. Use `uninstrument` to restore the original methods.
+     */
+    instrument(target, options = {}) {
+        const { methods, scope, label } = options;
+        validator._validateInstrumentOptions({ target, methods, scope, label });
+
+        return this.instrumenter.instrument(target, { methods, scope, label });
+    }
+
+
+    /**
+     * Restore the original methods of an object or a class instrumented with `instrument`. The statistics are kept.
+     *
+     * @param {Object|Function} [target] - The object or the class, every instrumented target when missing.
+     *
+     * @returns {boolean} `true` if methods were restored.
+     *
+     * @example
+     * PerformanceLogger.uninstrument(StorageManager);
+     */
+    uninstrument(target) {
+        if (target === undefined) {
+            const instrumented = this.instrumenter.originals.size > 0;
+
+            this.instrumenter.unwrapAll();
+            return instrumented;
+        }
+
+        return this.instrumenter.unwrap(target);
+    }
+
+
+    /**
+     * Get the call statistics of the instrumented methods.
+     *
+     * @returns {Object<string, Object>} The statistics by method label, for the methods called at least once: `calls`, `errors`,
+     * `totalDuration`, `averageDuration`, `minDuration` and `maxDuration` in milliseconds, and the `lastError`.
+     *
+     * @example
+     * PerformanceLogger.getInstrumentationReport();
+     * // { 'StorageManager.setValue': { calls: 12, errors: 0, totalDuration: 3.4, averageDuration: 0.28, minDuration: 0.1, maxDuration: 0.9, lastError: null } }
+     */
+    getInstrumentationReport() {
+        return this.instrumenter.getReport();
+    }
+
+
+    /**
+     * Log the call statistics of the instrumented methods, the slowest in total first.
+     *
+     * @param {boolean} [reset=false] - Whether to forget the statistics once logged.
+     *
+     * @returns {Object<string, Object>} The statistics by method label, see `getInstrumentationReport`.
+     *
+     * @example
+     * PerformanceLogger.logInstrumentationReport();
+     *
+     * @output
+     * StorageManager.getObject: 120 calls, 0 errors, 0.31 milliseconds on average (37.2 milliseconds in total)
+     *
+     * @description
+     * The `logInstrumentationReport` function adds one 'INFO' record per method to the logs, with the statistics as context fields.
+     */
+    logInstrumentationReport(reset = false) {
+        const report = this.getInstrumentationReport();
+
+        Object.entries(report)
+            .sort(([, a], [, b]) => b.totalDuration - a.totalDuration)
+            .forEach(([label, { lastError, ...statistics }]) => {
+                const log = `${label}: ${statistics.calls} calls, ${statistics.errors} errors, ${statistics.averageDuration.toFixed(2)} milliseconds on average `
+                    + `(${statistics.totalDuration.toFixed(1)} milliseconds in total)`;
+                this.addLog(log, LOG_LEVELS.INFO, { label, ...statistics });
+            });
+
+        if (reset) {
+            this.instrumenter.reset();
+        }
+
+        return report;
+    }
+
+
+    /**
+     * Declare performance budgets, checked against the measurements of the same label.
+     *
+     * @param {Object<string, (number|string|Object)>} budgets - The budgets by label: a number of milliseconds, a string with a unit
+     * such as '16ms', '2s' or '300kb', or an object with `duration` and/or `size` limits. Budgets replace those of the same labels.
+     * @param {Object} [options={}] - Budget options.
+     * @param {import('../eventLogger/eventLogger.js').EventLogger} [options.eventLogger] - Emits each violation as a 'budget-violation' event.
+     * @param {Object<string, (string|RegExp)>} [options.resources] - The resources checked against a budget label, by label: regular expressions,
+     * or glob strings where '*' matches any characters, tested against the resource URL. Patterns replace those of the same labels.
+     *
+     * @throws {Error} If a budget or a resource pattern is invalid.
+     *
+     * @returns {void}
+     *
+     * @example
+     * PerformanceLogger.setBudgets({ 'render-table': '16ms', 'page-load': 2000, 'bundle-resource': '300kb' }, {
+     *     eventLogger,
+     *     resources: { 'bundle-resource': '*bundle.*.js' },
+     * });
+     * eventLogger.on('budget-violation', (violation) => console.warn(violation));
+     *
+     * @output
+     * Budget exceeded: render-table took 21.4 milliseconds, budget 16 milliseconds
+     *
+     * @description
+     * The `setBudgets` function sets the maximum duration and/or size of the measurements of each label: `measureTime`, spans,
+     * instrumented methods ('Class.method' labels), the average iteration of `measureIterationsTime` and element of `measureForEachTime`,
+     * the mean call of `benchmark`, `logPageLoadTime` ('page-load'), and the resources of `logResourceLoadTime` and `observePagePerformance`.
+     * A resource is checked against the label of the first pattern of `options.resources` matching its URL, or against its URL otherwise.
+     * Only successful calls are checked, each once, whatever the log level; failures are not. Each measurement over its budget adds
+     * a 'WARN' record with the 'budget-violation' label, and is emitted on the EventLogger. Use `assertBudgets` to fail a test run on violations.
+     */
+    setBudgets(budgets, options = {}) {
+        const { eventLogger = this.budgetEventLogger, resources = {} } = options;
+        validator._validateBudgets({ budgets, eventLogger, resources });
+
+        this.budgetChecker.setBudgets(budgets);
+        this.budgetChecker.setResources(resources);
+        this.budgetEventLogger = eventLogger;
+    }
+
+
+    /**
+     * Remove the budget of a label.
+     *
+     * @param {string} label - The label.
+     *
+     * @returns {boolean} `true` if the budget was removed.
+     */
+    removeBudget(label) {
+        return this.budgetChecker.removeBudget(label);
+    }
+
+
+    /**
+     * Check a measurement against the budget of its label. The measurements listed in `setBudgets` are checked automatically.
+     *
+     * @param {string} label - The label of the measurement.
+     * @param {{duration: number, size: number}} values - The measured values, in milliseconds and bytes.
+     *
+     * @returns {Array<Object>} The violations, empty when the measurement is within its budget or has no budget.
+     *
+     * @example
+     * PerformanceLogger.checkBudget('bundle', { size: 412 * 1024 });
+     */
+    checkBudget(label, values) {
+        if (typeof label !== 'string') {
+            return [];
+        }
+
+        return this.budgetChecker.check(label, values);
+    }
+
+
+    /**
+     * Get the budget violations recorded since the last `assertBudgets`.
+     *
+     * @returns {Array<Object>} The violations, oldest first: the `budget` label, the `metric` ('duration' or 'size'), the `value`,
+     * the `limit` and the amount `exceededBy` in milliseconds or bytes, and the `timestamp`.
+     */
+    getBudgetViolations() {
+        return this.budgetChecker.getViolations();
+    }
+
+
+    /**
+     * Throw if a budget was exceeded, to fail a test run on performance regressions.
+     *
+     * @param {boolean} [clear=true] - Whether to forget the violations, so the next assertion only covers new measurements.
+     *
+     * @throws {Error} If violations were recorded, listed in its message and in its `violations` property.
+     *
+     * @returns {void}
+     *
+     * @example
+     * afterEach(() => PerformanceLogger.assertBudgets());
+     *
+     * test('renders the table within budget', () => {
+     *     PerformanceLogger.measureTime('render-table', () => renderTable(rows));
+     * });
+     *
+     * @output
+     * Error: Performance budgets exceeded: render-table took 21.4 milliseconds, budget 16 milliseconds
+     */
+    assertBudgets(clear = true) {
+        this.budgetChecker.assert(clear);
+    }
+
+
+    /**
+     * Log a budget violation, and emit it on the EventLogger of `setBudgets`.
+     *
+     * @param {Object} violation - The violation.
+     *
+     * @returns {void}
+     * @private
+     */
+    _reportBudgetViolation(violation) {
+        this.addLog(`Budget exceeded: ${describeViolation(violation)}`, LOG_LEVELS.WARN, { label: 'budget-violation', ...violation });
+
+        if (this.budgetEventLogger) {
+            this.budgetEventLogger.emit('budget-violation', violation);
+        }
+    }
+
+
+    /**
+     * Log the failures of a measured operation as an 'ERROR' record.
+     *
+     * @param {string} label - The name of the operation.
+     * @param {number} duration - The time taken by the operation, in milliseconds.
+     * @param {Array<*>} errors - The errors thrown or rejected. Nothing is logged when empty.
+     *
+     * @returns {void}
+     * @private
+     */
+    _logFailures(label, duration, errors) {
+        if (errors.length === 0) {
+            return;
+        }
 
-        const endTime = performance.now();
-        const elapsedTime = endTime - startTime;
+        const [firstError] = errors;
+        const error = firstError instanceof Error ? firstError : new Error(String(firstError));
+        const log = `${label}: ${errors.length} ${errors.length === 1 ? 'failure' : 'failures'} after ${duration} milliseconds`;
 
-        const log = `forEach on ${Label}: ${elapsedTime} milliseconds`;
-        this.logs.push(log);
+        this.addLog(log, LOG_LEVELS.ERROR, { label, duration, failed: true, failures: errors.length, error });
     }
 
     /**
@@ -200,11 +1233,17 @@ class PerformanceLogger extends LoggerBase {
      * The `loadEventEnd` property represents the time when the load event is fired, after the page has finished loading.
      * The `navigationStart` property represents the time when the navigation to the page started.
      * The difference between these two properties gives the total time taken for the page to load.
+     * When the browser supports it, the `PerformanceNavigationTiming` entry replaces the deprecated `performance.timing` object.
+     * Use `observePagePerformance` for the detailed timings of the page and its resources.
      */
     logPageLoadTime() {
-        const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
+        const [navigation] = typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType('navigation') : [];
+        const loadTime = navigation
+            ? navigation.loadEventEnd - navigation.startTime
+            : performance.timing.loadEventEnd - performance.timing.navigationStart;
         const log = `Page Load Time: ${loadTime} milliseconds`;
-        this.logs.push(log);
+        this.addLog(log, LOG_LEVELS.INFO, { label: 'page-load', duration: loadTime });
+        this.checkBudget('page-load', { duration: loadTime });
     }
 
 
@@ -235,7 +1274,8 @@ class PerformanceLogger extends LoggerBase {
         if (entries.length > 0) {
             const loadTime = entries[0].duration;
             const log = `${resourceName} Load Time: ${loadTime} milliseconds`;
-            this.logs.push(log);
+            this.addLog(log, LOG_LEVELS.INFO, { label: resourceName, duration: loadTime, size: entries[0].transferSize });
+            this.checkBudget(this.budgetChecker.getResourceLabel(resourceName), { duration: loadTime, size: entries[0].transferSize });
         } else {
             console.error(`Resource "${resourceName}" not found.`);
         }
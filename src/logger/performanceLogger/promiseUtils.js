@@ -0,0 +1,74 @@
+/**
+ * Check if a value is a Promise, or any object with a `then` method.
+ *
+ * @param {*} value - The value.
+ *
+ * @returns {boolean} `true` if the value can be awaited.
+ */
+function isPromiseLike(value) {
+    return value !== null && (typeof value === 'object' || typeof value === 'function') && typeof value.then === 'function';
+}
+
+
+/**
+ * Run a task a number of times. Runs synchronously while the task is synchronous;
+ * once it returns a Promise, the remaining runs are awaited with at most `concurrency` of them pending at once.
+ *
+ * @param {number} count - The number of runs.
+ * @param {Function} task - Receives the index of the run, returns a value or a Promise.
+ * @param {number} concurrency - The maximum number of pending runs.
+ *
+ * @returns {{results: Array<*>, errors: Array<Error>}|Promise<{results: Array<*>, errors: Array<Error>}>} The result of each run, `undefined` for failed runs, and the errors.
+ */
+function runTasks(count, task, concurrency) {
+    const results = new Array(count).fill(undefined);
+    const errors = [];
+    let firstPromise = null;
+    let index = 0;
+
+    for (; index < count && !firstPromise; index++) {
+        try {
+            const result = task(index);
+
+            if (isPromiseLike(result)) {
+                firstPromise = result;
+            } else {
+                results[index] = result;
+            }
+        } catch (error) {
+            errors.push(error);
+        }
+    }
+
+    if (!firstPromise) {
+        return { results, errors };
+    }
+
+    const pending = new Map();
+    const settle = (taskIndex, promise) => pending.set(taskIndex, Promise.resolve(promise)
+        .then((value) => { results[taskIndex] = value; }, (error) => { errors.push(error); })
+        .then(() => pending.delete(taskIndex)));
+
+    settle(index - 1, firstPromise);
+
+    return (async () => {
+        while (index < count || pending.size > 0) {
+            while (index < count && pending.size < concurrency) {
+                const taskIndex = index++;
+
+                try {
+                    settle(taskIndex, task(taskIndex));
+                } catch (error) {
+                    errors.push(error);
+                }
+            }
+
+            await Promise.race(pending.values());
+        }
+
+        return { results, errors };
+    })();
+}
+
+
+export { isPromiseLike, runTasks };
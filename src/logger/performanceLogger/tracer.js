@@ -0,0 +1,298 @@
+import { isPromiseLike } from './promiseUtils.js';
+
+
+/**
+ * A timed operation, possibly nested in another one.
+ *
+ * @typedef {Object} Span
+ * @property {string} id - The unique id of the span.
+ * @property {?string} parentId - The id of the enclosing span, or `null` for a root span.
+ * @property {string} name - The name of the operation.
+ * @property {Object} attributes - Free-form attributes, e.g. `{ userId: 42, cache: 'miss' }`.
+ * @property {number} startTime - The start, in milliseconds from `performance.now`.
+ * @property {?number} endTime - The end, or `null` while the span is open.
+ * @property {?number} duration - The duration in milliseconds, or `null` while the span is open.
+ * @property {('open'|'ok'|'error')} status - The status of the span.
+ * @property {*} [error] - The error the span ended with.
+ */
+
+
+/**
+ * Check if the User Timing API is available.
+ *
+ * @returns {boolean} `true` if `performance.mark` and `performance.measure` can be used.
+ * @private
+ */
+function hasUserTiming() {
+    return typeof performance !== 'undefined' && typeof performance.mark === 'function' && typeof performance.measure === 'function';
+}
+
+
+/**
+ * Tracer recording nested spans.
+ *
+ * A span started while another one is open becomes its child, unless a `parentId` is given. This implicit nesting follows the order
+ * spans are started and ended, so it only holds for synchronous work: `withSpan` stops being an implicit parent as soon as its function
+ * returns a Promise, so concurrent operations never nest in each other, and spans started after an `await` pass the `parentId` explicitly.
+ * Each span is also recorded as a `performance.measure` entry, visible in the performance panel of the DevTools.
+ *
+ * @class Tracer
+ */
+class Tracer {
+
+    /**
+     * Create a Tracer instance.
+     *
+     * @param {Object} [options={}] - Tracer options.
+     * @param {number} [options.maxSpans=1000] - The number of ended spans kept, the oldest are dropped.
+     * @param {boolean} [options.userTiming=true] - Whether to record spans with `performance.mark` and `performance.measure`.
+     *
+     * @example
+     * const tracer = new Tracer();
+     * const span = tracer.startSpan('render', { attributes: { route: '/home' } });
+     * tracer.endSpan(span);
+     */
+    constructor({ maxSpans = 1000, userTiming = true } = {}) {
+        this.maxSpans = maxSpans;
+        this.userTiming = userTiming && hasUserTiming();
+        this.nextId = 1;
+        this.reset();
+    }
+
+
+    /**
+     * Start a span.
+     *
+     * @param {string} name - The name of the operation.
+     * @param {Object} [options={}] - Span options.
+     * @param {Object} [options.attributes={}] - Attributes of the span.
+     * @param {?string} [options.parentId] - The id of the parent span, the innermost open span by default. `null` starts a root span.
+     *
+     * @returns {Span} The open span.
+     */
+    startSpan(name, { attributes = {}, parentId } = {}) {
+        const active = this.active[this.active.length - 1];
+        const span = {
+            id: `span-${this.nextId++}`,
+            parentId: parentId === undefined ? (active ? active.id : null) : parentId,
+            name,
+            attributes: { ...attributes },
+            startTime: performance.now(),
+            endTime: null,
+            duration: null,
+            status: 'open',
+        };
+
+        if (this.userTiming) {
+            performance.mark(`${span.name}:${span.id}:start`);
+        }
+
+        this.active.push(span);
+        this.spans.push(span);
+        return span;
+    }
+
+
+    /**
+     * End a span. Ending a span twice has no effect.
+     *
+     * @param {Span|string} spanOrId - The span, or its id.
+     * @param {Object} [options={}] - End options.
+     * @param {Object} [options.attributes={}] - Attributes added to the span.
+     * @param {*} [options.error] - The error the operation failed with, setting the status to 'error'.
+     * @param {Function} [onEnd] - Called with the span once it is ended, not when it was already ended.
+     *
+     * @throws {Error} If the span is unknown.
+     *
+     * @returns {Span} The ended span.
+     */
+    endSpan(spanOrId, { attributes = {}, error } = {}, onEnd = () => { }) {
+        const id = typeof spanOrId === 'string' ? spanOrId : spanOrId && spanOrId.id;
+        const span = this.spans.find((item) => item.id === id);
+
+        if (!span) {
+            throw new Error(`Invalid parameters: no span with the id "${id}".`);
+        }
+
+        if (span.status !== 'open') {
+            return span;
+        }
+
+        span.endTime = performance.now();
+        span.duration = span.endTime - span.startTime;
+        span.status = error === undefined ? 'ok' : 'error';
+        Object.assign(span.attributes, attributes);
+
+        if (error !== undefined) {
+            span.error = error;
+        }
+
+        if (this.userTiming) {
+            performance.mark(`${span.name}:${span.id}:end`);
+            performance.measure(`${span.name}:${span.id}`, `${span.name}:${span.id}:start`, `${span.name}:${span.id}:end`);
+        }
+
+        this.active = this.active.filter((item) => item !== span);
+        this._dropOldSpans();
+        onEnd(span);
+        return span;
+    }
+
+
+    /**
+     * Run a function inside a span, ending it when the function returns or its Promise settles.
+     *
+     * The spans started by the synchronous part of the function are nested in the span. Once the function returned a Promise,
+     * the span is no longer the implicit parent: pass `{ parentId: span.id }` to nest the spans started after an `await`.
+     *
+     * @param {string} name - The name of the operation.
+     * @param {Function} func - The operation, receiving the span. Synchronous or returning a Promise.
+     * @param {Object} [options={}] - Span options, see `startSpan`.
+     * @param {Function} [onEnd] - Called with the ended span.
+     *
+     * @throws {*} The error thrown by `func`, after the span is ended.
+     *
+     * @returns {*|Promise<*>} The result of `func`, or a Promise of it.
+     */
+    withSpan(name, func, options = {}, onEnd = () => { }) {
+        const span = this.startSpan(name, options);
+        const onSuccess = (value) => {
+            this.endSpan(span, {}, onEnd);
+            return value;
+        };
+        const onFailure = (error) => {
+            this.endSpan(span, { error }, onEnd);
+            throw error;
+        };
+
+        let result;
+
+        try {
+            result = func(span);
+        } catch (error) {
+            onFailure(error);
+        }
+
+        if (!isPromiseLike(result)) {
+            return onSuccess(result);
+        }
+
+        this.active = this.active.filter((item) => item !== span);
+        return Promise.resolve(result).then(onSuccess, onFailure);
+    }
+
+
+    /**
+     * Get the spans, in the order they were started.
+     *
+     * @returns {Array<Span>} Copies of the spans.
+     */
+    getSpans() {
+        return this.spans.map((span) => ({ ...span, attributes: { ...span.attributes } }));
+    }
+
+
+    /**
+     * Get the spans as a tree.
+     *
+     * @returns {Array<Span & {children: Array<Object>}>} The root spans, each with its `children`, in start order.
+     * Spans whose parent was dropped are roots.
+     *
+     * @example
+     * tracer.getTree();
+     * // [{ id: 'span-1', name: 'request', duration: 48.2, children: [{ id: 'span-2', parentId: 'span-1', name: 'query', children: [] }] }]
+     */
+    getTree() {
+        const nodes = new Map(this.getSpans().map((span) => [span.id, { ...span, children: [] }]));
+        const roots = [];
+
+        nodes.forEach((node) => {
+            const parent = node.parentId === null ? null : nodes.get(node.parentId);
+            (parent ? parent.children : roots).push(node);
+        });
+
+        return roots;
+    }
+
+
+    /**
+     * Get the ended spans in the Chrome trace-event format, viewable in about:tracing or the DevTools performance panel.
+     *
+     * @returns {{traceEvents: Array<Object>, displayTimeUnit: string}} The trace, with times in microseconds.
+     */
+    toTraceEvents() {
+        const traceEvents = this.spans
+            .filter((span) => span.status !== 'open')
+            .map((span) => ({
+                name: span.name,
+                cat: span.status === 'error' ? 'span,error' : 'span',
+                ph: 'X',
+                ts: Math.round(span.startTime * 1000),
+                dur: Math.round(span.duration * 1000),
+                pid: 1,
+                tid: 1,
+                args: { id: span.id, parentId: span.parentId, ...span.attributes },
+            }));
+
+        return { traceEvents, displayTimeUnit: 'ms' };
+    }
+
+
+    /**
+     * Forget every span, and clear their User Timing entries.
+     *
+     * @returns {void}
+     */
+    reset() {
+        if (this.spans) {
+            this.spans.forEach((span) => this._clearUserTiming(span));
+        }
+
+        this.spans = [];
+        this.active = [];
+    }
+
+
+    /**
+     * Drop the oldest ended spans beyond `maxSpans`.
+     *
+     * @returns {void}
+     * @private
+     */
+    _dropOldSpans() {
+        let ended = this.spans.filter((span) => span.status !== 'open').length;
+
+        while (ended > this.maxSpans) {
+            const index = this.spans.findIndex((span) => span.status !== 'open');
+
+            this._clearUserTiming(this.spans[index]);
+            this.spans.splice(index, 1);
+            ended -= 1;
+        }
+    }
+
+
+    /**
+     * Clear the marks and the measure of a span, so the User Timing buffer does not grow with the dropped spans.
+     *
+     * @param {Span} span - The span.
+     *
+     * @returns {void}
+     * @private
+     */
+    _clearUserTiming(span) {
+        if (!this.userTiming) {
+            return;
+        }
+
+        performance.clearMarks(`${span.name}:${span.id}:start`);
+        performance.clearMarks(`${span.name}:${span.id}:end`);
+
+        if (typeof performance.clearMeasures === 'function') {
+            performance.clearMeasures(`${span.name}:${span.id}`);
+        }
+    }
+}
+
+
+export { Tracer };
@@ -0,0 +1,52 @@
+import { Tracer } from './tracer.js';
+
+
+const delay = (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+
+describe('Tracer', () => {
+    afterEach(() => {
+        performance.clearMarks();
+        performance.clearMeasures();
+    });
+
+    test('does not nest concurrent asynchronous spans in each other', async () => {
+        const tracer = new Tracer();
+
+        await Promise.all([
+            tracer.withSpan('first', () => delay(5)),
+            tracer.withSpan('second', () => delay(5)),
+        ]);
+
+        expect(tracer.getTree().map((span) => span.name)).toEqual(['first', 'second']);
+    });
+
+    test('nests the spans started synchronously, and after an await with parentId', async () => {
+        const tracer = new Tracer();
+
+        await tracer.withSpan('request', async (span) => {
+            const query = tracer.withSpan('query', () => delay(1));
+            await query;
+            return tracer.withSpan('render', () => 'html', { parentId: span.id });
+        });
+
+        const [request] = tracer.getTree();
+
+        expect(request.children.map((span) => span.name)).toEqual(['query', 'render']);
+    });
+
+    test('clears the marks and measures of the dropped spans', () => {
+        const tracer = new Tracer({ maxSpans: 2 });
+
+        for (let index = 0; index < 5; index++) {
+            tracer.withSpan('step', () => index);
+        }
+
+        expect(performance.getEntriesByType('measure').filter((entry) => entry.name.startsWith('step:'))).toHaveLength(2);
+        expect(performance.getEntriesByType('mark').filter((entry) => entry.name.startsWith('step:'))).toHaveLength(4);
+
+        tracer.reset();
+
+        expect(performance.getEntriesByType('measure').filter((entry) => entry.name.startsWith('step:'))).toHaveLength(0);
+    });
+});
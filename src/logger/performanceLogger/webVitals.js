@@ -0,0 +1,306 @@
+/**
+ * The thresholds of the Core Web Vitals: a value up to the first one is good, up to the second one needs improvement, above it is poor.
+ * Times are in milliseconds, CLS is a score.
+ * @type {Object<string, Array<number>>}
+ */
+const WEB_VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    FCP: [1800, 3000],
+    TTFB: [800, 1800],
+};
+
+
+/**
+ * The number of longest interactions kept to estimate INP.
+ * @type {number}
+ * @private
+ */
+const MAX_LONGEST_INTERACTIONS = 10;
+
+
+/**
+ * A Web Vital measurement.
+ *
+ * @typedef {Object} WebVital
+ * @property {('LCP'|'CLS'|'INP'|'FCP'|'TTFB')} name - The name of the metric.
+ * @property {number} value - The value, in milliseconds except for CLS.
+ * @property {('good'|'needs-improvement'|'poor')} rating - The rating of the value.
+ */
+
+
+/**
+ * Rate the value of a Web Vital.
+ *
+ * @param {('LCP'|'CLS'|'INP'|'FCP'|'TTFB')} name - The name of the metric.
+ * @param {number} value - The value.
+ *
+ * @returns {('good'|'needs-improvement'|'poor')} The rating.
+ *
+ * @example
+ * rateWebVital('LCP', 3100); // Returns 'needs-improvement'
+ */
+function rateWebVital(name, value) {
+    const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+
+    if (value <= good) {
+        return 'good';
+    }
+
+    return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+
+/**
+ * Collector of the Core Web Vitals of a page: LCP, CLS, INP, FCP and TTFB, computed from `PerformanceObserver` entries.
+ *
+ * - LCP is the latest largest contentful paint, it stops changing after the first interaction.
+ * - CLS is the largest session window of layout shifts: shifts less than 1 second apart, over 5 seconds at most, excluding those after an input.
+ * - INP is the longest interaction, ignoring one for every 50 interactions so rare outliers do not count.
+ * - FCP is the first contentful paint, TTFB the time to the first byte of the navigation.
+ *
+ * The vitals are reported when the page becomes hidden, which is the last moment they are reliably sent,
+ * and again on the next times only if a vital changed in between, e.g. after switching back to the tab.
+ *
+ * @class WebVitalsCollector
+ */
+class WebVitalsCollector {
+
+    /**
+     * Create a WebVitalsCollector instance.
+     *
+     * @param {Object} [options={}] - Collector options.
+     * @param {Function} [options.onReport] - Called with the vitals, by name, and the names of the vitals changed since the last report,
+     * when the page becomes hidden and a vital changed.
+     * @param {number} [options.durationThreshold=40] - The minimum duration of the interactions observed for INP, in milliseconds.
+     *
+     * @example
+     * const collector = new WebVitalsCollector({ onReport: (vitals) => navigator.sendBeacon('/vitals', JSON.stringify(vitals)) });
+     * collector.start();
+     */
+    constructor({ onReport = () => { }, durationThreshold = 40 } = {}) {
+        this.onReport = onReport;
+        this.durationThreshold = durationThreshold;
+
+        this.observers = [];
+        this.onHidden = () => {
+            if (typeof document === 'undefined' || document.visibilityState === 'hidden') {
+                this.report();
+            }
+        };
+
+        this.reset();
+    }
+
+
+    /**
+     * Start collecting. Does nothing if the collector is running.
+     *
+     * @returns {Array<string>} The entry types observed, empty when `PerformanceObserver` is not available.
+     */
+    start() {
+        if (this.observers.length > 0) {
+            return this.observers.map((observer) => observer.type);
+        }
+
+        const supported = typeof PerformanceObserver === 'undefined' ? [] : PerformanceObserver.supportedEntryTypes || [];
+        const types = ['navigation', 'paint', 'largest-contentful-paint', 'layout-shift', 'first-input', 'event'].filter((type) => supported.includes(type));
+
+        types.forEach((type) => {
+            const observer = new PerformanceObserver((list) => list.getEntries().forEach((entry) => this.addEntry(entry)));
+
+            observer.observe(type === 'event' ? { type, buffered: true, durationThreshold: this.durationThreshold } : { type, buffered: true });
+            this.observers.push({ type, observer });
+        });
+
+        if (typeof document !== 'undefined' && typeof document.addEventListener === 'function') {
+            document.addEventListener('visibilitychange', this.onHidden);
+        }
+
+        if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', this.onHidden);
+        }
+
+        return types;
+    }
+
+
+    /**
+     * Stop collecting, after processing the entries not yet delivered. The vitals are kept.
+     *
+     * @returns {void}
+     */
+    stop() {
+        this.observers.forEach(({ observer }) => {
+            observer.takeRecords().forEach((entry) => this.addEntry(entry));
+            observer.disconnect();
+        });
+
+        this.observers = [];
+
+        if (typeof document !== 'undefined' && typeof document.removeEventListener === 'function') {
+            document.removeEventListener('visibilitychange', this.onHidden);
+        }
+
+        if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('pagehide', this.onHidden);
+        }
+    }
+
+
+    /**
+     * Forget every entry received.
+     *
+     * @returns {void}
+     */
+    reset() {
+        this.values = { LCP: null, CLS: null, INP: null, FCP: null, TTFB: null };
+        this.interacted = false;
+        this.reported = {};
+        this.session = { value: 0, firstTime: 0, lastTime: 0 };
+        this.interactionCount = 0;
+        this.longestInteractions = [];
+    }
+
+
+    /**
+     * Add an entry to the vitals. Called by the observers.
+     *
+     * @param {PerformanceEntry} entry - The entry.
+     *
+     * @returns {void}
+     */
+    addEntry(entry) {
+        switch (entry.entryType) {
+            case 'navigation':
+                this.values.TTFB = Math.max(0, entry.responseStart - (entry.activationStart || 0));
+                break;
+            case 'paint':
+                if (entry.name === 'first-contentful-paint') {
+                    this.values.FCP = entry.startTime;
+                }
+                break;
+            case 'largest-contentful-paint':
+                if (!this.interacted) {
+                    this.values.LCP = entry.startTime;
+                }
+                break;
+            case 'layout-shift':
+                this._addLayoutShift(entry);
+                break;
+            case 'first-input':
+            case 'event':
+                this.interacted = this.interacted || entry.entryType === 'first-input' || Boolean(entry.interactionId);
+                this._addInteraction(entry);
+                break;
+            default:
+                break;
+        }
+    }
+
+
+    /**
+     * Get the vitals measured so far.
+     *
+     * @returns {Object<string, WebVital>} The vitals, by name. Metrics without a value yet are missing.
+     *
+     * @example
+     * collector.getVitals();
+     * // { LCP: { name: 'LCP', value: 1830, rating: 'good' }, CLS: { name: 'CLS', value: 0.02, rating: 'good' }, ... }
+     */
+    getVitals() {
+        const vitals = {};
+
+        Object.entries(this.values).forEach(([name, value]) => {
+            if (value !== null) {
+                vitals[name] = { name, value, rating: rateWebVital(name, value) };
+            }
+        });
+
+        return vitals;
+    }
+
+
+    /**
+     * Pass the vitals to `onReport` if a vital changed since the last report. Called when the page becomes hidden.
+     *
+     * @returns {Object<string, WebVital>} The vitals, by name.
+     */
+    report() {
+        this.observers.forEach(({ observer }) => observer.takeRecords().forEach((entry) => this.addEntry(entry)));
+
+        const vitals = this.getVitals();
+        const changed = Object.keys(vitals).filter((name) => this.reported[name] !== vitals[name].value);
+
+        if (changed.length > 0) {
+            changed.forEach((name) => {
+                this.reported[name] = vitals[name].value;
+            });
+
+            this.onReport(vitals, changed);
+        }
+
+        return vitals;
+    }
+
+
+    /**
+     * Add a layout shift to its session window, and keep the largest window as CLS.
+     *
+     * @param {PerformanceEntry} entry - The layout shift entry.
+     *
+     * @returns {void}
+     * @private
+     */
+    _addLayoutShift(entry) {
+        if (entry.hadRecentInput) {
+            return;
+        }
+
+        const session = this.session;
+
+        if (session.value > 0 && entry.startTime - session.lastTime < 1000 && entry.startTime - session.firstTime < 5000) {
+            session.value += entry.value;
+        } else {
+            session.value = entry.value;
+            session.firstTime = entry.startTime;
+        }
+
+        session.lastTime = entry.startTime;
+        this.values.CLS = Math.max(this.values.CLS || 0, session.value);
+    }
+
+
+    /**
+     * Add an interaction, and estimate INP from the longest ones.
+     *
+     * @param {PerformanceEventTiming} entry - The event entry.
+     *
+     * @returns {void}
+     * @private
+     */
+    _addInteraction(entry) {
+        if (!entry.interactionId) {
+            return;
+        }
+
+        const existing = this.longestInteractions.find((interaction) => interaction.id === entry.interactionId);
+
+        if (existing) {
+            existing.duration = Math.max(existing.duration, entry.duration);
+        } else {
+            this.interactionCount += 1;
+            this.longestInteractions.push({ id: entry.interactionId, duration: entry.duration });
+        }
+
+        this.longestInteractions.sort((a, b) => b.duration - a.duration);
+        this.longestInteractions.length = Math.min(this.longestInteractions.length, MAX_LONGEST_INTERACTIONS);
+
+        const index = Math.min(this.longestInteractions.length - 1, Math.floor(this.interactionCount / 50));
+        this.values.INP = this.longestInteractions[index].duration;
+    }
+}
+
+
+export { WebVitalsCollector, WEB_VITALS_THRESHOLDS, rateWebVital };
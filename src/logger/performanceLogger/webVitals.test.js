@@ -0,0 +1,55 @@
+import { WebVitalsCollector } from './webVitals.js';
+import { PerformanceLogger } from './performanceLogger.js';
+
+
+const lcp = (startTime) => ({ entryType: 'largest-contentful-paint', startTime });
+
+
+describe('WebVitalsCollector', () => {
+    test('keeps updating LCP after events that are not interactions', () => {
+        const collector = new WebVitalsCollector();
+
+        collector.addEntry(lcp(800));
+        collector.addEntry({ entryType: 'event', name: 'pointerover', interactionId: 0, duration: 48 });
+        collector.addEntry(lcp(1500));
+
+        expect(collector.getVitals().LCP.value).toBe(1500);
+    });
+
+    test('stops updating LCP after the first interaction', () => {
+        const collector = new WebVitalsCollector();
+
+        collector.addEntry(lcp(800));
+        collector.addEntry({ entryType: 'event', name: 'click', interactionId: 12, duration: 48 });
+        collector.addEntry(lcp(1500));
+
+        expect(collector.getVitals().LCP.value).toBe(800);
+        expect(collector.getVitals().INP.value).toBe(48);
+    });
+
+    test('reports again only when a vital changed', () => {
+        const onReport = jest.fn();
+        const collector = new WebVitalsCollector({ onReport });
+
+        collector.addEntry(lcp(800));
+        collector.report();
+        collector.report();
+        collector.addEntry({ entryType: 'layout-shift', startTime: 900, value: 0.05, hadRecentInput: false });
+        collector.report();
+
+        expect(onReport).toHaveBeenCalledTimes(2);
+        expect(onReport.mock.calls[1][1]).toEqual(['CLS']);
+    });
+
+    test('logs each vital once in PerformanceLogger across tab switches', () => {
+        const logger = new PerformanceLogger('INFO');
+
+        logger.collectWebVitals();
+        logger.webVitalsCollector.addEntry(lcp(800));
+        logger.webVitalsCollector.onHidden();
+        logger.webVitalsCollector.onHidden();
+        logger.stopCollectingWebVitals(true);
+
+        expect(logger.logs.map((record) => record.message)).toEqual(['LCP: 800 (good)']);
+    });
+});
@@ -0,0 +1,330 @@
+import CryptoJS from 'crypto-js';
+import { LoggerValidation as VALIDATE_LOGGER } from "../validator/validation.js";
+
+
+/**
+ * Validator instance for validating redaction options.
+ * @type {VALIDATE_LOGGER}
+ */
+const validator = new VALIDATE_LOGGER();
+
+
+/**
+ * Available redaction strategies.
+ * @readonly
+ * @enum {string}
+ */
+const REDACTION_STRATEGIES = {
+    MASK: 'mask',
+    HASH: 'hash',
+    DROP: 'drop',
+};
+
+
+/**
+ * Check a card number with the Luhn algorithm, to tell card numbers from other long numbers.
+ *
+ * @param {string} value - The matched digits, possibly separated by spaces or dashes.
+ *
+ * @returns {boolean} `true` if the checksum is valid.
+ * @private
+ */
+function isLuhnValid(value) {
+    const digits = value.replace(/\D/g, '');
+    let sum = 0;
+
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+
+        if (index % 2 === 1) {
+            digit *= 2;
+            digit = digit > 9 ? digit - 9 : digit;
+        }
+
+        sum += digit;
+    }
+
+    return sum % 10 === 0;
+}
+
+
+/**
+ * Built-in patterns of sensitive values, usable by name in the `patterns` option.
+ * @readonly
+ * @type {Object<string, {regExp: RegExp, validate?: Function}>}
+ */
+const REDACTION_PATTERNS = {
+    email: { regExp: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    creditCard: { regExp: /\b\d(?:[ -]?\d){12,18}\b/g, validate: isLuhnValid },
+    jwt: { regExp: /\beyJ[A-Za-z0-9_-]*\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+};
+
+
+/**
+ * Redacts sensitive values from log records: values at given key paths, and substrings matching given patterns.
+ *
+ * Key paths are dot-separated key names, matched without case. A path made of a single key, such as 'password',
+ * matches that key at any depth. A longer path, such as 'user.address.street', starts at the root of the record context,
+ * and '*' matches any single key or array index.
+ *
+ * Each value is masked, hashed with HMAC-SHA-256 or dropped, depending on the strategy of its rule.
+ * Class instances and objects without prototype are redacted like plain objects, and keep their prototype.
+ *
+ * @class Redactor
+ */
+class Redactor {
+
+    /**
+     * Create a Redactor instance.
+     *
+     * @param {Object} [options={}] - Redaction rules.
+     * @param {Array<string|{path: string, strategy: string}>} [options.paths=[]] - The key paths of the sensitive fields.
+     * @param {Array<string|RegExp|{pattern: string|RegExp, strategy: string}>} [options.patterns=[]] - The sensitive patterns:
+     * 'email', 'creditCard', 'jwt' or regular expressions. They are searched in the message, the string fields and the error message.
+     * @param {('mask'|'hash'|'drop')} [options.strategy='mask'] - The strategy of the rules that do not set their own.
+     * @param {string} [options.mask='[REDACTED]'] - The text replacing masked values.
+     * @param {string} [options.hashKey] - The secret key of the hashes. A random key is generated by default,
+     * so the same value only gives the same hash within one redactor: set a key to correlate hashes across processes.
+     *
+     * @throws {Error} If the options are invalid or a pattern name is unknown.
+     *
+     * @example
+     * const redactor = new Redactor({
+     *     paths: ['password', 'token', { path: 'user.email', strategy: 'hash' }],
+     *     patterns: ['email', 'creditCard', 'jwt', /\b\d{3}-\d{2}-\d{4}\b/],
+     *     hashKey: process.env.LOG_HASH_KEY,
+     * });
+     */
+    constructor({ paths = [], patterns = [], strategy = REDACTION_STRATEGIES.MASK, mask = '[REDACTED]', hashKey } = {}) {
+        validator._validateRedactionOptions({ paths, patterns, strategy, mask, hashKey });
+
+        this.strategy = strategy;
+        this.mask = mask;
+
+        /**
+         * The secret key of the HMAC hashes, so hashes of emails or card numbers cannot be reversed with a dictionary.
+         * @type {string}
+         * @private
+         */
+        this.hashKey = hashKey || CryptoJS.lib.WordArray.random(32).toString(CryptoJS.enc.Hex);
+
+        this.paths = paths.map((rule) => {
+            const { path, strategy: ruleStrategy = strategy } = typeof rule === 'string' ? { path: rule } : rule;
+            return { segments: path.toLowerCase().split('.'), strategy: ruleStrategy };
+        });
+
+        this.patterns = patterns.map((rule) => {
+            const { pattern, strategy: ruleStrategy = strategy } = typeof rule === 'string' || rule instanceof RegExp ? { pattern: rule } : rule;
+
+            if (typeof pattern === 'string') {
+                if (!REDACTION_PATTERNS[pattern]) {
+                    throw new Error(`Invalid parameters: "${pattern}" is not a known redaction pattern.`);
+                }
+
+                return { ...REDACTION_PATTERNS[pattern], strategy: ruleStrategy };
+            }
+
+            const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+            return { regExp: new RegExp(pattern.source, flags), strategy: ruleStrategy };
+        });
+    }
+
+
+    /**
+     * Redact a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The record, left untouched.
+     *
+     * @returns {import('../base/logRecord.js').LogRecord} A redacted copy of the record.
+     */
+    redactRecord(record) {
+        return {
+            ...record,
+            message: this.redactString(record.message),
+            context: this.redactValue(record.context),
+            error: record.error ? this._redactError(record.error) : record.error,
+        };
+    }
+
+
+    /**
+     * Redact a value: the fields at sensitive key paths, and the sensitive patterns of every string.
+     *
+     * @param {*} value - The value, usually an object of context fields. It is left untouched.
+     *
+     * @returns {*} A redacted copy of the value.
+     *
+     * @example
+     * redactor.redactValue({ username: 'john', password: 'hunter2', contact: 'john@example.com' });
+     * // { username: 'john', password: '[REDACTED]', contact: '[REDACTED]' }
+     */
+    redactValue(value) {
+        return this._redact(value, [], new WeakSet());
+    }
+
+
+    /**
+     * Replace the sensitive patterns of a string.
+     *
+     * @param {string} text - The text.
+     *
+     * @returns {string} The redacted text.
+     */
+    redactString(text) {
+        return this.patterns.reduce((result, { regExp, validate, strategy }) => result.replace(regExp, (match) => {
+            if (validate && !validate(match)) {
+                return match;
+            }
+
+            return strategy === REDACTION_STRATEGIES.DROP ? '' : this._replace(match, strategy);
+        }), text);
+    }
+
+
+    /**
+     * Redact a value found at a key path.
+     *
+     * @param {*} value - The value.
+     * @param {Array<string>} path - The keys leading to the value, in lower case.
+     * @param {WeakSet<Object>} seen - The objects being redacted, to stop on circular references.
+     *
+     * @returns {*} The redacted value.
+     * @private
+     */
+    _redact(value, path, seen) {
+        if (typeof value === 'string') {
+            return this.redactString(value);
+        }
+
+        if (value === null || typeof value !== 'object' || value instanceof Date || value instanceof RegExp
+            || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            return value;
+        }
+
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+
+        if (value instanceof Error) {
+            return this._redactError(value);
+        }
+
+        seen.add(value);
+
+        let redacted;
+
+        if (typeof value.toJSON === 'function') {
+            redacted = this._redact(value.toJSON(), path, seen);
+        } else if (value instanceof Map) {
+            redacted = new Map(this._redactEntries([...value].map(([key, item]) => [String(key), item]), path, seen));
+        } else if (value instanceof Set) {
+            redacted = new Set([...value].map((item) => this._redact(item, path, seen)));
+        } else if (Array.isArray(value)) {
+            redacted = this._redactEntries(Object.entries(value), path, seen).map(([, item]) => item);
+        } else {
+            redacted = this._redactEntries(Object.entries(value), path, seen).reduce((copy, [key, item]) => Object.defineProperty(copy, key, {
+                value: item, enumerable: true, writable: true, configurable: true,
+            }), Object.create(Object.getPrototypeOf(value)));
+        }
+
+        seen.delete(value);
+        return redacted;
+    }
+
+
+    /**
+     * Redact the entries of an object, a Map or an array.
+     *
+     * @param {Array<Array>} entries - The entries, as `[key, value]` pairs.
+     * @param {Array<string>} path - The keys leading to the entries, in lower case.
+     * @param {WeakSet<Object>} seen - The objects being redacted, to stop on circular references.
+     *
+     * @returns {Array<Array>} The redacted entries, without the dropped ones.
+     * @private
+     */
+    _redactEntries(entries, path, seen) {
+        return entries.flatMap(([key, item]) => {
+            const itemPath = [...path, key.toLowerCase()];
+            const rule = this.paths.find(({ segments }) => this._matchesPath(segments, itemPath));
+
+            if (!rule) {
+                return [[key, this._redact(item, itemPath, seen)]];
+            }
+
+            return rule.strategy === REDACTION_STRATEGIES.DROP ? [] : [[key, this._replace(item, rule.strategy)]];
+        });
+    }
+
+
+    /**
+     * Check if a key path matches a rule.
+     *
+     * @param {Array<string>} segments - The segments of the rule.
+     * @param {Array<string>} path - The key path.
+     *
+     * @returns {boolean} `true` if the path matches.
+     * @private
+     */
+    _matchesPath(segments, path) {
+        if (segments.length === 1) {
+            return segments[0] === '*' || segments[0] === path[path.length - 1];
+        }
+
+        return segments.length === path.length && segments.every((segment, index) => segment === '*' || segment === path[index]);
+    }
+
+
+    /**
+     * Mask or hash a sensitive value. Hashes are keyed with `hashKey`.
+     *
+     * @param {*} value - The value.
+     * @param {('mask'|'hash')} strategy - The strategy.
+     *
+     * @returns {string} The replacement.
+     * @private
+     */
+    _replace(value, strategy) {
+        if (strategy === REDACTION_STRATEGIES.HASH) {
+            const text = typeof value === 'string' ? value : JSON.stringify(value);
+            return CryptoJS.HmacSHA256(String(text), this.hashKey).toString(CryptoJS.enc.Hex);
+        }
+
+        return this.mask;
+    }
+
+
+    /**
+     * Redact the message and the stack of an error.
+     *
+     * @param {Error} error - The error, left untouched.
+     *
+     * @returns {Error} A redacted copy of the error, of the same class.
+     * @private
+     */
+    _redactError(error) {
+        const copy = Object.create(Object.getPrototypeOf(error));
+
+        Object.defineProperties(copy, {
+            name: { value: error.name, writable: true, configurable: true },
+            message: { value: this.redactString(String(error.message)), writable: true, configurable: true },
+            stack: { value: error.stack ? this.redactString(error.stack) : error.stack, writable: true, configurable: true },
+        });
+
+        return copy;
+    }
+}
+
+
+/**
+ * Create a redactor from redaction options, or return the given redactor.
+ *
+ * @param {Redactor|Object} redaction - A redactor, or the options of a new one.
+ *
+ * @returns {Redactor} The redactor.
+ */
+function createRedactor(redaction) {
+    return redaction instanceof Redactor ? redaction : new Redactor(redaction);
+}
+
+
+export { Redactor, createRedactor, REDACTION_STRATEGIES, REDACTION_PATTERNS };
@@ -0,0 +1,103 @@
+import CryptoJS from 'crypto-js';
+import { Redactor } from './redactor.js';
+import { LoggerBase } from '../base/loggerBase.js';
+import { ConsoleLogger } from '../consoleLogger/consoleLogger.js';
+
+
+class Credentials {
+    constructor(user, password) {
+        this.user = user;
+        this.password = password;
+    }
+
+    describe() {
+        return this.user;
+    }
+}
+
+
+describe('Redactor', () => {
+    const redactor = new Redactor({ paths: ['password'], patterns: ['email'] });
+
+    test('redacts class instances and keeps their prototype', () => {
+        const redacted = redactor.redactValue({ credentials: new Credentials('john', 'hunter2') });
+
+        expect(redacted.credentials).toBeInstanceOf(Credentials);
+        expect(redacted.credentials.password).toBe('[REDACTED]');
+        expect(redacted.credentials.describe()).toBe('john');
+    });
+
+    test('redacts objects without prototype', () => {
+        const fields = Object.assign(Object.create(null), { password: 'hunter2', contact: 'john@example.com' });
+        const redacted = redactor.redactValue(fields);
+
+        expect(Object.getPrototypeOf(redacted)).toBeNull();
+        expect({ ...redacted }).toEqual({ password: '[REDACTED]', contact: '[REDACTED]' });
+    });
+
+    test('redacts the JSON form of objects with toJSON, and keeps dates', () => {
+        const at = new Date();
+        const session = { toJSON: () => ({ password: 'hunter2', id: 7 }) };
+
+        expect(redactor.redactValue({ session, at })).toEqual({ session: { password: '[REDACTED]', id: 7 }, at });
+    });
+
+    test('redacts Maps, Sets and errors, and stops on circular references', () => {
+        const fields = { headers: new Map([['password', 'hunter2']]), emails: new Set(['john@example.com']), error: new Error('john@example.com') };
+        fields.self = fields;
+
+        const redacted = redactor.redactValue(fields);
+
+        expect(redacted.headers.get('password')).toBe('[REDACTED]');
+        expect([...redacted.emails]).toEqual(['[REDACTED]']);
+        expect(redacted.error).toBeInstanceOf(Error);
+        expect(redacted.error.message).toBe('[REDACTED]');
+        expect(redacted.self).toBe('[Circular]');
+    });
+
+    test('hashes with HMAC and the configured key', () => {
+        const hashing = new Redactor({ paths: [{ path: 'email', strategy: 'hash' }], hashKey: 'secret' });
+        const { email } = hashing.redactValue({ email: 'john@example.com' });
+
+        expect(email).toBe(CryptoJS.HmacSHA256('john@example.com', 'secret').toString(CryptoJS.enc.Hex));
+        expect(email).not.toBe(CryptoJS.SHA256('john@example.com').toString(CryptoJS.enc.Hex));
+    });
+
+    test('hashes consistently within a redactor without a configured key', () => {
+        const hashing = new Redactor({ paths: [{ path: 'email', strategy: 'hash' }] });
+        const other = new Redactor({ paths: [{ path: 'email', strategy: 'hash' }] });
+
+        expect(hashing.redactValue({ email: 'a@b.co' })).toEqual(hashing.redactValue({ email: 'a@b.co' }));
+        expect(other.redactValue({ email: 'a@b.co' })).not.toEqual(hashing.redactValue({ email: 'a@b.co' }));
+    });
+
+    test('redacts class instances in the records of a logger', () => {
+        const logger = new LoggerBase('INFO', { formatter: 'json', redaction: { paths: ['password'] } });
+        const record = logger.addLog('Sign-in', 'INFO', { credentials: new Credentials('john', 'hunter2') });
+
+        expect(logger.formatLog(record)).not.toContain('hunter2');
+    });
+});
+
+
+describe('ConsoleLogger static methods', () => {
+    afterEach(() => {
+        ConsoleLogger.setRedaction(null);
+        jest.restoreAllMocks();
+    });
+
+    test('print with the static redaction rules', () => {
+        const log = jest.spyOn(console, 'log').mockImplementation(() => { });
+        const dir = jest.spyOn(console, 'dir').mockImplementation(() => { });
+        const error = jest.spyOn(console, 'error').mockImplementation(() => { });
+
+        ConsoleLogger.setRedaction({ paths: ['password'], patterns: ['email'] });
+        ConsoleLogger.log('Sign-in by john@example.com');
+        ConsoleLogger.dir({ password: 'hunter2' });
+        ConsoleLogger.assert(false, 'No account for john@example.com');
+
+        expect(log).toHaveBeenCalledWith('Sign-in by [REDACTED]');
+        expect(dir).toHaveBeenCalledWith({ password: '[REDACTED]' });
+        expect(error.mock.calls[0][0].message).toBe('No account for [REDACTED]');
+    });
+});
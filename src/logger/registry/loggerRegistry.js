@@ -0,0 +1,302 @@
+import { LOG_LEVEL_PRIORITIES } from "../base/logLevels.js";
+
+
+/**
+ * Namespace patterns enabling loggers.
+ * @type {Array<RegExp>}
+ * @private
+ */
+let includedNamespaces = [];
+
+/**
+ * Namespace patterns silencing loggers.
+ * @type {Array<RegExp>}
+ * @private
+ */
+let excludedNamespaces = [];
+
+/**
+ * Log levels set per namespace pattern, in the order they were set.
+ * @type {Array<{pattern: string, regExp: RegExp, level: string}>}
+ * @private
+ */
+let namespaceLevels = [];
+
+
+/**
+ * Global registry controlling which logger namespaces are enabled, and at which log level.
+ *
+ * Namespaces are logger names made of segments separated by colons, such as 'app:checkout:payment'.
+ * Patterns follow the DEBUG environment variable convention: they are separated by commas or spaces,
+ * '*' matches any sequence of characters and a leading '-' silences the matching namespaces.
+ * A pattern followed by '=LEVEL', such as 'storage:*=DEBUG', sets the log level of the matching namespaces.
+ *
+ * @class LoggerRegistry
+ */
+class LoggerRegistry {
+
+    /**
+     * Enable the logger namespaces matching the given patterns, and silence every other named logger.
+     *
+     * @param {string} patterns - The patterns, e.g. 'app:*,-app:checkout:*'.
+     *
+     * @throws {Error} If `patterns` is not a string.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerRegistry.enable('app:*');                     // Every namespace under 'app'
+     * LoggerRegistry.enable('app:*,-app:checkout:*');     // Every namespace under 'app', except the checkout ones
+     * LoggerRegistry.enable('*,-storage');                // Everything but the 'storage' namespace
+     *
+     * @output
+     * // No output in the console. Loggers whose namespace does not match are silenced.
+     *
+     * @description
+     * The `enable` function replaces the current patterns. Loggers without a name are never affected.
+     * Exclusions take precedence over inclusions.
+     */
+    static enable(patterns) {
+        if (typeof patterns !== 'string') {
+            throw new Error('Invalid parameters: "patterns" must be a string.');
+        }
+
+        includedNamespaces = [];
+        excludedNamespaces = [];
+
+        patterns.split(/[\s,]+/).filter(Boolean).forEach((pattern) => {
+            if (pattern.startsWith('-')) {
+                excludedNamespaces.push(patternToRegExp(pattern.slice(1)));
+            } else {
+                includedNamespaces.push(patternToRegExp(pattern));
+            }
+        });
+    }
+
+
+    /**
+     * Remove every enable and silence pattern, enabling every logger again.
+     * The log levels set per namespace are kept.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerRegistry.disable();
+     */
+    static disable() {
+        includedNamespaces = [];
+        excludedNamespaces = [];
+    }
+
+
+    /**
+     * Set the log level of the logger namespaces matching a pattern.
+     *
+     * @param {string} pattern - The namespace pattern, e.g. 'storage:*'.
+     * @param {string} level - The log level of the matching namespaces.
+     *
+     * @throws {Error} If the pattern is not a non-empty string or the level is unknown.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerRegistry.setLevel('storage:*', 'DEBUG');
+     * LoggerRegistry.setLevel('dom:*', 'WARN');
+     * LoggerRegistry.setLevel('dom:animations', 'SILENT');
+     *
+     * @output
+     * // No output in the console. Loggers whose namespace matches use the new level instead of their own.
+     *
+     * @description
+     * The `setLevel` function overrides the level set with `LoggerBase.setLogLevel` for every matching logger, including loggers created later.
+     * When several patterns match a namespace, the one set last wins. Setting a pattern again replaces its level.
+     */
+    static setLevel(pattern, level) {
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+            throw new Error('Invalid parameters: "pattern" must be a non-empty string.');
+        }
+
+        if (LOG_LEVEL_PRIORITIES[level] === undefined) {
+            throw new Error(`Invalid parameters: "${level}" is not a valid log level.`);
+        }
+
+        namespaceLevels = namespaceLevels.filter((entry) => entry.pattern !== pattern);
+        namespaceLevels.push({ pattern, regExp: patternToRegExp(pattern), level });
+    }
+
+
+    /**
+     * Get the log level set for a logger namespace.
+     *
+     * @param {?string} namespace - The namespace of the logger.
+     *
+     * @returns {string|null} The level of the last pattern matching the namespace, or `null` if none matches.
+     *
+     * @example
+     * LoggerRegistry.configure('storage:*=DEBUG,dom:*=WARN');
+     * LoggerRegistry.getLevel('storage:session'); // Returns 'DEBUG'
+     * LoggerRegistry.getLevel('network');         // Returns null
+     */
+    static getLevel(namespace) {
+        if (!namespace) {
+            return null;
+        }
+
+        const matches = namespaceLevels.filter((entry) => entry.regExp.test(namespace));
+
+        return matches.length > 0 ? matches[matches.length - 1].level : null;
+    }
+
+
+    /**
+     * Replace the whole configuration of the registry.
+     *
+     * @param {string|Object<string, string>} config - A pattern string such as 'storage:*=DEBUG,dom:*=WARN,-analytics',
+     * or an object mapping namespace patterns to log levels, such as `{ 'storage:*': 'DEBUG', 'dom:*': 'WARN' }`.
+     *
+     * @throws {Error} If the configuration is not a string or an object, or if a level is unknown.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerRegistry.configure('storage:*=DEBUG,dom:*=WARN');
+     * LoggerRegistry.configure({ 'storage:*': 'DEBUG', 'dom:*': 'WARN' });
+     * LoggerRegistry.configure('app:*,-app:analytics,app:checkout:*=TRACE');
+     *
+     * @output
+     * // No output in the console. Updates which namespaces are enabled and at which level.
+     *
+     * @description
+     * The `configure` function clears the current patterns and levels, then applies `config`.
+     * In a pattern string, entries of the form 'pattern=LEVEL' set levels, and the other entries are passed to `enable`.
+     * When the string holds no enable or silence entry, every namespace stays enabled.
+     */
+    static configure(config) {
+        if (typeof config !== 'string' && (config === null || typeof config !== 'object')) {
+            throw new Error('Invalid parameters: "config" must be a string or an object.');
+        }
+
+        LoggerRegistry.reset();
+
+        if (typeof config === 'object') {
+            Object.entries(config).forEach(([pattern, level]) => LoggerRegistry.setLevel(pattern, level));
+            return;
+        }
+
+        const entries = config.split(/[\s,]+/).filter(Boolean);
+        const levelEntries = entries.filter((entry) => entry.includes('='));
+        const enableEntries = entries.filter((entry) => !entry.includes('='));
+
+        levelEntries.forEach((entry) => {
+            const [pattern, level] = entry.split('=');
+            LoggerRegistry.setLevel(pattern, level.toUpperCase());
+        });
+
+        LoggerRegistry.enable(enableEntries.join(','));
+    }
+
+
+    /**
+     * Configure the registry from the environment: `process.env.DEBUG` under Node, or a localStorage key in the browser.
+     *
+     * @param {Object} [options={}] - Where to read the configuration from.
+     * @param {string} [options.envVariable='DEBUG'] - The environment variable read under Node.
+     * @param {string} [options.storageKey='debug'] - The localStorage key read in the browser.
+     *
+     * @returns {boolean} `true` if a configuration was found and applied.
+     *
+     * @example
+     * // Node: DEBUG='storage:*=DEBUG,dom:*=WARN' node app.js
+     * // Browser: localStorage.setItem('debug', 'storage:*=DEBUG,dom:*=WARN');
+     * LoggerRegistry.configureFromEnvironment();
+     *
+     * @output
+     * // No output in the console. Applies the configuration with `configure`.
+     *
+     * @description
+     * The `configureFromEnvironment` function looks for the environment variable first, then for the localStorage key.
+     * The value is read as a pattern string, see `configure`. Nothing changes when neither is set.
+     */
+    static configureFromEnvironment({ envVariable = 'DEBUG', storageKey = 'debug' } = {}) {
+        let config = null;
+
+        if (typeof process !== 'undefined' && process.env && process.env[envVariable]) {
+            config = process.env[envVariable];
+        } else if (typeof localStorage !== 'undefined') {
+            config = localStorage.getItem(storageKey);
+        }
+
+        if (!config) {
+            return false;
+        }
+
+        LoggerRegistry.configure(config);
+        return true;
+    }
+
+
+    /**
+     * Remove every pattern and every namespace level.
+     *
+     * @returns {void}
+     *
+     * @example
+     * LoggerRegistry.reset();
+     */
+    static reset() {
+        includedNamespaces = [];
+        excludedNamespaces = [];
+        namespaceLevels = [];
+    }
+
+
+    /**
+     * Check if a logger namespace is enabled.
+     *
+     * @param {?string} namespace - The namespace of the logger.
+     *
+     * @returns {boolean} `true` if the namespace is enabled.
+     *
+     * @example
+     * LoggerRegistry.enable('app:*,-app:checkout:*');
+     * LoggerRegistry.isEnabled('app:storage');          // Returns true
+     * LoggerRegistry.isEnabled('app:checkout:payment'); // Returns false
+     * LoggerRegistry.isEnabled(null);                   // Returns true
+     *
+     * @description
+     * Loggers without a namespace are always enabled. When no pattern is set every namespace is enabled.
+     * Otherwise a namespace is enabled if it matches an included pattern and no excluded pattern.
+     */
+    static isEnabled(namespace) {
+        if (!namespace) {
+            return true;
+        }
+
+        if (excludedNamespaces.some((regExp) => regExp.test(namespace))) {
+            return false;
+        }
+
+        if (includedNamespaces.length === 0) {
+            return true;
+        }
+
+        return includedNamespaces.some((regExp) => regExp.test(namespace));
+    }
+}
+
+
+/**
+ * Convert a namespace pattern into a regular expression.
+ *
+ * @param {string} pattern - The pattern, where '*' matches any sequence of characters.
+ *
+ * @returns {RegExp} The regular expression matching the whole namespace.
+ * @private
+ */
+function patternToRegExp(pattern) {
+    const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+
+export { LoggerRegistry };
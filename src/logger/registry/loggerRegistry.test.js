@@ -0,0 +1,89 @@
+import { LoggerBase } from '../base/loggerBase.js';
+import { LoggerRegistry } from './loggerRegistry.js';
+
+
+describe('LoggerRegistry', () => {
+    afterEach(() => {
+        LoggerRegistry.reset();
+        delete process.env.TEST_DEBUG;
+    });
+
+    test('gives the level of the pattern set last when several match', () => {
+        LoggerRegistry.setLevel('storage:*', 'DEBUG');
+        LoggerRegistry.setLevel('storage:session', 'WARN');
+
+        expect(LoggerRegistry.getLevel('storage:session')).toBe('WARN');
+        expect(LoggerRegistry.getLevel('storage:cache')).toBe('DEBUG');
+
+        LoggerRegistry.setLevel('*', 'ERROR');
+
+        expect(LoggerRegistry.getLevel('storage:session')).toBe('ERROR');
+        expect(LoggerRegistry.getLevel('network')).toBe('ERROR');
+    });
+
+    test('moves a pattern set again after the others', () => {
+        LoggerRegistry.setLevel('storage:*', 'DEBUG');
+        LoggerRegistry.setLevel('storage:session', 'WARN');
+        LoggerRegistry.setLevel('storage:*', 'TRACE');
+
+        expect(LoggerRegistry.getLevel('storage:session')).toBe('TRACE');
+        expect(LoggerRegistry.getLevel('storage')).toBeNull();
+        expect(LoggerRegistry.getLevel(null)).toBeNull();
+    });
+
+    test('matches whole namespaces, reading the other characters literally', () => {
+        LoggerRegistry.setLevel('app.v2:*', 'DEBUG');
+
+        expect(LoggerRegistry.getLevel('app.v2:checkout')).toBe('DEBUG');
+        expect(LoggerRegistry.getLevel('appxv2:checkout')).toBeNull();
+        expect(LoggerRegistry.getLevel('my:app.v2:checkout')).toBeNull();
+    });
+
+    test('lets exclusions take precedence over inclusions', () => {
+        LoggerRegistry.enable('app:*,-app:checkout:*');
+
+        expect(LoggerRegistry.isEnabled('app:storage')).toBe(true);
+        expect(LoggerRegistry.isEnabled('app:checkout:payment')).toBe(false);
+        expect(LoggerRegistry.isEnabled('network')).toBe(false);
+        expect(LoggerRegistry.isEnabled(null)).toBe(true);
+
+        LoggerRegistry.disable();
+
+        expect(LoggerRegistry.isEnabled('network')).toBe(true);
+    });
+
+    test('configures levels and enabled namespaces from a string or an object', () => {
+        LoggerRegistry.configure('app:*, -app:analytics app:checkout:*=trace');
+
+        expect(LoggerRegistry.getLevel('app:checkout:payment')).toBe('TRACE');
+        expect(LoggerRegistry.isEnabled('app:analytics')).toBe(false);
+
+        LoggerRegistry.configure({ 'dom:*': 'WARN' });
+
+        expect(LoggerRegistry.getLevel('app:checkout:payment')).toBeNull();
+        expect(LoggerRegistry.isEnabled('app:analytics')).toBe(true);
+        expect(LoggerRegistry.getLevel('dom:tree')).toBe('WARN');
+        expect(() => LoggerRegistry.configure({ 'dom:*': 'LOUD' })).toThrow('Invalid parameters');
+        expect(() => LoggerRegistry.configure(42)).toThrow('Invalid parameters');
+    });
+
+    test('configures the registry from an environment variable', () => {
+        expect(LoggerRegistry.configureFromEnvironment({ envVariable: 'TEST_DEBUG' })).toBe(false);
+
+        process.env.TEST_DEBUG = 'storage:*=DEBUG';
+
+        expect(LoggerRegistry.configureFromEnvironment({ envVariable: 'TEST_DEBUG' })).toBe(true);
+        expect(LoggerRegistry.getLevel('storage:session')).toBe('DEBUG');
+    });
+
+    test('overrides the level of the matching loggers, and silences the excluded ones', () => {
+        const storage = new LoggerBase('ERROR', { name: 'storage:session' });
+        const analytics = new LoggerBase('DEBUG', { name: 'analytics' });
+
+        LoggerRegistry.configure('storage:*=DEBUG,-analytics');
+
+        expect(storage.getEffectiveLogLevel()).toBe('DEBUG');
+        expect(storage.isLevelEnabled('DEBUG')).toBe(true);
+        expect(analytics.isLevelEnabled('ERROR')).toBe(false);
+    });
+});
@@ -0,0 +1,386 @@
+import { saveAs } from 'file-saver';
+import { createZip } from "./zip.js";
+
+
+/**
+ * Available rollover intervals.
+ * @readonly
+ * @enum {string}
+ */
+const ROTATION_INTERVALS = {
+    HOURLY: 'hourly',
+    DAILY: 'daily',
+};
+
+
+/**
+ * Available segment naming schemes.
+ * @readonly
+ * @enum {string}
+ */
+const SEGMENT_NAMING = {
+    NUMBERED: 'numbered',
+    DATED: 'dated',
+};
+
+
+/**
+ * Size- and time-based rotation of log records into segments.
+ *
+ * Records are appended to the current segment until a policy limit is reached, then a new segment is started.
+ * Segments are named after the log file name: 'app.log', 'app.1.log', 'app.2.log' (numbered, 1 being the most recent archive),
+ * or 'app-2026-10-19.log', 'app-2026-10-19-17.log' (dated, by day or hour).
+ *
+ * @class LogRotation
+ */
+class LogRotation {
+
+    /**
+     * Create a LogRotation instance.
+     *
+     * @param {Object} options - Rotation policy.
+     * @param {string} options.fileName - The name of the log file, used to name the segments.
+     * @param {number} [options.maxEntries=Infinity] - The maximum number of records per segment.
+     * @param {number} [options.maxBytes=Infinity] - The maximum size of a segment, in bytes of formatted text.
+     * @param {('hourly'|'daily')} [options.interval] - Start a new segment every hour or every day, in local time.
+     * @param {('numbered'|'dated')} [options.naming] - The naming scheme, 'dated' when an interval is set, 'numbered' otherwise.
+     * @param {number} [options.maxSegments=5] - The maximum number of segments kept, including the current one.
+     * @param {Function} [options.onDrop] - Called with the records of the segments dropped beyond `maxSegments`.
+     * @param {Function} [options.onRotate] - Called after a new segment replaced the current one.
+     *
+     * @throws {Error} If the policy is invalid.
+     *
+     * @example
+     * const rotation = new LogRotation({ fileName: 'app.log', maxBytes: 1024 * 1024, interval: 'daily', maxSegments: 7 });
+     */
+    constructor({ fileName, maxEntries = Infinity, maxBytes = Infinity, interval = null, naming, maxSegments = 5, onDrop = () => { }, onRotate = () => { } }) {
+        if (typeof fileName !== 'string' || fileName.length === 0) {
+            throw new Error('Invalid parameters: "fileName" must be a non-empty string.');
+        }
+
+        if (interval !== null && !Object.values(ROTATION_INTERVALS).includes(interval)) {
+            throw new Error(`Invalid parameters: "interval" must be one of ${Object.values(ROTATION_INTERVALS).join(', ')}.`);
+        }
+
+        this.fileName = fileName;
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.interval = interval;
+        this.naming = naming || (interval ? SEGMENT_NAMING.DATED : SEGMENT_NAMING.NUMBERED);
+        this.maxSegments = maxSegments;
+        this.onDrop = onDrop;
+        this.onRotate = onRotate;
+
+        if (!Object.values(SEGMENT_NAMING).includes(this.naming)) {
+            throw new Error(`Invalid parameters: "naming" must be one of ${Object.values(SEGMENT_NAMING).join(', ')}.`);
+        }
+
+        /**
+         * Segments, oldest first.
+         * @type {Array<{records: Array<Object>, lines: Array<string>, bytes: number, period: string, number: number, resumedEntries: number}>}
+         * @private
+         */
+        this.segments = [];
+    }
+
+
+    /**
+     * Append a record to the current segment, starting a new segment first if a limit is reached.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record, used to measure the segment size.
+     *
+     * @returns {void}
+     */
+    append(record, line) {
+        const bytes = new TextEncoder().encode(`${line}\n`).length;
+        const period = this._getPeriod(new Date(record.timestamp));
+        const current = this.segments[this.segments.length - 1];
+
+        if (!current || this._isFull(current, bytes, period)) {
+            this._startSegment(period);
+        }
+
+        const segment = this.segments[this.segments.length - 1];
+        segment.records.push(record);
+        segment.lines.push(line);
+        segment.bytes += bytes;
+    }
+
+
+    /**
+     * Start a new segment if the interval of the current segment is over.
+     *
+     * @param {Date} [date=new Date()] - The current date.
+     *
+     * @returns {boolean} `true` if a new segment was started.
+     *
+     * @description
+     * Segments are normally rolled over when a record is appended. Call this method from a timer
+     * to roll over at the start of each hour or day even when nothing is logged.
+     */
+    rotateIfNeeded(date = new Date()) {
+        const current = this.segments[this.segments.length - 1];
+        const period = this._getPeriod(date);
+
+        if (!current || !this.interval || current.period === period || this._countEntries(current) === 0) {
+            return false;
+        }
+
+        this._startSegment(period);
+        return true;
+    }
+
+
+    /**
+     * Start the current segment from the content its file already holds, e.g. after a restart of the process,
+     * so the limits count the records written before. Does nothing once a segment exists.
+     *
+     * @param {Function} measure - Receives the file name of the current segment, returns `{ entries, bytes }`: its number of records and its size.
+     * @param {Date} [date=new Date()] - The current date.
+     *
+     * @returns {void}
+     *
+     * @example
+     * rotation.resume((fileName) => ({ entries: 120, bytes: 9600 }));
+     */
+    resume(measure, date = new Date()) {
+        if (this.segments.length > 0) {
+            return;
+        }
+
+        this.segments.push({ records: [], lines: [], bytes: 0, period: this._getPeriod(date), number: 0, resumedEntries: 0 });
+
+        const { entries, bytes } = measure(this.getSegment(0).name);
+        Object.assign(this.segments[0], { bytes, resumedEntries: entries });
+    }
+
+
+    /**
+     * Get the file name of a numbered segment.
+     *
+     * @param {number} number - The number of the segment, 0 being the current segment.
+     *
+     * @returns {string} The file name, e.g. 'app.log' or 'app.2.log'.
+     */
+    getNumberedName(number) {
+        if (number === 0) {
+            return this.fileName;
+        }
+
+        const extensionIndex = this.fileName.lastIndexOf('.');
+
+        return extensionIndex > 0
+            ? `${this.fileName.slice(0, extensionIndex)}.${number}${this.fileName.slice(extensionIndex)}`
+            : `${this.fileName}.${number}`;
+    }
+
+
+    /**
+     * Get the segments, the current one first.
+     *
+     * @returns {Array<{name: string, records: Array<Object>, lines: Array<string>, bytes: number}>} The segments and their file names.
+     *
+     * @example
+     * rotation.getSegments().map(segment => segment.name); // ['app.log', 'app.1.log', 'app.2.log']
+     */
+    getSegments() {
+        const names = this._getNames();
+
+        return this.segments
+            .map((segment, index) => ({ name: names[index], records: segment.records, lines: segment.lines, bytes: segment.bytes }))
+            .reverse();
+    }
+
+
+    /**
+     * Get one segment.
+     *
+     * @param {string|number} segment - The file name of the segment, or its index (0 being the current segment).
+     *
+     * @returns {{name: string, records: Array<Object>, lines: Array<string>, bytes: number}|null} The segment, or `null` if it does not exist.
+     */
+    getSegment(segment) {
+        const segments = this.getSegments();
+
+        if (typeof segment === 'number') {
+            return segments[segment] || null;
+        }
+
+        return segments.find((entry) => entry.name === segment) || null;
+    }
+
+
+    /**
+     * Create a zip archive holding every segment.
+     *
+     * @param {Function} [format] - Formats a record, the lines measured when appending are used by default.
+     *
+     * @returns {Uint8Array} The zip archive.
+     */
+    toZip(format) {
+        return createZip(this.getSegments().map(({ name, records, lines }) => ({
+            name,
+            content: (format ? records.map(format) : lines).join('\n'),
+        })));
+    }
+
+
+    /**
+     * Download one segment as a text file, or every segment as a zip archive.
+     *
+     * @param {string|number|null} [segment=null] - The file name or index of the segment, or `null` to download a zip of all segments.
+     * @param {Function} [format] - Formats a record, the lines measured when appending are used by default.
+     *
+     * @returns {boolean} `true` if a file was downloaded, `false` if there was nothing to download.
+     *
+     * @example
+     * rotation.download('app.1.log'); // Downloads one archived segment
+     * rotation.download(0);           // Downloads the current segment
+     * rotation.download();            // Downloads 'app.zip', holding every segment
+     */
+    download(segment = null, format) {
+        if (segment === null) {
+            if (this.segments.length === 0) {
+                console.warn('No logs to download.');
+                return false;
+            }
+
+            const archiveName = `${this.fileName.replace(/\.[^.]+$/, '')}.zip`;
+            saveAs(new Blob([this.toZip(format)], { type: 'application/zip' }), archiveName);
+            return true;
+        }
+
+        const found = this.getSegment(segment);
+
+        if (!found || found.records.length === 0) {
+            console.warn(`No logs found for segment: ${segment}`);
+            return false;
+        }
+
+        const content = (format ? found.records.map(format) : found.lines).join('\n');
+        saveAs(new Blob([content], { type: 'text/plain' }), found.name);
+        return true;
+    }
+
+
+    /**
+     * Remove every segment.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.segments = [];
+    }
+
+
+    /**
+     * Remove the records of every segment, but keep the segments and keep counting their records and sizes,
+     * e.g. when their files on disk keep the records.
+     *
+     * @returns {void}
+     */
+    clearRecords() {
+        this.segments = this.segments.map((segment) => ({ ...segment, records: [], lines: [], resumedEntries: this._countEntries(segment) }));
+    }
+
+
+    /**
+     * Check if the current segment cannot receive a record.
+     *
+     * @param {Object} segment - The current segment.
+     * @param {number} bytes - The size of the record.
+     * @param {string} period - The period of the record.
+     *
+     * @returns {boolean} `true` if a new segment must be started.
+     * @private
+     */
+    _isFull(segment, bytes, period) {
+        const entries = this._countEntries(segment);
+
+        if (entries === 0) {
+            return false;
+        }
+
+        return entries >= this.maxEntries
+            || segment.bytes + bytes > this.maxBytes
+            || (this.interval !== null && segment.period !== period);
+    }
+
+
+    /**
+     * Start a new segment and drop the oldest segments beyond `maxSegments`.
+     * `onRotate` is called when the new segment replaces a previous one.
+     *
+     * @param {string} period - The period of the new segment.
+     *
+     * @returns {void}
+     * @private
+     */
+    _startSegment(period) {
+        const previous = this.segments[this.segments.length - 1];
+        const number = previous && previous.period === period ? previous.number + 1 : 0;
+        this.segments.push({ records: [], lines: [], bytes: 0, period, number, resumedEntries: 0 });
+
+        if (this.segments.length > this.maxSegments) {
+            const dropped = this.segments.splice(0, this.segments.length - this.maxSegments);
+            this.onDrop(dropped.flatMap((segment) => segment.records));
+        }
+
+        if (previous) {
+            this.onRotate();
+        }
+    }
+
+
+    /**
+     * Count the records of a segment, including the ones its file held when it was resumed.
+     *
+     * @param {Object} segment - The segment.
+     *
+     * @returns {number} The number of records.
+     * @private
+     */
+    _countEntries(segment) {
+        return segment.records.length + segment.resumedEntries;
+    }
+
+
+    /**
+     * Get the period of a date: its local day, or its local hour for hourly rotation,
+     * so segments roll over at the midnight of the machine, like the dates in their names.
+     *
+     * @param {Date} date - The date.
+     *
+     * @returns {string} The period, e.g. '2026-10-19' or '2026-10-19-17'.
+     * @private
+     */
+    _getPeriod(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+        return this.interval === ROTATION_INTERVALS.HOURLY ? `${day}-${pad(date.getHours())}` : day;
+    }
+
+
+    /**
+     * Compute the file names of the segments, oldest first.
+     *
+     * @returns {Array<string>} The file names.
+     * @private
+     */
+    _getNames() {
+        const extensionIndex = this.fileName.lastIndexOf('.');
+        const base = extensionIndex > 0 ? this.fileName.slice(0, extensionIndex) : this.fileName;
+        const extension = extensionIndex > 0 ? this.fileName.slice(extensionIndex) : '';
+
+        if (this.naming === SEGMENT_NAMING.NUMBERED) {
+            return this.segments.map((segment, index) => this.getNumberedName(this.segments.length - 1 - index));
+        }
+
+        return this.segments.map(({ period, number }) => `${base}-${period}${number === 0 ? '' : `.${number}`}${extension}`);
+    }
+}
+
+
+export { LogRotation, ROTATION_INTERVALS, SEGMENT_NAMING };
@@ -0,0 +1,115 @@
+import pako from 'pako';
+import { LogRotation } from './logRotation.js';
+
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+
+const recordAt = (date, message = 'Hello') => ({ timestamp: date.toISOString(), level: 'INFO', message });
+
+const appendAll = (rotation, dates) => dates.forEach((date, index) => rotation.append(recordAt(date), `line ${index}`));
+
+const namesOf = (rotation) => rotation.getSegments().map((segment) => segment.name);
+
+/**
+ * Read the files of a zip archive from its local headers.
+ */
+function readZip(archive) {
+    const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength);
+    const decoder = new TextDecoder();
+    const files = [];
+    let offset = 0;
+
+    while (view.getUint32(offset, true) === 0x04034B50) {
+        const compressedSize = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const name = decoder.decode(archive.subarray(offset + 30, offset + 30 + nameLength));
+        const start = offset + 30 + nameLength;
+
+        files.push({ name, content: decoder.decode(pako.inflateRaw(archive.subarray(start, start + compressedSize))) });
+        offset = start + compressedSize;
+    }
+
+    return { files, end: view.getUint32(archive.length - 22, true) };
+}
+
+
+describe('LogRotation', () => {
+    const now = new Date(2026, 9, 19, 10, 0);
+
+    test('rotates numbered segments on maxEntries, the most recent archive being 1', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', maxEntries: 2 });
+
+        appendAll(rotation, [now, now, now, now, now]);
+
+        expect(namesOf(rotation)).toEqual(['app.log', 'app.1.log', 'app.2.log']);
+        expect(rotation.getSegments().map((segment) => segment.lines)).toEqual([['line 4'], ['line 2', 'line 3'], ['line 0', 'line 1']]);
+        expect(new LogRotation({ fileName: 'app' }).getNumberedName(3)).toBe('app.3');
+    });
+
+    test('rotates on maxBytes, counting the line and its line break', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', maxBytes: 14 });
+
+        appendAll(rotation, [now, now, now]);
+
+        expect(rotation.getSegments().map((segment) => [segment.lines.length, segment.bytes])).toEqual([[1, 7], [2, 14]]);
+    });
+
+    test('drops the oldest segments beyond maxSegments', () => {
+        const onDrop = jest.fn();
+        const onRotate = jest.fn();
+        const rotation = new LogRotation({ fileName: 'app.log', maxEntries: 1, maxSegments: 2, onDrop, onRotate });
+
+        appendAll(rotation, [now, now, now]);
+
+        expect(namesOf(rotation)).toEqual(['app.log', 'app.1.log']);
+        expect(onDrop).toHaveBeenCalledTimes(1);
+        expect(onDrop.mock.calls[0][0]).toEqual([recordAt(now)]);
+        expect(onRotate).toHaveBeenCalledTimes(2);
+    });
+
+    test('names dated segments after the local day, numbering the rotations within a day', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', interval: 'daily', maxEntries: 2 });
+
+        appendAll(rotation, [new Date(2026, 9, 19, 8, 30), new Date(2026, 9, 19, 12), new Date(2026, 9, 19, 23, 30), new Date(2026, 9, 20, 0, 30)]);
+
+        expect(namesOf(rotation)).toEqual(['app-2026-10-20.log', 'app-2026-10-19.1.log', 'app-2026-10-19.log']);
+    });
+
+    test('names hourly segments after the local hour, and rolls them over without records', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', interval: 'hourly' });
+
+        appendAll(rotation, [new Date(2026, 9, 19, 8, 10), new Date(2026, 9, 19, 9, 10)]);
+
+        expect(rotation.rotateIfNeeded(new Date(2026, 9, 19, 9, 50))).toBe(false);
+        expect(rotation.rotateIfNeeded(new Date(2026, 9, 19, 10, 0))).toBe(true);
+        expect(rotation.rotateIfNeeded(new Date(2026, 9, 19, 11, 0))).toBe(false);
+        expect(namesOf(rotation)).toEqual(['app-2026-10-19-10.log', 'app-2026-10-19-09.log', 'app-2026-10-19-08.log']);
+    });
+
+    test('keeps counting the records of the segments after clearRecords', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', maxEntries: 3 });
+
+        appendAll(rotation, [now, now, now, now, now]);
+        rotation.clearRecords();
+
+        expect(rotation.getSegments().map((segment) => segment.records)).toEqual([[], []]);
+
+        appendAll(rotation, [now, now]);
+
+        expect(namesOf(rotation)).toEqual(['app.log', 'app.1.log', 'app.2.log']);
+        expect(rotation.getSegment(0).lines).toEqual(['line 1']);
+        expect(rotation.getSegment(1).lines).toEqual(['line 0']);
+    });
+
+    test('zips every segment, the current one first', () => {
+        const rotation = new LogRotation({ fileName: 'app.log', maxEntries: 2 });
+
+        appendAll(rotation, [now, now, now]);
+
+        const { files, end } = readZip(rotation.toZip());
+
+        expect(files).toEqual([{ name: 'app.log', content: 'line 2' }, { name: 'app.1.log', content: 'line 0\nline 1' }]);
+        expect(end).toBe(0x06054B50);
+        expect(readZip(rotation.toZip((record) => record.message)).files[1].content).toBe('Hello\nHello');
+    });
+});
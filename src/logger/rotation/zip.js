@@ -0,0 +1,119 @@
+import pako from 'pako';
+
+
+/**
+ * CRC-32 lookup table.
+ * @type {Uint32Array}
+ * @private
+ */
+const CRC_TABLE = new Uint32Array(256).map((value, index) => {
+    let crc = index;
+
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+
+    return crc;
+});
+
+
+/**
+ * Compute the CRC-32 checksum of some bytes.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ *
+ * @returns {number} The checksum.
+ * @private
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+
+    for (let index = 0; index < bytes.length; index++) {
+        crc = CRC_TABLE[(crc ^ bytes[index]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+
+/**
+ * Create a zip archive holding text files, compressed with the 'pako' library.
+ *
+ * @param {Array<{name: string, content: string}>} files - The files of the archive.
+ * @param {Date} [date=new Date()] - The modification date of the files.
+ *
+ * @returns {Uint8Array} The zip archive.
+ *
+ * @example
+ * const archive = createZip([{ name: 'app.log', content: 'INFO - ...' }, { name: 'app.1.log', content: 'INFO - ...' }]);
+ * saveAs(new Blob([archive], { type: 'application/zip' }), 'app.zip');
+ */
+function createZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const compressed = pako.deflateRaw(data);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true);
+        local.setUint16(8, 8, true);
+        local.setUint16(10, time, true);
+        local.setUint16(12, day, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, compressed.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 8, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, day, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, compressed.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, compressed);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + compressed.length;
+    });
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+
+    parts.reduce((position, part) => {
+        archive.set(part, position);
+        return position + part.length;
+    }, 0);
+
+    return archive;
+}
+
+
+export { createZip };
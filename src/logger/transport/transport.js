@@ -0,0 +1,486 @@
+import { EventEmitter } from 'events';
+import { saveAs } from 'file-saver';
+import axios from 'axios';
+import { LOG_LEVEL_PRIORITIES } from "../base/logLevels.js";
+import { serializeLogRecord } from "../base/logRecord.js";
+import { createFormatter } from "../formatter/formatter.js";
+import { StorageManager } from "../../storage-Manager/storageManager,.js";
+
+
+/**
+ * Base class of the log transports.
+ *
+ * A transport is a destination for log records. Every record kept by a logger is handed to the `write` method
+ * of each of its transports, provided the record level reaches the minimum level of the transport.
+ * Any object with a `write(record, line)` method (and optional `level` and `formatter` properties) can be used as a transport.
+ *
+ * @class TransportBase
+ */
+class TransportBase {
+
+    /**
+     * Create a transport.
+     *
+     * @param {Object} [options={}] - Transport options.
+     * @param {string} [options.level] - The minimum log level written by the transport. Defaults to every level kept by the logger.
+     * @param {string|Function|Object} [options.formatter] - The formatter of the transport. Defaults to the formatter of the logger.
+     *
+     * @throws {Error} If the level or the formatter is invalid.
+     */
+    constructor({ level = null, formatter = null } = {}) {
+        if (level !== null && LOG_LEVEL_PRIORITIES[level] === undefined) {
+            throw new Error(`Invalid parameters: "${level}" is not a valid log level.`);
+        }
+
+        this.level = level;
+        this.formatter = formatter === null ? null : createFormatter(formatter);
+    }
+
+
+    /**
+     * Check if a record with the given level should be written by the transport.
+     *
+     * @param {string} level - The level of the record.
+     *
+     * @returns {boolean} `true` if the transport has no minimum level, or if `level` reaches it.
+     */
+    accepts(level) {
+        return this.level === null || LOG_LEVEL_PRIORITIES[level] >= LOG_LEVEL_PRIORITIES[this.level];
+    }
+
+
+    /**
+     * Write a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The record formatted by the transport formatter, or by the logger formatter.
+     *
+     * @returns {void}
+     */
+    write(record, line) {
+        throw new Error(`${this.constructor.name} must implement the write method.`);
+    }
+}
+
+
+/**
+ * Transport writing log records to the console, using the console method matching the record level.
+ *
+ * @class ConsoleTransport
+ * @extends TransportBase
+ */
+class ConsoleTransport extends TransportBase {
+
+    /**
+     * Write a log record to the console.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     *
+     * @description
+     * 'ERROR' and 'FATAL' records are written with `console.error`, 'WARN' records with `console.warn`,
+     * 'DEBUG' and 'TRACE' records with `console.debug`, and every other record with `console.log`.
+     */
+    write(record, line) {
+        const priority = LOG_LEVEL_PRIORITIES[record.level];
+
+        if (priority >= LOG_LEVEL_PRIORITIES.ERROR) {
+            console.error(line);
+        } else if (priority >= LOG_LEVEL_PRIORITIES.WARN) {
+            console.warn(line);
+        } else if (priority < LOG_LEVEL_PRIORITIES.INFO) {
+            console.debug(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+
+/**
+ * Transport keeping log records in memory.
+ *
+ * @class MemoryTransport
+ * @extends TransportBase
+ */
+class MemoryTransport extends TransportBase {
+
+    /**
+     * Create a MemoryTransport instance.
+     *
+     * @param {Object} [options={}] - Transport options, see `TransportBase`.
+     * @param {number} [options.maxEntries=Infinity] - The maximum number of records kept, the oldest records are dropped first.
+     */
+    constructor({ maxEntries = Infinity, ...options } = {}) {
+        super(options);
+        this.maxEntries = maxEntries;
+        this.records = [];
+        this.lines = [];
+    }
+
+
+    /**
+     * Keep a log record and its formatted line.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     */
+    write(record, line) {
+        this.records.push(record);
+        this.lines.push(line);
+
+        if (this.records.length > this.maxEntries) {
+            this.records.splice(0, this.records.length - this.maxEntries);
+            this.lines.splice(0, this.lines.length - this.maxEntries);
+        }
+    }
+
+
+    /**
+     * Remove every kept record.
+     *
+     * @returns {void}
+     */
+    clear() {
+        this.records = [];
+        this.lines = [];
+    }
+}
+
+
+/**
+ * Transport buffering formatted log lines and downloading them as a file with the 'file-saver' library.
+ *
+ * @class FileDownloadTransport
+ * @extends TransportBase
+ */
+class FileDownloadTransport extends TransportBase {
+
+    /**
+     * Create a FileDownloadTransport instance.
+     *
+     * @param {Object} options - Transport options, see `TransportBase`.
+     * @param {string} options.fileName - The name of the downloaded file.
+     *
+     * @throws {Error} If the file name is not a non-empty string.
+     */
+    constructor({ fileName, ...options } = {}) {
+        super(options);
+
+        if (typeof fileName !== 'string' || fileName.length === 0) {
+            throw new Error('Invalid parameters: "fileName" must be a non-empty string.');
+        }
+
+        this.fileName = fileName;
+        this.lines = [];
+    }
+
+
+    /**
+     * Buffer a formatted log line.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     */
+    write(record, line) {
+        this.lines.push(line);
+    }
+
+
+    /**
+     * Download the buffered lines as a file and empty the buffer.
+     *
+     * @returns {void}
+     *
+     * @example
+     * const transport = new FileDownloadTransport({ fileName: 'app.log', level: 'WARN' });
+     * const logger = new LoggerBase('DEBUG', { transports: [transport] });
+     * // ...
+     * transport.download();
+     */
+    download() {
+        if (this.lines.length === 0) {
+            console.warn('No logs to download.');
+            return;
+        }
+
+        const contentType = (this.formatter && this.formatter.contentType) || 'text/plain';
+        const blob = new Blob([this.lines.join('\n')], { type: contentType });
+
+        saveAs(blob, this.fileName);
+        this.lines = [];
+    }
+}
+
+
+/**
+ * Transport emitting every log record as an event.
+ *
+ * @class EventTransport
+ * @extends TransportBase
+ */
+class EventTransport extends TransportBase {
+
+    /**
+     * Create an EventTransport instance.
+     *
+     * @param {Object} [options={}] - Transport options, see `TransportBase`.
+     * @param {EventEmitter} [options.emitter] - The emitter used, a new `EventEmitter` is created by default.
+     * @param {string} [options.eventName='log'] - The name of the emitted event.
+     */
+    constructor({ emitter = new EventEmitter(), eventName = 'log', ...options } = {}) {
+        super(options);
+        this.emitter = emitter;
+        this.eventName = eventName;
+    }
+
+
+    /**
+     * Emit a log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     *
+     * @description
+     * The event payload is the log record, with the formatted line in its `line` property.
+     */
+    write(record, line) {
+        this.emitter.emit(this.eventName, { ...record, line });
+    }
+}
+
+
+/**
+ * Transport saving log records in localStorage or sessionStorage through `StorageManager`.
+ *
+ * @class StorageTransport
+ * @extends TransportBase
+ */
+class StorageTransport extends TransportBase {
+
+    /**
+     * Create a StorageTransport instance.
+     *
+     * @param {Object} [options={}] - Transport options, see `TransportBase`.
+     * @param {string} [options.key='logs'] - The storage key holding the records.
+     * @param {boolean} [options.useSessionStorage=false] - If true, uses sessionStorage; otherwise, uses localStorage.
+     * @param {number} [options.maxEntries=500] - The maximum number of stored records, the oldest records are dropped first.
+     */
+    constructor({ key = 'logs', useSessionStorage = false, maxEntries = 500, ...options } = {}) {
+        super(options);
+        this.key = key;
+        this.useSessionStorage = useSessionStorage;
+        this.maxEntries = maxEntries;
+    }
+
+
+    /**
+     * Save a serialized log record.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     */
+    write(record, line) {
+        const records = this.getRecords();
+
+        records.push(serializeLogRecord(record));
+
+        if (records.length > this.maxEntries) {
+            records.splice(0, records.length - this.maxEntries);
+        }
+
+        StorageManager.setArray(this.key, records, this.useSessionStorage);
+    }
+
+
+    /**
+     * Get the stored records.
+     *
+     * @returns {Array<Object>} The serialized records, or an empty array.
+     */
+    getRecords() {
+        return StorageManager.getArray(this.key, this.useSessionStorage, false) || [];
+    }
+
+
+    /**
+     * Remove the stored records.
+     *
+     * @returns {void}
+     */
+    clear() {
+        StorageManager.removeValue(this.key, this.useSessionStorage);
+    }
+}
+
+
+/**
+ * Transport sending log records to an HTTP endpoint with axios, in batches.
+ *
+ * With `batchSize` above 1, the queue is also sent every `flushInterval` milliseconds, when the page is hidden or unloaded,
+ * and before a Node.js process exits, so the last records are not lost.
+ *
+ * @class HttpTransport
+ * @extends TransportBase
+ */
+class HttpTransport extends TransportBase {
+
+    /**
+     * Create an HttpTransport instance.
+     *
+     * @param {Object} options - Transport options, see `TransportBase`.
+     * @param {string} options.url - The endpoint receiving the records.
+     * @param {number} [options.batchSize=1] - The number of records sent per request.
+     * @param {?number} [options.flushInterval=5000] - With batches, the delay between two sends of the queue in milliseconds, `null` to disable.
+     * @param {boolean} [options.flushOnUnload=true] - With batches, send the queue on 'pagehide' in browsers, or on 'beforeExit' under Node.js.
+     * @param {Object} [options.headers={}] - Additional request headers.
+     * @param {Function} [options.onError] - Called with the error when a request fails. Errors are written to `console.error` by default.
+     *
+     * @throws {Error} If the url is not a non-empty string, or the flush interval is not a positive number.
+     *
+     * @example
+     * const transport = new HttpTransport({ url: '/api/logs', level: 'ERROR', formatter: 'json', batchSize: 10 });
+     *
+     * @description
+     * Each request posts a JSON body of the form `{ records: [...] }`, where records are serialized log records
+     * holding their formatted line in the `line` property. When the page is hidden, the queue is sent with `navigator.sendBeacon`,
+     * which outlives the page but cannot set `headers`. Call `close` to send the queue and stop the timer and the listeners.
+     */
+    constructor({ url, batchSize = 1, flushInterval = 5000, flushOnUnload = true, headers = {}, onError = (error) => console.error(`HttpTransport: ${error.message}`), ...options } = {}) {
+        super(options);
+
+        if (typeof url !== 'string' || url.length === 0) {
+            throw new Error('Invalid parameters: "url" must be a non-empty string.');
+        }
+
+        if (flushInterval !== null && !(typeof flushInterval === 'number' && flushInterval > 0)) {
+            throw new Error('Invalid parameters: "flushInterval" must be a positive number or null.');
+        }
+
+        this.url = url;
+        this.batchSize = batchSize;
+        this.headers = headers;
+        this.onError = onError;
+        this.queue = [];
+
+        const batched = batchSize > 1;
+
+        this.flushTimer = batched && flushInterval ? setInterval(() => this.flush(), flushInterval) : null;
+
+        // Under Node.js, the timer does not keep the process alive
+        if (this.flushTimer && typeof this.flushTimer.unref === 'function') {
+            this.flushTimer.unref();
+        }
+
+        this.flushOnUnload = () => this._sendBeacon();
+        this.flushOnExit = () => this.flush();
+
+        if (batched && flushOnUnload && typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+            window.addEventListener('pagehide', this.flushOnUnload);
+        } else if (batched && flushOnUnload && typeof process !== 'undefined' && typeof process.on === 'function') {
+            process.on('beforeExit', this.flushOnExit);
+        }
+    }
+
+
+    /**
+     * Queue a log record and send the queue once it holds `batchSize` records.
+     *
+     * @param {import('../base/logRecord.js').LogRecord} record - The log record.
+     * @param {string} line - The formatted record.
+     *
+     * @returns {void}
+     */
+    write(record, line) {
+        this.queue.push({ ...serializeLogRecord(record), line });
+
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        }
+    }
+
+
+    /**
+     * Send every queued record.
+     *
+     * @returns {Promise<void>} Resolves once the request is done. Failed requests are reported to `onError` and never reject.
+     */
+    async flush() {
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        const records = this.queue;
+        this.queue = [];
+
+        try {
+            await axios.post(this.url, { records }, { headers: this.headers });
+        } catch (error) {
+            this.onError(error);
+        }
+    }
+
+
+    /**
+     * Send every queued record, then stop the flush interval and remove the unload and exit listeners.
+     *
+     * @returns {Promise<void>} Resolves once the request is done.
+     *
+     * @example
+     * await transport.close();
+     */
+    close() {
+        clearInterval(this.flushTimer);
+        this.flushTimer = null;
+
+        if (typeof window !== 'undefined' && typeof window.removeEventListener === 'function') {
+            window.removeEventListener('pagehide', this.flushOnUnload);
+        }
+
+        if (typeof process !== 'undefined' && typeof process.removeListener === 'function') {
+            process.removeListener('beforeExit', this.flushOnExit);
+        }
+
+        return this.flush();
+    }
+
+
+    /**
+     * Send every queued record with `navigator.sendBeacon`, which the browser completes after the page is gone.
+     * Falls back to `flush` when beacons are not available or the browser refuses the beacon.
+     *
+     * @returns {void}
+     * @private
+     */
+    _sendBeacon() {
+        if (this.queue.length === 0) {
+            return;
+        }
+
+        if (typeof navigator === 'undefined' || typeof navigator.sendBeacon !== 'function') {
+            this.flush();
+            return;
+        }
+
+        const body = new Blob([JSON.stringify({ records: this.queue })], { type: 'application/json' });
+
+        if (navigator.sendBeacon(this.url, body)) {
+            this.queue = [];
+        } else {
+            this.flush();
+        }
+    }
+}
+
+
+export { TransportBase, ConsoleTransport, MemoryTransport, FileDownloadTransport, EventTransport, StorageTransport, HttpTransport };
@@ -0,0 +1,137 @@
+import axios from 'axios';
+import { EventEmitter } from 'events';
+import { createLogRecord } from '../base/logRecord.js';
+import { LoggerBase } from '../base/loggerBase.js';
+import { ConsoleTransport, EventTransport, HttpTransport, MemoryTransport, TransportBase } from './transport.js';
+
+
+jest.mock('axios', () => ({ post: jest.fn(() => Promise.resolve()) }));
+jest.mock('file-saver', () => ({ saveAs: jest.fn() }));
+
+
+const record = (message, level = 'INFO') => createLogRecord({ level, message });
+
+
+describe('TransportBase', () => {
+    test('accepts the levels reaching its minimum level', () => {
+        const transport = new TransportBase({ level: 'WARN' });
+
+        expect(transport.accepts('ERROR')).toBe(true);
+        expect(transport.accepts('WARN')).toBe(true);
+        expect(transport.accepts('INFO')).toBe(false);
+        expect(new TransportBase().accepts('TRACE')).toBe(true);
+        expect(() => new TransportBase({ level: 'LOUD' })).toThrow('"LOUD" is not a valid log level');
+    });
+});
+
+
+describe('ConsoleTransport', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses the console method matching the level', () => {
+        const methods = ['error', 'warn', 'log', 'debug'].map((name) => jest.spyOn(console, name).mockImplementation(() => { }));
+        const transport = new ConsoleTransport();
+
+        ['FATAL', 'WARN', 'INFO', 'TRACE'].forEach((level) => transport.write(record(level, level), level));
+
+        expect(methods.map((method) => method.mock.calls)).toEqual([[['FATAL']], [['WARN']], [['INFO']], [['TRACE']]]);
+    });
+});
+
+
+describe('MemoryTransport and EventTransport', () => {
+    test('keep the newest records of a logger', () => {
+        const memory = new MemoryTransport({ maxEntries: 2, level: 'INFO' });
+        const emitter = new EventEmitter();
+        const events = [];
+
+        emitter.on('entry', (event) => events.push(event.line));
+
+        const logger = new LoggerBase('DEBUG', { formatter: '{level} {message}', transports: [memory, new EventTransport({ emitter, eventName: 'entry' })] });
+
+        ['one', 'two', 'three'].forEach((message) => logger.addLog(message));
+        logger.addLog('details', 'DEBUG');
+
+        expect(memory.lines).toEqual(['INFO two', 'INFO three']);
+        expect(events).toEqual(['INFO one', 'INFO two', 'INFO three', 'DEBUG details']);
+    });
+});
+
+
+describe('HttpTransport', () => {
+    const transports = [];
+    const createTransport = (options) => {
+        const transport = new HttpTransport({ url: '/api/logs', ...options });
+        transports.push(transport);
+        return transport;
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        axios.post.mockClear();
+    });
+
+    afterEach(async () => {
+        await Promise.all(transports.splice(0).map((transport) => transport.close()));
+        jest.useRealTimers();
+        delete global.window;
+        delete global.navigator;
+    });
+
+    test('sends full batches at once', () => {
+        const transport = createTransport({ batchSize: 2 });
+
+        transport.write(record('one'), 'one');
+        expect(axios.post).not.toHaveBeenCalled();
+        transport.write(record('two'), 'two');
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(axios.post.mock.calls[0][1].records.map((entry) => entry.line)).toEqual(['one', 'two']);
+    });
+
+    test('sends the last partial batch after the flush interval', () => {
+        const transport = createTransport({ batchSize: 10, flushInterval: 1000 });
+
+        transport.write(record('last error', 'ERROR'), 'last error');
+        jest.advanceTimersByTime(1000);
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+        expect(transport.queue).toEqual([]);
+    });
+
+    test('sends the queue with a beacon when the page is hidden', () => {
+        global.window = new EventTarget();
+        global.navigator = { sendBeacon: jest.fn(() => true) };
+
+        const transport = createTransport({ batchSize: 10, flushInterval: null });
+
+        transport.write(record('last error', 'ERROR'), 'last error');
+        window.dispatchEvent(new Event('pagehide'));
+
+        expect(navigator.sendBeacon).toHaveBeenCalledWith('/api/logs', expect.any(Blob));
+        expect(transport.queue).toEqual([]);
+        expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    test('sends the queue before a Node.js process exits, until closed', async () => {
+        const transport = createTransport({ batchSize: 10 });
+
+        const listener = process.listeners('beforeExit').find((candidate) => candidate === transport.flushOnExit);
+
+        transport.write(record('last error', 'ERROR'), 'last error');
+        await listener();
+
+        expect(axios.post).toHaveBeenCalledTimes(1);
+
+        await transport.close();
+
+        expect(process.listeners('beforeExit')).not.toContain(transport.flushOnExit);
+    });
+
+    test('rejects invalid options', () => {
+        expect(() => new HttpTransport({ url: '' })).toThrow('"url" must be a non-empty string');
+        expect(() => new HttpTransport({ url: '/api/logs', flushInterval: 0 })).toThrow('"flushInterval" must be a positive number or null');
+    });
+});
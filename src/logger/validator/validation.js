@@ -1,5 +1,6 @@
 
 import Joi from "joi";
+import { LOG_LEVELS } from "../base/logLevels.js";
 
 
 /**
@@ -29,7 +30,7 @@ class LoggerValidation {
    * @private
    */
     _validateLogLevel = (params) => {
-        const validReturnTypes = ['WARN', 'INFO', 'DEBUG'];
+        const validReturnTypes = Object.keys(LOG_LEVELS);
         const schema = Joi.object({
             level: Joi.string().valid(...validReturnTypes).default("INFO"),
         });
@@ -60,6 +61,595 @@ class LoggerValidation {
     }
 
 
+    /**
+     * Validates the context fields of a log entry.
+     *
+     * @param {object} params - Object containing the fields
+     * @param {object} params.fields - Fields to validate, `fields.error` must be an Error if present
+     * @throws {Error} If the fields are invalid
+     * @private
+     */
+    _validateLogFields = (params) => {
+        const schema = Joi.object({
+            fields: Joi.object({
+                error: Joi.object().instance(Error).allow(null),
+            }).unknown(true),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a logger.
+     *
+     * @param {object} params - Logger options
+     * @param {string} [params.name] - Logger name to validate
+     * @param {object} [params.context] - Logger context to validate
+     * @param {string|Function|object} [params.formatter] - Logger formatter to validate
+     * @param {Array<object>} [params.transports] - Logger transports to validate
+     * @param {object} [params.metrics] - Metrics registry to validate
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateLoggerOptions = (params) => {
+        const schema = Joi.object({
+            name: Joi.string().allow(null),
+            context: Joi.object(),
+            formatter: Joi.alternatives().try(Joi.string(), Joi.func(), Joi.object()),
+            transports: Joi.array().items(Joi.object({ write: Joi.func().required() }).unknown(true)),
+            redaction: Joi.object().allow(null),
+            metrics: Joi.object({ snapshot: Joi.func().required() }).unknown(true),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the parameters of a child logger.
+     *
+     * @param {object} params - Object containing the context and namespace
+     * @param {object} params.context - Context to validate
+     * @param {string} [params.namespace] - Namespace to validate, it cannot contain spaces or commas
+     * @throws {Error} If the context or namespace is invalid
+     * @private
+     */
+    _validateChildLogger = (params) => {
+        const schema = Joi.object({
+            context: Joi.object().required(),
+            namespace: Joi.string().pattern(/^[^\s,]+$/),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the persistence options of a file logger.
+     *
+     * @param {object} params - Object containing the persistence options
+     * @param {boolean|object} params.persist - Persistence options to validate
+     * @throws {Error} If the persistence options are invalid
+     * @private
+     */
+    _validatePersistOptions = (params) => {
+        const schema = Joi.object({
+            persist: Joi.alternatives().try(
+                Joi.boolean(),
+                Joi.object({
+                    storage: Joi.string().valid('localStorage', 'sessionStorage', 'indexedDB'),
+                    key: Joi.string(),
+                    maxEntries: Joi.number().integer().min(1),
+                    maxAge: Joi.number().positive(),
+                }),
+            ),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the rotation policy of a logger.
+     *
+     * @param {object} params - Object containing the rotation policy
+     * @param {object|null} params.rotation - Rotation policy to validate
+     * @throws {Error} If the rotation policy is invalid
+     * @private
+     */
+    _validateRotationOptions = (params) => {
+        const schema = Joi.object({
+            rotation: Joi.object({
+                maxEntries: Joi.number().integer().min(1),
+                maxBytes: Joi.number().integer().min(1),
+                interval: Joi.string().valid('hourly', 'daily'),
+                naming: Joi.string().valid('numbered', 'dated'),
+                maxSegments: Joi.number().integer().min(1),
+            }).allow(null),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the rules of a redactor.
+     *
+     * @param {object} params - Object containing the redaction rules
+     * @param {Array} params.paths - Key paths, as strings or { path, strategy } objects
+     * @param {Array} params.patterns - Pattern names, regular expressions or { pattern, strategy } objects
+     * @param {string} params.strategy - Default strategy: 'mask', 'hash' or 'drop'
+     * @param {string} params.mask - Text replacing masked values
+     * @param {string} params.hashKey - Secret key of the hashes
+     * @throws {Error} If the redaction rules are invalid
+     * @private
+     */
+    _validateRedactionOptions = (params) => {
+        const strategy = Joi.string().valid('mask', 'hash', 'drop');
+        const schema = Joi.object({
+            paths: Joi.array().items(
+                Joi.string(),
+                Joi.object({ path: Joi.string().required(), strategy }),
+            ),
+            patterns: Joi.array().items(
+                Joi.string(),
+                Joi.object().instance(RegExp),
+                Joi.object({ pattern: Joi.alternatives().try(Joi.string(), Joi.object().instance(RegExp)).required(), strategy }),
+            ),
+            strategy: strategy,
+            mask: Joi.string(),
+            hashKey: Joi.string().min(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a performance measure.
+     *
+     * @param {object} params - Object containing the measure options
+     * @param {number} params.concurrency - Maximum number of pending asynchronous runs
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateMeasureOptions = (params) => {
+        const schema = Joi.object({
+            concurrency: Joi.number().integer().min(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a benchmark.
+     *
+     * @param {object} params - Object containing the benchmark options
+     * @param {number} params.warmup - Number of untimed calls
+     * @param {number} params.samples - Number of timed samples
+     * @param {number} params.iterationsPerSample - Number of calls per sample
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateBenchmarkOptions = (params) => {
+        const schema = Joi.object({
+            warmup: Joi.number().integer().min(0),
+            samples: Joi.number().integer().min(2),
+            iterationsPerSample: Joi.number().integer().min(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a frame monitor.
+     *
+     * @param {object} params - Object containing the monitor options
+     * @param {number} [params.sampleInterval] - Length of each sample in milliseconds
+     * @param {number} [params.jankThreshold] - Frame time above which a frame is janky, in milliseconds
+     * @param {number} [params.refreshRate] - Refresh rate of the display
+     * @param {Array<number>} [params.histogramBuckets] - Upper bounds of the histogram buckets
+     * @param {number} [params.maxSamples] - Number of samples kept
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateFrameMonitorOptions = (params) => {
+        const schema = Joi.object({
+            sampleInterval: Joi.number().positive(),
+            jankThreshold: Joi.number().positive(),
+            refreshRate: Joi.number().positive(),
+            histogramBuckets: Joi.array().items(Joi.number().positive()).min(1).unique(),
+            maxSamples: Joi.number().integer().min(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a memory sampler.
+     *
+     * @param {object} params - Object containing the sampler options
+     * @param {number} [params.interval] - Delay between samples in milliseconds
+     * @param {number} [params.maxSamples] - Number of samples kept
+     * @param {number} [params.trendWindow] - Number of samples the trend is computed on
+     * @param {number} [params.growthThreshold] - Growth threshold in bytes per minute
+     * @param {number} [params.minCorrelation] - Minimum fit of the samples to the trend line
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateMemorySamplerOptions = (params) => {
+        const schema = Joi.object({
+            interval: Joi.number().positive(),
+            maxSamples: Joi.number().integer().min(2),
+            trendWindow: Joi.number().integer().min(2).max(Joi.ref('maxSamples', { adjust: (value) => (value === undefined ? Infinity : value) })),
+            growthThreshold: Joi.number().min(0),
+            minCorrelation: Joi.number().min(0).max(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a page performance observer.
+     *
+     * @param {object} params - Object containing the observer options
+     * @param {Array<string>} [params.entryTypes] - Entry types to observe
+     * @param {number} [params.slowestCount] - Number of slowest resources kept
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validatePageObserverOptions = (params) => {
+        const schema = Joi.object({
+            entryTypes: Joi.array().items(Joi.string().valid('navigation', 'resource', 'paint', 'longtask', 'largest-contentful-paint')).min(1).unique(),
+            slowestCount: Joi.number().integer().min(1),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the options of a Web Vitals collector.
+     *
+     * @param {object} params - Object containing the collector options
+     * @param {Function} [params.onReport] - Callback receiving the vitals
+     * @param {number} [params.durationThreshold] - Minimum duration of the interactions observed
+     * @throws {Error} If the options are invalid
+     * @private
+     */
+    _validateWebVitalsOptions = (params) => {
+        const schema = Joi.object({
+            onReport: Joi.func(),
+            durationThreshold: Joi.number().integer().min(16),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the parameters of a span.
+     *
+     * @param {object} params - Object containing the span parameters
+     * @param {string} params.name - Name of the span
+     * @param {object} [params.attributes] - Attributes of the span
+     * @param {string|null} [params.parentId] - Id of the parent span
+     * @throws {Error} If the parameters are invalid
+     * @private
+     */
+    _validateSpanOptions = (params) => {
+        const schema = Joi.object({
+            name: Joi.string().required(),
+            attributes: Joi.object(),
+            parentId: Joi.string().allow(null),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the target and the options of an instrumentation.
+     *
+     * @param {object} params - Object containing the target and the options
+     * @param {object|Function} params.target - Object or class to instrument
+     * @param {Array<string>|RegExp|Function} [params.methods] - Methods to wrap
+     * @param {string} [params.scope] - 'static', 'prototype' or 'both'
+     * @param {string} [params.label] - Prefix of the method labels
+     * @throws {Error} If the target or the options are invalid
+     * @private
+     */
+    _validateInstrumentOptions = (params) => {
+        const schema = Joi.object({
+            target: Joi.alternatives().try(Joi.object(), Joi.func()).required(),
+            methods: Joi.alternatives().try(Joi.array().items(Joi.string()), Joi.object().instance(RegExp), Joi.func()),
+            scope: Joi.string().valid('static', 'prototype', 'both'),
+            label: Joi.string(),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates performance budgets.
+     *
+     * @param {object} params - Object containing the budgets
+     * @param {object} params.budgets - Budgets by label: milliseconds, strings such as '16ms' or '300kb', or { duration, size } objects
+     * @param {object} [params.eventLogger] - EventLogger emitting the violations
+     * @param {object} [params.resources] - Resource patterns by budget label: glob strings or regular expressions
+     * @throws {Error} If the budgets are invalid
+     * @private
+     */
+    _validateBudgets = (params) => {
+        const limit = Joi.alternatives().try(Joi.number().min(0), Joi.string().pattern(/^\s*\d+(\.\d+)?\s*(ms|s|b|kb|mb)\s*$/i));
+        const schema = Joi.object({
+            budgets: Joi.object().pattern(Joi.string(), Joi.alternatives().try(
+                limit,
+                Joi.object({ duration: limit, size: limit }).or('duration', 'size'),
+            )).required(),
+            eventLogger: Joi.object({ emit: Joi.func().required() }).unknown(true).allow(null),
+            resources: Joi.object().pattern(Joi.string(), Joi.alternatives().try(Joi.string().min(1), Joi.object().instance(RegExp))),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the name and the options of a metric.
+     *
+     * @param {object} params - Object containing the metric name and options
+     * @param {string} params.name - Metric name, in the Prometheus format
+     * @param {string} [params.help] - Description of the metric
+     * @param {Array<string>} [params.labelNames] - Label names, in the Prometheus format
+     * @param {Array<number>} [params.buckets] - Upper bounds of the histogram buckets
+     * @throws {Error} If the name or the options are invalid
+     * @private
+     */
+    _validateMetricOptions = (params) => {
+        const schema = Joi.object({
+            name: Joi.string().pattern(/^[a-zA-Z_:][a-zA-Z0-9_:]*$/).required(),
+            help: Joi.string().allow(''),
+            labelNames: Joi.array().items(Joi.string().pattern(/^[a-zA-Z_][a-zA-Z0-9_]*$/).invalid('le')).unique(),
+            buckets: Joi.array().items(Joi.number()).min(1).unique(),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the format of a metrics export.
+     *
+     * @param {object} params - Object containing the format
+     * @param {string} params.format - 'json' or 'prometheus'
+     * @throws {Error} If the format is invalid
+     * @private
+     */
+    _validateMetricsFormat = (params) => {
+        const schema = Joi.object({
+            format: Joi.string().valid('json', 'prometheus'),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates an alert rule.
+     *
+     * @param {object} params - Object containing the rule
+     * @param {object} params.rule - Alert rule to validate
+     * @throws {Error} If the rule is invalid
+     * @private
+     */
+    _validateAlertRule = (params) => {
+        const schema = Joi.object({
+            rule: Joi.object({
+                name: Joi.string().required(),
+                match: Joi.alternatives().try(Joi.object(), Joi.func()).required(),
+                groupBy: Joi.alternatives().try(Joi.string(), Joi.func()),
+                threshold: Joi.number().integer().min(0),
+                window: Joi.number().positive(),
+                cooldown: Joi.number().min(0),
+                severity: Joi.string(),
+                action: Joi.func(),
+                event: Joi.string(),
+            }).required(),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the keys used to seal or open an audit export.
+     *
+     * @param {object} params - Object containing the keys
+     * @param {string} [params.encryptionKey] - AES encryption key
+     * @param {string} [params.signingKey] - HMAC signing key
+     * @param {boolean} params.required - Whether at least one key is required
+     * @throws {Error} If a key is not a non-empty string, or no key is given when one is required
+     * @private
+     */
+    _validateExportKeys = (params) => {
+        let schema = Joi.object({
+            encryptionKey: Joi.string(),
+            signingKey: Joi.string(),
+            required: Joi.boolean().required(),
+        });
+        if (params.required) {
+            schema = schema.or('encryptionKey', 'signingKey');
+        }
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the batch options of an audit logger.
+     *
+     * @param {object} params - Object containing the batch options
+     * @param {object} params.batch - Batch options to validate
+     * @throws {Error} If the batch options are invalid
+     * @private
+     */
+    _validateBatchOptions = (params) => {
+        const schema = Joi.object({
+            batch: Joi.object({
+                maxSize: Joi.number().integer().min(1),
+                flushInterval: Joi.number().integer().min(1).allow(null),
+                flushOnUnload: Joi.boolean(),
+            }),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates an audit event.
+     *
+     * @param {object} params - The fields of the audit event
+     * @throws {Error} If the audit event is invalid
+     * @private
+     */
+    _validateAuditEvent = (params) => {
+        const schema = Joi.object({
+            actor: Joi.string().allow('', null),
+            action: Joi.string().allow('').required(),
+            resource: Joi.string().allow('', null),
+            outcome: Joi.string().valid('SUCCESS', 'FAILURE', 'DENIED', 'UNKNOWN').required(),
+            correlationId: Joi.string().allow(null),
+            metadata: Joi.object().unknown(true),
+            category: Joi.string().required(),
+            level: Joi.string().valid(...Object.keys(LOG_LEVELS)),
+            message: Joi.string(),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates an audit query filter.
+     *
+     * @param {object} params - Object containing the filter
+     * @param {object} params.filter - Filter to validate
+     * @throws {Error} If the filter is invalid
+     * @private
+     */
+    _validateAuditQuery = (params) => {
+        const value = Joi.alternatives().try(Joi.string(), Joi.array().items(Joi.string()));
+        const schema = Joi.object({
+            filter: Joi.object({
+                actor: value,
+                action: value,
+                resource: value,
+                outcome: value,
+                category: value,
+                correlationId: Joi.string(),
+                from: Joi.alternatives().try(Joi.date(), Joi.string(), Joi.number()),
+                to: Joi.alternatives().try(Joi.date(), Joi.string(), Joi.number()),
+            }),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates the output options of a file logger.
+     *
+     * @param {object} params - Object containing the output options
+     * @param {string} params.mode - Where the logs are written: 'auto', 'node' or 'browser'
+     * @param {string} [params.directory] - Directory of the log files under Node.js
+     * @param {number} [params.flushInterval] - Delay before buffered lines are written, in milliseconds
+     * @throws {Error} If the output options are invalid
+     * @private
+     */
+    _validateFileOutputOptions = (params) => {
+        const schema = Joi.object({
+            mode: Joi.string().valid('auto', 'node', 'browser').required(),
+            directory: Joi.string(),
+            flushInterval: Joi.number().integer().min(0),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
+    /**
+     * Validates a log transport.
+     *
+     * @param {object} params - Object containing the transport
+     * @param {object} params.transport - Transport to validate, it must have a write method
+     * @throws {Error} If the transport is invalid
+     * @private
+     */
+    _validateTransport = (params) => {
+        const schema = Joi.object({
+            transport: Joi.object({ write: Joi.func().required() }).unknown(true).required(),
+        });
+        const { error } = schema.validate(params);
+        if (error) {
+            throw new Error(`Invalid parameters: ${error.details[0].message}`);
+        }
+    }
+
+
     /**
      * Validates event and payload for emitting custom events.
      * 